@@ -0,0 +1,56 @@
+// <pccs-chart> custom element for embedding the PCCS reference chart in other pages:
+//
+//   <script src="https://niconiconico123.github.io/color_pccs/pccs-chart.js" defer></script>
+//   <pccs-chart tones="v,b,lt" hues="24" lang="en" size="sm"></pccs-chart>
+//
+// The chart itself is embed.html, shown in an iframe that resizes to its content. The
+// tones, hues, lang, size and desc attributes are passed on as query parameters.
+(() => {
+  const EMBED_URL = new URL('embed.html', document.currentScript.src);
+  const ATTRIBUTES = ['tones', 'hues', 'lang', 'size', 'desc'];
+
+  class PccsChart extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      this.iframe = document.createElement('iframe');
+      this.iframe.title = 'PCCS tone chart';
+      this.iframe.loading = 'lazy';
+      this.iframe.style.cssText = 'display:block;width:100%;height:480px;border:0;';
+      const shadow = this.attachShadow({ mode: 'open' });
+      shadow.innerHTML = '<style>:host { display: block; }</style>';
+      shadow.appendChild(this.iframe);
+      this.onMessage = (event) => {
+        if (event.source === this.iframe.contentWindow && event.data?.type === 'pccs-chart:resize') {
+          this.iframe.style.height = `${event.data.height}px`;
+        }
+      };
+    }
+
+    connectedCallback() {
+      window.addEventListener('message', this.onMessage);
+      this.update();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this.onMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.update();
+    }
+
+    update() {
+      const url = new URL(EMBED_URL);
+      ATTRIBUTES.forEach(name => {
+        if (this.hasAttribute(name)) url.searchParams.set(name, this.getAttribute(name));
+      });
+      if (this.iframe.src !== url.href) this.iframe.src = url.href;
+    }
+  }
+
+  if (!customElements.get('pccs-chart')) customElements.define('pccs-chart', PccsChart);
+})();
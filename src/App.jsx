@@ -1,6 +1,33 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { BookOpen, HelpCircle, Trophy, ChevronRight, Check, X, Info, Sparkles, Bot, Loader2, ArrowRight, Settings, Save, Camera } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { BookOpen, HelpCircle, Trophy, ChevronRight, Check, X, Info, Sparkles, Bot, Loader2, ArrowRight, Settings, Save, Camera, Pipette, Palette, Contrast, Eye, Columns, Printer, Image as ImageIcon, Crosshair, Languages, SunMoon, CalendarCheck, BarChart3, FlaskConical } from 'lucide-react';
 import SeasonalColorAnalysis from './SeasonalColorAnalysis';
+import ColorIdentifier from './ColorIdentifier';
+import ToneMap from './ToneMap';
+import HueCircle from './HueCircle';
+import HarmonyGenerator from './HarmonyGenerator';
+import ContrastChecker from './ContrastChecker';
+import ExportMenu from './ExportMenu';
+import ToneRow, { AchromaticRow, OutOfGamutMark } from './ToneRow';
+import ChipFilterBar from './ChipFilterBar';
+import CompareView from './CompareView';
+import PinButton from './PinButton';
+import PrintView from './PrintView';
+import ImagePaletteAnalyzer from './ImagePaletteAnalyzer';
+import LiveColorSampler from './LiveColorSampler';
+import StatsView from './StatsView';
+import MixView from './MixView';
+import useHashRoute from './useHashRoute';
+import { CVD_TYPES } from './colorScience';
+import { TONES, ACHROMATIC_TONES, ACHROMATIC_SCALE, HUES, HUE_COUNTS, getHues, generateColor, generateAchromatic, generateFullDeck } from './pccs';
+import { parseNotation, formatNotation, formatHue, notationToColor } from './notation';
+import { chipToSwatch } from './paletteExport';
+import { LANGUAGES, getLanguage, setLanguage, saveLanguage, t, hueName, hueShortName, chipHueName, toneDesc, answerLanguage } from './i18n';
+import { THEMES, getTheme, setTheme, saveTheme } from './theme';
+import { DEFAULT_FILTER, isFilterActive, matchesFilter } from './chipFilter';
+import { MAX_PINNED, loadPinned, savePinned, chipToCompareItem, decodePins } from './compare';
+import { loadSchedule, saveSchedule, reviewCard, countDue, pickNextCard } from './spacedRepetition';
+import { recordAnswer } from './answerLog';
+import { GRADE_POINTS, gradeHue, gradeNotation } from './grading';
 
 // --- OpenAI / Compatible API Helper ---
 
@@ -35,7 +62,7 @@ const callOpenAI = async (prompt, systemInstruction = "") => {
   const { baseUrl, apiKey, model } = getSettings();
 
   if (!apiKey) {
-    return "錯誤：未偵測到 API Key。請設定環境變數 (VITE_API_KEY) 或在設定選單中手動輸入。";
+    return t('ai.noApiKey');
   }
 
   // Ensure baseUrl doesn't end with a slash for consistency
@@ -71,67 +98,13 @@ const callOpenAI = async (prompt, systemInstruction = "") => {
     }
 
     const data = await response.json();
-    return data.choices?.[0]?.message?.content || "無法產生回應。";
+    return data.choices?.[0]?.message?.content || t('ai.emptyResponse');
   } catch (error) {
     console.error("LLM Call Failed:", error);
-    return `錯誤: ${error.message}`;
+    return t('ai.error', { message: error.message });
   }
 };
 
-// --- PCCS Data & Logic ---
-
-const TONES = [
-  { id: 'v',   name: 'Vivid',         label: '01 Vivid',         s: 100, l: 50,  desc: '純粹、飽和、鮮豔、活力、大膽、自信、熱情、耀眼' },
-  { id: 'b',   name: 'Bright',        label: '02 Bright',        s: 85,  l: 65,  desc: '愉悅、清晰、開朗、活潑、樂觀、明亮、歡快、充滿希望' },
-  { id: 's',   name: 'Strong',        label: '03 Strong',        s: 70,  l: 45,  desc: '動感、強烈、有力、堅定、充滿能量、果斷、勇敢、積極' },
-  { id: 'dp',  name: 'Deep',          label: '04 Deep',          s: 80,  l: 30,  desc: '傳統、深奧、優雅、經典、沉穩、內斂、高貴、有深度' },
-  { id: 'lt',  name: 'Light',         label: '05 Light',         s: 55,  l: 75,  desc: '舒適、清新、輕鬆、溫和、柔和、明亮、愉悅、令人放鬆' },
-  { id: 'sf',  name: 'Soft',          label: '06 Soft',          s: 40,  l: 60,  desc: '溫柔、自然、柔和、親切、溫暖、舒適、和諧、平易近人' },
-  { id: 'd',   name: 'Dull',          label: '07 Dull',          s: 40,  l: 45,  desc: '穩重、樸實、內斂、低調、沉穩、可靠、踏實、值得信賴' },
-  { id: 'dk',  name: 'Dark',          label: '08 Dark',          s: 50,  l: 25,  desc: '成熟、穩健、優雅、神秘、深邃、莊重、有質感、經典' },
-  { id: 'p',   name: 'Pale',          label: '09 Pale',          s: 25,  l: 88,  desc: '精緻、輕盈、優雅、純淨、清新、柔和、夢幻、細膩' },
-  { id: 'ltg', name: 'Light Grayish', label: '10 Light Grayish', s: 15,  l: 70,  desc: '平靜、柔和、舒緩、溫和、寧靜、優雅、和諧、令人安心' },
-  { id: 'g',   name: 'Grayish',       label: '11 Grayish',       s: 15,  l: 45,  desc: '寧靜、別緻、優雅、沉穩、內斂、時尚、平衡、有品味' },
-  { id: 'dkg', name: 'Dark Grayish',  label: '12 Dark Grayish',  s: 10,  l: 25,  desc: '厚重、堅實、穩重、可靠、沉穩、專業、有力量、值得信賴' },
-];
-
-const HUES = [
-  { id: 2,  name: '紅色 (Red)',           h: 355 },
-  { id: 4,  name: '紅橙色 (Red-Orange)',    h: 15 },
-  { id: 6,  name: '橙色 (Orange)',        h: 35 },
-  { id: 8,  name: '黃色 (Yellow)',        h: 50 },
-  { id: 10, name: '黃綠色 (Yellow-Green)',  h: 75 },
-  { id: 12, name: '綠色 (Green)',         h: 120 },
-  { id: 14, name: '藍綠色 (Blue-Green)',    h: 160 },
-  { id: 16, name: '綠藍色 (Green-Blue)',    h: 180 },
-  { id: 18, name: '藍色 (Blue)',          h: 210 },
-  { id: 20, name: '藍紫色 (Violet)',        h: 260 },
-  { id: 22, name: '紫色 (Purple)',        h: 290 },
-  { id: 24, name: '紅紫色 (Red-Purple)',    h: 320 },
-];
-
-const generateColor = (tone, hue) => {
-  let adjustedL = tone.l;
-  if ((hue.h > 30 && hue.h < 60) && tone.l < 50) { 
-    adjustedL += 5; 
-  }
-  return {
-    id: `${tone.id}-${hue.id}`,
-    toneId: tone.id,
-    toneName: tone.name,
-    toneLabel: tone.label,
-    hueName: hue.name,
-    css: `hsl(${hue.h}, ${tone.s}%, ${adjustedL}%)`,
-    desc: tone.desc
-  };
-};
-
-const generateFullDeck = () => {
-  let deck = [];
-  TONES.forEach(tone => HUES.forEach(hue => deck.push(generateColor(tone, hue))));
-  return deck;
-};
-
 // --- Components ---
 
 const SettingsModal = ({ isOpen, onClose }) => {
@@ -165,7 +138,7 @@ const SettingsModal = ({ isOpen, onClose }) => {
       <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6">
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
-            <Settings size={20} /> API 設定
+            <Settings size={20} /> {t('settings.title')}
           </h2>
           <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600">
             <X size={20} />
@@ -174,10 +147,7 @@ const SettingsModal = ({ isOpen, onClose }) => {
 
         <div className="mb-4 p-3 bg-blue-50 text-blue-800 text-xs rounded-lg flex items-start gap-2">
           <Info size={16} className="mt-0.5 shrink-0" />
-          <p>
-            系統優先讀取環境變數 (Environment Variables)。
-            若您已在 .env 設定，此處可留空或作為覆蓋使用。
-          </p>
+          <p>{t('settings.envNote')}</p>
         </div>
 
         <form onSubmit={handleSave} className="space-y-4">
@@ -220,13 +190,13 @@ const SettingsModal = ({ isOpen, onClose }) => {
               onClick={handleReset}
               className="px-4 py-3 rounded-xl font-medium text-slate-600 bg-slate-100 hover:bg-slate-200 transition-all"
             >
-              重置
+              {t('settings.reset')}
             </button>
             <button 
               type="submit" 
               className={`flex-1 py-3 rounded-xl font-bold text-white transition-all flex items-center justify-center gap-2 ${showSuccess ? 'bg-emerald-500' : 'bg-slate-900 hover:bg-slate-800'}`}
             >
-              {showSuccess ? <><Check size={18} /> 已儲存</> : <><Save size={18} /> 儲存設定</>}
+              {showSuccess ? <><Check size={18} /> {t('settings.saved')}</> : <><Save size={18} /> {t('settings.save')}</>}
             </button>
           </div>
         </form>
@@ -235,36 +205,111 @@ const SettingsModal = ({ isOpen, onClose }) => {
   );
 };
 
-const Header = ({ currentTab, setTab, onOpenSettings }) => (
-  <header className="bg-slate-900 text-white p-4 shadow-lg sticky top-0 z-40">
-    <div className="max-w-4xl mx-auto flex justify-between items-center">
+// SVG filters that render everything inside <main> as seen with a colour-vision deficiency.
+// feColorMatrix works in linear RGB by default, matching the simulation matrices.
+const CvdFilters = () => (
+  <svg className="absolute w-0 h-0" aria-hidden="true">
+    <defs>
+      {CVD_TYPES.map(type => (
+        <filter key={type.id} id={`cvd-${type.id}`}>
+          <feColorMatrix
+            type="matrix"
+            values={[0, 3, 6].map(i => `${type.matrix.slice(i, i + 3).join(' ')} 0 0`).join(' ') + ' 0 0 0 1 0'}
+          />
+        </filter>
+      ))}
+    </defs>
+  </svg>
+);
+
+const Header = ({ currentTab, setTab, onOpenSettings, cvd, setCvd, lang, setLang, theme, setTheme }) => (
+  <header className="bg-slate-900 text-white p-4 shadow-lg sticky top-0 z-40 print:hidden">
+    <div className="max-w-4xl mx-auto flex flex-wrap justify-between items-center gap-2">
       <div className="flex items-center gap-2">
         <div className="w-8 h-8 rounded bg-gradient-to-br from-pink-500 via-red-500 to-yellow-500 flex items-center justify-center font-bold text-xs shadow-inner text-white">
           PCCS
         </div>
-        <h1 className="font-bold text-xl tracking-tight hidden sm:block">色彩大師 (Color Mastery)</h1>
+        <h1 className="font-bold text-xl tracking-tight hidden lg:block">{t('app.title')}</h1>
       </div>
       
       <div className="flex items-center gap-2">
-        <div className="flex bg-slate-800 rounded-lg p-1 mr-2">
-          <button onClick={() => setTab('learn')} className={`p-2 sm:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'learn' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}>
-            <BookOpen size={16} className="sm:mr-2 inline" /><span className="hidden sm:inline">圖鑑</span>
+        <div className="flex bg-slate-800 rounded-lg p-1 mr-2 overflow-x-auto">
+          <button onClick={() => setTab('learn')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'learn' ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <BookOpen size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.learn')}</span>
+          </button>
+          <button onClick={() => setTab('quiz')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'quiz' ? 'bg-emerald-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <HelpCircle size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.quiz')}</span>
+          </button>
+          <button onClick={() => setTab('stats')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'stats' ? 'bg-lime-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <BarChart3 size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.stats')}</span>
+          </button>
+          <button onClick={() => setTab('mix')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'mix' ? 'bg-orange-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <FlaskConical size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.mix')}</span>
+          </button>
+          <button onClick={() => setTab('ai')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'ai' ? 'bg-purple-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Sparkles size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.ai')}</span>
+          </button>
+          <button onClick={() => setTab('seasonal')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'seasonal' ? 'bg-rose-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Camera size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.seasonal')}</span>
+          </button>
+          <button onClick={() => setTab('identify')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'identify' ? 'bg-teal-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Pipette size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.identify')}</span>
           </button>
-          <button onClick={() => setTab('quiz')} className={`p-2 sm:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'quiz' ? 'bg-emerald-600 text-white' : 'text-slate-400 hover:text-white'}`}>
-            <HelpCircle size={16} className="sm:mr-2 inline" /><span className="hidden sm:inline">測驗</span>
+          <button onClick={() => setTab('image')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'image' ? 'bg-fuchsia-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <ImageIcon size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.image')}</span>
           </button>
-          <button onClick={() => setTab('ai')} className={`p-2 sm:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'ai' ? 'bg-purple-600 text-white' : 'text-slate-400 hover:text-white'}`}>
-            <Sparkles size={16} className="sm:mr-2 inline" /><span className="hidden sm:inline">AI</span>
+          <button onClick={() => setTab('sampler')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'sampler' ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Crosshair size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.sampler')}</span>
           </button>
-          <button onClick={() => setTab('seasonal')} className={`p-2 sm:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'seasonal' ? 'bg-rose-600 text-white' : 'text-slate-400 hover:text-white'}`}>
-            <Camera size={16} className="sm:mr-2 inline" /><span className="hidden sm:inline">季節</span>
+          <button onClick={() => setTab('harmony')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'harmony' ? 'bg-amber-500 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Palette size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.harmony')}</span>
+          </button>
+          <button onClick={() => setTab('contrast')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'contrast' ? 'bg-indigo-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Contrast size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.contrast')}</span>
+          </button>
+          <button onClick={() => setTab('print')} className={`p-2 md:px-3 rounded-md text-sm font-medium transition-all ${currentTab === 'print' ? 'bg-sky-600 text-white' : 'text-slate-400 hover:text-white'}`}>
+            <Printer size={16} className="md:mr-2 inline" /><span className="hidden md:inline">{t('nav.print')}</span>
           </button>
         </div>
         
+        <label className={`flex items-center gap-1 p-2 rounded-lg transition-colors ${cvd !== 'none' ? 'bg-amber-500 text-white' : 'text-slate-400 hover:text-white hover:bg-slate-800'}`} title={t('header.cvd')}>
+          <Eye size={20} />
+          <select
+            value={cvd}
+            onChange={(e) => setCvd(e.target.value)}
+            className="bg-transparent text-xs outline-none cursor-pointer max-w-[5rem] sm:max-w-none"
+          >
+            <option value="none" className="text-slate-900">{t('header.cvdNone')}</option>
+            {CVD_TYPES.map(type => <option key={type.id} value={type.id} className="text-slate-900">{t(`cvd.${type.id}`)}</option>)}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-1 p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors" title={t('header.language')}>
+          <Languages size={20} />
+          <select
+            value={lang}
+            onChange={(e) => setLang(e.target.value)}
+            className="bg-transparent text-xs outline-none cursor-pointer max-w-[5rem] sm:max-w-none"
+          >
+            {LANGUAGES.map(language => <option key={language.id} value={language.id} className="text-slate-900">{language.name}</option>)}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-1 p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors" title={t('header.theme')}>
+          <SunMoon size={20} />
+          <select
+            value={theme}
+            onChange={(e) => setTheme(e.target.value)}
+            className="bg-transparent text-xs outline-none cursor-pointer max-w-[5rem] sm:max-w-none"
+          >
+            {THEMES.map(id => <option key={id} value={id} className="text-slate-900">{t(`theme.${id}`)}</option>)}
+          </select>
+        </label>
+
         <button 
           onClick={onOpenSettings}
           className="p-2 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors"
-          title="API 設定"
+          title={t('settings.title')}
         >
           <Settings size={20} />
         </button>
@@ -273,64 +318,115 @@ const Header = ({ currentTab, setTab, onOpenSettings }) => (
   </header>
 );
 
-const ToneRow = ({ tone }) => {
-  const colors = HUES.map(hue => generateColor(tone, hue));
+const HueCountToggle = ({ hueCount, setHueCount }) => (
+  <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+    {HUE_COUNTS.map(count => (
+      <button
+        key={count}
+        onClick={() => setHueCount(count)}
+        className={`px-3 py-1 rounded-md transition-all ${hueCount === count ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+      >
+        {t('common.hueCount', { count })}
+      </button>
+    ))}
+  </div>
+);
+
+const REFERENCE_VIEWS = ['strips', 'map', 'wheel'];
+
+// The chart's view, hue circle and chip come from the route ("#/learn/dp18?view=map"):
+// the chip is open in the strips' detail panel, or focused in the tone map.
+const ReferenceView = ({ route, navigate, pins }) => {
+  const chipNotation = route.path[0];
+  const chip = useMemo(() => notationToColor(chipNotation), [chipNotation]);
+  const view = REFERENCE_VIEWS.includes(route.query.view) ? route.query.view : 'strips';
+  // Odd hue numbers only exist on the 24-hue circle
+  const hueCount = route.query.hues === '24' || chip?.hue?.id % 2 === 1 ? 24 : 12;
+  const [filter, setFilter] = useState(DEFAULT_FILTER);
+
+  const update = (changes) => {
+    const next = { chip, view, hueCount, ...changes };
+    navigate({
+      tab: 'learn',
+      path: next.chip ? [formatNotation(next.chip)] : [],
+      query: { view: next.view === 'strips' ? null : next.view, hues: next.hueCount === 24 ? 24 : null },
+    });
+  };
+
+  const setView = (id) => update({ view: id });
+  const setHueCount = (count) => update({ hueCount: count, chip: count === 12 && chip?.hue?.id % 2 === 1 ? null : chip });
+  const selectChip = (selected) => update({ chip: selected });
+
+  const deck = useMemo(() => generateFullDeck(hueCount), [hueCount]);
+  const filtering = isFilterActive(filter);
+  const isMatch = (chip) => !filtering || matchesFilter(chip, filter);
+  const matchCount = filtering ? deck.filter(isMatch).length : deck.length;
+
   return (
-    <div className="mb-8 bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
-      <div className="p-4 border-b border-slate-100 bg-slate-50 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="bg-blue-50 border border-blue-100 p-4 rounded-lg flex items-start gap-3">
+        <Info className="text-blue-500 mt-0.5 flex-shrink-0" size={20} />
         <div>
-          <h3 className="font-bold text-lg text-slate-800">{tone.label}</h3>
-          <p className="text-slate-500 text-sm">{tone.desc}</p>
-        </div>
-        <div className="flex gap-2 text-xs font-mono text-slate-400">
-          <span className="bg-white px-2 py-1 rounded border">S: {tone.s}%</span>
-          <span className="bg-white px-2 py-1 rounded border">L: {tone.l}%</span>
+          <h3 className="font-semibold text-blue-900 text-sm">{t('ref.introTitle')}</h3>
+          <p className="text-blue-700 text-sm mt-1">{t('ref.intro')}</p>
+          <p className="text-blue-700 text-xs mt-2">{t('ref.approxNote')}</p>
         </div>
       </div>
-      <div className="grid grid-cols-6 sm:grid-cols-12 h-24 sm:h-20">
-        {colors.map(c => (
-          <div key={c.id} className="h-full w-full group relative" style={{ backgroundColor: c.css }}>
-            <div className="opacity-0 group-hover:opacity-100 absolute inset-0 bg-black/40 flex items-center justify-center transition-opacity duration-200">
-              <span className="text-white text-[10px] text-center font-medium px-1">{c.hueName.split(' ')[0]}</span>
-            </div>
+      <div className="flex flex-col-reverse sm:flex-row sm:items-center justify-between gap-2">
+        <p className="text-xs text-slate-500 flex items-center gap-2">
+          <span className="relative inline-block w-4 h-4 rounded bg-teal-700"><OutOfGamutMark /></span>
+          {t('ref.outOfGamutNote')}
+        </p>
+        <div className="flex items-center gap-2">
+          <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+            {REFERENCE_VIEWS.map(id => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`px-3 py-1 rounded-md transition-all ${view === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+              >
+                {t(`ref.view.${id}`)}
+              </button>
+            ))}
           </div>
-        ))}
+          <HueCountToggle hueCount={hueCount} setHueCount={setHueCount} />
+          <ExportMenu
+            title={t('ref.exportTitle', { count: hueCount })}
+            label={t('ref.exportAll')}
+            getSwatches={() => generateFullDeck(hueCount).map(chipToSwatch)}
+          />
+        </div>
       </div>
+      {view === 'map' && <ToneMap hueCount={hueCount} focusChip={chip} />}
+      {view === 'wheel' && <HueCircle hueCount={hueCount} pins={pins} />}
+      {view === 'strips' && (
+        <>
+          <ChipFilterBar filter={filter} setFilter={setFilter} matchCount={matchCount} total={deck.length} />
+          {TONES.map(tone => (
+            <ToneRow key={tone.id} tone={tone} hueCount={hueCount} selectedChip={chip} onSelectChip={selectChip} isMatch={isMatch} pins={pins} />
+          ))}
+          <AchromaticRow selectedChip={chip} onSelectChip={selectChip} isMatch={isMatch} pins={pins} />
+        </>
+      )}
     </div>
   );
 };
 
-const ReferenceView = () => (
-  <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
-    <div className="bg-blue-50 border border-blue-100 p-4 rounded-lg flex items-start gap-3">
-      <Info className="text-blue-500 mt-0.5 flex-shrink-0" size={20} />
-      <div>
-        <h3 className="font-semibold text-blue-900 text-sm">PCCS 色調系統</h3>
-        <p className="text-blue-700 text-sm mt-1">
-          PCCS (Practical Color Coordinate System) 將飽和度與明度結合成「色調 (Tone)」。
-          在參加測驗前，請利用此圖表記憶每個類別的感覺。
-        </p>
-      </div>
-    </div>
-    {TONES.map(tone => <ToneRow key={tone.id} tone={tone} />)}
-  </div>
-);
-
 // --- AI Components ---
 
-const AIContextButton = ({ toneName, hueName, onResult }) => {
+const AIContextButton = ({ notation, toneName, hueName, onResult }) => {
   const [loading, setLoading] = useState(false);
   const [tip, setTip] = useState(null);
 
   const getAdvice = async () => {
     setLoading(true);
     try {
-      const prompt = `請針對 PCCS 色調 "${toneName}" 中的 ${hueName} 變體提供簡潔的設計建議（最多 2 句話）。請提及一個理想的應用場景（例如：「科技業的 Logo」或「嬰兒房牆面」）。請用繁體中文回答，避免過於艱澀的術語，著重於情感應用。`;
+      const prompt = `Give short design advice (at most 2 sentences) for the PCCS chip ${notation}, the ${hueName} variant of the "${toneName}" tone. Mention one ideal use case (for example "a tech company logo" or "a nursery wall"). Answer in ${answerLanguage()}, avoid jargon and focus on the emotional use of the colour.`;
       const result = await callOpenAI(prompt, "You are a helpful design assistant.");
       setTip(result);
       onResult?.();
     } catch (e) {
-      setTip("無法聯繫 AI。請檢查 API Key 設定！");
+      setTip(t('ai.tipError'));
     } finally {
       setLoading(false);
     }
@@ -340,7 +436,7 @@ const AIContextButton = ({ toneName, hueName, onResult }) => {
     return (
       <div className="mt-4 p-4 bg-purple-50 border border-purple-100 rounded-xl text-left animate-in fade-in slide-in-from-top-2">
         <div className="flex items-center gap-2 mb-1 text-purple-700 font-bold text-xs uppercase tracking-wider">
-          <Sparkles size={12} /> AI 設計建議
+          <Sparkles size={12} /> {t('ai.tipTitle')}
         </div>
         <p className="text-slate-700 text-sm leading-relaxed">{tip}</p>
       </div>
@@ -354,7 +450,7 @@ const AIContextButton = ({ toneName, hueName, onResult }) => {
       className="mt-4 w-full py-2 bg-gradient-to-r from-violet-100 to-fuchsia-100 hover:from-violet-200 hover:to-fuchsia-200 text-purple-700 rounded-xl font-medium text-sm transition-all flex items-center justify-center gap-2 border border-purple-200"
     >
       {loading ? <Loader2 className="animate-spin" size={16} /> : <Sparkles size={16} />}
-      {loading ? "正在詢問 AI..." : "詢問 AI 設計建議"}
+      {loading ? t('ai.asking') : t('ai.askTip')}
     </button>
   );
 };
@@ -372,10 +468,11 @@ const AILabView = () => {
 
     const prompt = `
       You are a color expert using the PCCS (Practical Color Coordinate System). The user wants a color tone for: "${input}".
-      Map this request to exactly ONE of these 12 IDs: 'v' (Vivid), 'b' (Bright), 's' (Strong), 'dp' (Deep), 'lt' (Light), 'sf' (Soft), 'd' (Dull), 'dk' (Dark), 'p' (Pale), 'ltg' (Light Grayish), 'g' (Grayish), 'dkg' (Dark Grayish).
+      Map this request to exactly ONE of these 17 PCCS tone symbols: 'v' (Vivid), 'b' (Bright), 's' (Strong), 'dp' (Deep), 'lt' (Light), 'sf' (Soft), 'd' (Dull), 'dk' (Dark), 'p' (Pale), 'ltg' (Light Grayish), 'g' (Grayish), 'dkg' (Dark Grayish),
+      or, for colourless moods, the achromatic tones 'W' (White), 'ltGy' (Light Gray), 'mGy' (Medium Gray), 'dkGy' (Dark Gray), 'Bk' (Black).
       
       Return ONLY valid JSON in this format: 
-      { "id": "code", "reasoning": "short explanation of why this tone fits the user's text, in Traditional Chinese (Taiwan)" }
+      { "id": "code", "reasoning": "short explanation of why this tone fits the user's text, in ${answerLanguage()}" }
     `;
 
     try {
@@ -383,14 +480,14 @@ const AILabView = () => {
       const jsonStr = rawText.replace(/```json|```/g, '').trim();
       const data = JSON.parse(jsonStr);
       
-      const tone = TONES.find(t => t.id === data.id);
+      const tone = parseNotation(data.id)?.tone;
       if (tone) {
         setResult({ tone, reasoning: data.reasoning });
       } else {
         throw new Error("Invalid tone ID returned");
       }
     } catch (err) {
-      setResult({ error: "抱歉，無法為該描述找到合適的色調。請檢查您的 API 設定或嘗試更簡單的描述！" });
+      setResult({ error: t('ai.moodError') });
     } finally {
       setLoading(false);
     }
@@ -402,9 +499,9 @@ const AILabView = () => {
         <div className="w-16 h-16 bg-purple-100 text-purple-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
           <Bot size={32} />
         </div>
-        <h2 className="text-2xl font-bold text-slate-900">AI 氛圍配色 (Mood Matcher)</h2>
-        <p className="text-slate-500">描述一種感覺、專案或季節，AI 將為您找到完美的 PCCS 色調。</p>
-        <p className="text-xs text-slate-400">請確保已設定 API Key</p>
+        <h2 className="text-2xl font-bold text-slate-900">{t('ai.moodTitle')}</h2>
+        <p className="text-slate-500">{t('ai.moodIntro')}</p>
+        <p className="text-xs text-slate-400">{t('ai.needKey')}</p>
       </div>
 
       <form onSubmit={handleMatch} className="relative">
@@ -412,7 +509,7 @@ const AILabView = () => {
           type="text"
           value={input}
           onChange={(e) => setInput(e.target.value)}
-          placeholder="例如：「台北的雨後午後」或「復古咖啡廳」"
+          placeholder={t('ai.moodPlaceholder')}
           className="w-full p-4 pr-12 rounded-xl border-2 border-slate-200 focus:border-purple-500 focus:ring-4 focus:ring-purple-100 outline-none transition-all text-lg shadow-sm"
         />
         <button 
@@ -427,17 +524,17 @@ const AILabView = () => {
       {result && !result.error && (
         <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-purple-100 animate-in zoom-in-95 duration-300">
           <div className="p-6 bg-gradient-to-br from-purple-50 to-white">
-            <p className="text-xs font-bold text-purple-600 uppercase tracking-widest mb-2">AI 推薦</p>
+            <p className="text-xs font-bold text-purple-600 uppercase tracking-widest mb-2">{t('ai.recommendation')}</p>
             <h3 className="text-3xl font-bold text-slate-900 mb-2">{result.tone.label}</h3>
             <p className="text-slate-600 text-lg mb-6 leading-relaxed">"{result.reasoning}"</p>
             
             <div className="space-y-4">
-              <p className="text-sm font-medium text-slate-400 uppercase">範例配色 ({result.tone.name} Tone)</p>
-              <div className="grid grid-cols-6 h-16 rounded-lg overflow-hidden ring-1 ring-black/5">
-                {[0, 2, 4, 6, 8, 10].map(idx => {
-                  const c = generateColor(result.tone, HUES[idx]);
-                  return <div key={c.id} className="h-full w-full" style={{ backgroundColor: c.css }} title={c.hueName} />;
-                })}
+              <p className="text-sm font-medium text-slate-400 uppercase">{t('ai.samplePalette', { tone: result.tone.name })}</p>
+              <div className="flex h-16 rounded-lg overflow-hidden ring-1 ring-black/5">
+                {(result.tone.achromatic
+                  ? ACHROMATIC_SCALE.filter(step => step.toneId === result.tone.id).map(generateAchromatic)
+                  : [2, 6, 10, 14, 18, 22].map(hueId => generateColor(result.tone, HUES.find(h => h.id === hueId)))
+                ).map(c => <div key={c.id} className="h-full flex-1" style={{ backgroundColor: c.css }} title={chipHueName(c)} />)}
               </div>
             </div>
           </div>
@@ -455,271 +552,445 @@ const AILabView = () => {
 
 // --- Quiz Components ---
 
-const Flashcard = ({ card, onGuess, showAnswer, isCorrect, selectedOption, nextCard }) => {
-  const options = useMemo(() => {
-    const distractors = TONES
-      .filter(t => t.id !== card.toneId)
-      .sort(() => 0.5 - Math.random())
-      .slice(0, 3);
-    const correctTone = TONES.find(t => t.id === card.toneId);
-    return [...distractors, correctTone].sort(() => 0.5 - Math.random());
-  }, [card]);
+const GRADE_STYLES = {
+  correct: { icon: Check, className: 'bg-emerald-500', bar: 'bg-emerald-500' },
+  partial: { icon: Check, className: 'bg-amber-500', bar: 'bg-amber-400' },
+  wrong:   { icon: X,     className: 'bg-red-500', bar: 'bg-red-500' },
+};
 
-  const [tipKey, setTipKey] = useState(0);
-  useEffect(() => setTipKey(k => k + 1), [card]);
+// Card layout shared by the quiz modes: the colour, and once answered an overlay with the
+// grade, `renderAnswer()`, a pin, the AI tip and the next button. `children` is the question
+// shown below the card until it is answered.
+const FlashcardShell = ({ color, outOfGamut, showAnswer, grade, pinItem, context, nextLabel, nextCard, pins, renderAnswer, children }) => {
+  const GradeIcon = grade && GRADE_STYLES[grade].icon;
 
   return (
     <div className="max-w-md mx-auto w-full">
-      <div className="relative aspect-square sm:aspect-video w-full rounded-2xl shadow-xl mb-6 transition-all duration-300 transform"
-           style={{ backgroundColor: card.css }}>
-        
-        {showAnswer && (
-          <div className={`absolute inset-0 flex items-center justify-center flex-col bg-black/30 backdrop-blur-sm rounded-2xl animate-in zoom-in duration-300 p-4`}>
-            {isCorrect ? (
-              <div className="bg-emerald-500 text-white p-3 rounded-full mb-2 shadow-lg scale-75">
-                <Check size={32} strokeWidth={4} />
+      {/* In the gray theme the card is matted on the N5 surround */}
+      <div className="chip-surround rounded-3xl mb-6 [[data-theme=gray]_&]:p-6">
+        <div className="relative aspect-square sm:aspect-video w-full rounded-2xl shadow-xl transition-all duration-300 transform"
+             style={{ backgroundColor: color }}>
+          {outOfGamut && !showAnswer && (
+            <span className="absolute top-3 right-3 text-[10px] font-medium bg-white/80 text-slate-600 px-2 py-1 rounded-full">{t('quiz.approxColor')}</span>
+          )}
+
+          {showAnswer && (
+            <div className="absolute inset-0 flex items-center justify-center flex-col bg-black/30 backdrop-blur-sm rounded-2xl animate-in zoom-in duration-300 p-4">
+              <div className={`${GRADE_STYLES[grade].className} text-white p-3 rounded-full mb-2 shadow-lg scale-75`}>
+                <GradeIcon size={32} strokeWidth={4} />
               </div>
-            ) : (
-              <div className="bg-red-500 text-white p-3 rounded-full mb-2 shadow-lg scale-75">
-                <X size={32} strokeWidth={4} />
+              <div className="bg-white/95 w-full max-w-sm px-6 py-4 rounded-xl shadow-2xl text-center backdrop-blur-md">
+                <div className="relative">
+                  <PinButton item={pinItem} pins={pins} className="absolute -top-1 -right-3" />
+                  <p className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-1">{t('quiz.correctAnswer')}</p>
+                </div>
+                {renderAnswer()}
+
+                <AIContextButton {...context} />
+
+                <button
+                  onClick={nextCard}
+                  className="mt-4 w-full py-3 bg-slate-900 text-white rounded-lg font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2 shadow-lg"
+                >
+                  {nextLabel} <ChevronRight size={18} />
+                </button>
               </div>
-            )}
-            <div className="bg-white/95 w-full max-w-sm px-6 py-4 rounded-xl shadow-2xl text-center backdrop-blur-md">
-              <p className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-1">正確答案 (Correct Answer)</p>
-              <h2 className="text-2xl font-bold text-slate-900 mb-1">{card.toneLabel}</h2>
-              <p className="text-slate-500 text-sm mb-3">{card.toneName} - {card.hueName}</p>
-              
-              <div key={tipKey}>
-                <AIContextButton toneName={card.toneName} hueName={card.hueName} />
-              </div>
-
-              <button 
-                onClick={nextCard}
-                className="mt-4 w-full py-3 bg-slate-900 text-white rounded-lg font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2 shadow-lg"
-              >
-                下一個顏色 <ChevronRight size={18} />
-              </button>
             </div>
-          </div>
-        )}
+          )}
+        </div>
       </div>
 
-      {!showAnswer && (
+      {!showAnswer && children}
+    </div>
+  );
+};
+
+const cardShellProps = (card) => ({
+  color: card.css,
+  outOfGamut: card.outOfGamut,
+  pinItem: chipToCompareItem(card),
+  context: { notation: formatNotation(card), toneName: card.toneName, hueName: chipHueName(card) },
+});
+
+const Flashcard = ({ card, onGuess, showAnswer, grade, nextCard, pins }) => {
+  const options = useMemo(() => {
+    // Grays are only confused with other grays, so distractors come from the card's own series
+    const pool = card.achromatic ? ACHROMATIC_TONES : TONES;
+    const distractors = pool
+      .filter(t => t.id !== card.toneId)
+      .sort(() => 0.5 - Math.random())
+      .slice(0, 3);
+    const correctTone = pool.find(t => t.id === card.toneId);
+    return [...distractors, correctTone].sort(() => 0.5 - Math.random());
+  }, [card]);
+
+  return (
+    <FlashcardShell
+      {...cardShellProps(card)}
+      showAnswer={showAnswer}
+      grade={grade}
+      nextLabel={t('quiz.nextColor')}
+      nextCard={nextCard}
+      pins={pins}
+      renderAnswer={() => (
         <>
-          <div className="text-center mb-6">
-            <h2 className="text-xl font-bold text-slate-800">辨識色調 (Identify the Tone)</h2>
-            <p className="text-slate-500 text-sm">選擇最符合此顏色的類別。</p>
-          </div>
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-            {options.map((opt) => (
-              <button
-                key={opt.id}
-                onClick={() => onGuess(opt.id)}
-                className="p-4 rounded-xl border-2 text-left transition-all duration-200 bg-white border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-slate-700 shadow-sm hover:shadow-md"
-              >
-                <span className="text-lg font-semibold block">{opt.label}</span>
-                <span className="text-xs opacity-70">{opt.desc}</span>
-              </button>
-            ))}
-          </div>
+          <h2 className="text-2xl font-bold text-slate-900 mb-1">{card.toneLabel}</h2>
+          <p className="text-slate-500 text-sm mb-3">{formatNotation(card, { symbol: true })} · {card.achromatic ? card.toneName : `${card.toneName} - ${formatHue(card.hue)} ${hueName(card.hue)}`}</p>
         </>
       )}
-    </div>
+    >
+      <div className="text-center mb-6">
+        <h2 className="text-xl font-bold text-slate-800">{t('quiz.identifyTitle')}</h2>
+        <p className="text-slate-500 text-sm">{t('quiz.identifyHint')}</p>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {options.map((opt) => (
+          <button
+            key={opt.id}
+            onClick={() => onGuess(opt.id)}
+            className="p-4 rounded-xl border-2 text-left transition-all duration-200 bg-white border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-slate-700 shadow-sm hover:shadow-md"
+          >
+            <span className="text-lg font-semibold block">{opt.label}</span>
+            <span className="text-xs opacity-70">{toneDesc(opt)}</span>
+          </button>
+        ))}
+      </div>
+    </FlashcardShell>
   );
 };
 
-const ToneDescriptionFlashcard = ({ tone, onGuess, showAnswer, isCorrect, selectedDesc, nextCard }) => {
+const ToneDescriptionFlashcard = ({ tone, hueCount, onGuess, showAnswer, grade, nextCard, pins }) => {
   const options = useMemo(() => {
-    // Get all descriptions from tones
-    const allDescriptions = TONES.map(t => ({ id: t.id, desc: t.desc, label: t.label }));
     // Get 3 random wrong descriptions
-    const distractors = allDescriptions
+    const distractors = TONES
       .filter(t => t.id !== tone.id)
       .sort(() => 0.5 - Math.random())
       .slice(0, 3);
     // Add the correct description
-    const correctDesc = { id: tone.id, desc: tone.desc, label: tone.label };
-    return [...distractors, correctDesc].sort(() => 0.5 - Math.random());
+    return [...distractors, tone].sort(() => 0.5 - Math.random());
   }, [tone]);
 
   // Generate a sample color for this tone (using a random hue)
   const sampleHue = useMemo(() => {
-    return HUES[Math.floor(Math.random() * HUES.length)];
-  }, [tone]);
+    const hues = getHues(hueCount);
+    return hues[Math.floor(Math.random() * hues.length)];
+  }, [tone, hueCount]);
 
   const sampleColor = generateColor(tone, sampleHue);
 
-  const [tipKey, setTipKey] = useState(0);
-  useEffect(() => setTipKey(k => k + 1), [tone]);
-
   return (
-    <div className="max-w-md mx-auto w-full">
-      <div className="relative aspect-square sm:aspect-video w-full rounded-2xl shadow-xl mb-6 transition-all duration-300 transform overflow-hidden"
-           style={{ backgroundColor: sampleColor.css }}>
-        
-        {showAnswer && (
-          <div className={`absolute inset-0 flex items-center justify-center flex-col bg-black/30 backdrop-blur-sm rounded-2xl animate-in zoom-in duration-300 p-4`}>
-            {isCorrect ? (
-              <div className="bg-emerald-500 text-white p-3 rounded-full mb-2 shadow-lg scale-75">
-                <Check size={32} strokeWidth={4} />
-              </div>
-            ) : (
-              <div className="bg-red-500 text-white p-3 rounded-full mb-2 shadow-lg scale-75">
-                <X size={32} strokeWidth={4} />
-              </div>
-            )}
-            <div className="bg-white/95 w-full max-w-sm px-6 py-4 rounded-xl shadow-2xl text-center backdrop-blur-md">
-              <p className="text-[10px] uppercase tracking-wider text-slate-400 font-bold mb-1">正確答案 (Correct Answer)</p>
-              <h2 className="text-2xl font-bold text-slate-900 mb-1">{tone.label}</h2>
-              <p className="text-slate-500 text-sm mb-3">{tone.desc}</p>
-              
-              <div key={tipKey}>
-                <AIContextButton toneName={tone.name} hueName={sampleHue.name} />
-              </div>
+    <FlashcardShell
+      color={sampleColor.css}
+      pinItem={chipToCompareItem(sampleColor)}
+      context={{ notation: formatNotation({ tone, hue: sampleHue }), toneName: tone.name, hueName: hueName(sampleHue) }}
+      showAnswer={showAnswer}
+      grade={grade}
+      nextLabel={t('quiz.nextTone')}
+      nextCard={nextCard}
+      pins={pins}
+      renderAnswer={() => (
+        <>
+          <h2 className="text-2xl font-bold text-slate-900 mb-1">{tone.label}</h2>
+          <p className="text-slate-500 text-sm mb-3">{toneDesc(tone)}</p>
+        </>
+      )}
+    >
+      <div className="text-center mb-6">
+        <h2 className="text-xl font-bold text-slate-800 mb-2">{tone.label}</h2>
+        <p className="text-slate-500 text-sm">{t('quiz.describeHint')}</p>
+      </div>
+      <div className="grid grid-cols-1 gap-3">
+        {options.map((opt) => (
+          <button
+            key={opt.id}
+            onClick={() => onGuess(opt.id, sampleHue)}
+            className="p-4 rounded-xl border-2 text-left transition-all duration-200 bg-white border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-slate-700 shadow-sm hover:shadow-md"
+          >
+            <span className="text-sm leading-relaxed">{toneDesc(opt)}</span>
+          </button>
+        ))}
+      </div>
+    </FlashcardShell>
+  );
+};
 
-              <button 
-                onClick={nextCard}
-                className="mt-4 w-full py-3 bg-slate-900 text-white rounded-lg font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2 shadow-lg"
-              >
-                下一個色調 <ChevronRight size={18} />
-              </button>
-            </div>
-          </div>
+const HUE_LEVELS = ['any', 'grayish'];
+
+// Low-chroma tones, where the hue is hardest to judge
+const GRAYISH_TONE_IDS = ['ltg', 'g', 'dkg'];
+
+const HueFlashcard = ({ card, hueCount, onGuess, showAnswer, grade, selectedHue, nextCard, pins }) => (
+  <FlashcardShell
+    {...cardShellProps(card)}
+    showAnswer={showAnswer}
+    grade={grade}
+    nextLabel={t('quiz.nextColor')}
+    nextCard={nextCard}
+    pins={pins}
+    renderAnswer={() => (
+      <>
+        <h2 className="text-2xl font-bold text-slate-900 mb-1">{formatHue(card.hue)} {hueShortName(card.hue)}</h2>
+        <p className="text-slate-500 text-sm mb-1">{formatNotation(card, { symbol: true })} · {card.toneName} - {hueName(card.hue)}</p>
+        {grade !== 'correct' && (
+          <p className={`text-sm font-medium ${grade === 'partial' ? 'text-amber-600' : 'text-red-600'}`}>
+            {t(grade === 'partial' ? 'quiz.hueOneStep' : 'quiz.huePicked', { hue: `${formatHue(selectedHue)} ${hueShortName(selectedHue)}` })}
+          </p>
         )}
-      </div>
+      </>
+    )}
+  >
+    <div className="text-center mb-6">
+      <h2 className="text-xl font-bold text-slate-800">{t('quiz.hueTitle')}</h2>
+      <p className="text-slate-500 text-sm">{t('quiz.hueHint')}</p>
+    </div>
+    <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+      {getHues(hueCount).map(hue => (
+        <button
+          key={hue.id}
+          onClick={() => onGuess(hue)}
+          className="p-2 rounded-xl border-2 transition-all duration-200 bg-white border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-slate-700 shadow-sm hover:shadow-md"
+        >
+          <span className="font-mono font-semibold block">{formatHue(hue)}</span>
+          <span className="text-xs opacity-70">{hueShortName(hue)}</span>
+        </button>
+      ))}
+    </div>
+  </FlashcardShell>
+);
+
+// Accepts "DP18" as well as "dp18"; only chromatic notation with a hue number is an answer
+const parseNotationAnswer = (text) => {
+  const parsed = parseNotation(text) || parseNotation(text.trim().toLowerCase());
+  return parsed && parsed.kind === 'chromatic' && parsed.hue ? parsed : null;
+};
 
-      {!showAnswer && (
+const BREAKDOWN_STYLES = { correct: 'text-emerald-600', adjacent: 'text-amber-600', wrong: 'text-red-600' };
+
+const NotationFlashcard = ({ card, onGuess, showAnswer, grade, result, answer, nextCard, pins }) => {
+  const [input, setInput] = useState('');
+  const [invalid, setInvalid] = useState(false);
+  useEffect(() => {
+    setInput('');
+    setInvalid(false);
+  }, [card]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const parsed = parseNotationAnswer(input);
+    if (parsed) onGuess(parsed);
+    else setInvalid(true);
+  };
+
+  const hueStatus = result && (result.hueSteps === 0 ? 'correct' : result.huePoints > 0 ? 'adjacent' : 'wrong');
+
+  return (
+    <FlashcardShell
+      {...cardShellProps(card)}
+      showAnswer={showAnswer}
+      grade={grade}
+      nextLabel={t('quiz.nextColor')}
+      nextCard={nextCard}
+      pins={pins}
+      renderAnswer={() => (
         <>
-          <div className="text-center mb-6">
-            <h2 className="text-xl font-bold text-slate-800 mb-2">{tone.label}</h2>
-            <p className="text-slate-500 text-sm">選擇最符合此色調的描述。</p>
-          </div>
-          <div className="grid grid-cols-1 gap-3">
-            {options.map((opt) => (
-              <button
-                key={opt.id}
-                onClick={() => onGuess(opt.id)}
-                className="p-4 rounded-xl border-2 text-left transition-all duration-200 bg-white border-slate-200 hover:border-blue-300 hover:bg-blue-50 text-slate-700 shadow-sm hover:shadow-md"
-              >
-                <span className="text-sm leading-relaxed">{opt.desc}</span>
-              </button>
-            ))}
+          <h2 className="text-2xl font-bold font-mono text-slate-900 mb-1">{formatNotation(card, { symbol: true })}</h2>
+          <p className="text-slate-500 text-sm mb-3">{card.toneName} - {formatHue(card.hue)} {hueName(card.hue)}</p>
+
+          <div className="text-sm text-left border-t border-slate-100 pt-3 space-y-1">
+            <p className="text-slate-500">{t('quiz.notation.typed', { notation: formatNotation(answer, { symbol: true }) })}</p>
+            <p className="flex justify-between gap-2">
+              <span className={BREAKDOWN_STYLES[result.tone]}>
+                {t(`quiz.notation.tone.${result.tone}`, { tone: card.tone.id, chosen: answer.tone.id })}
+              </span>
+              <span className="font-mono text-slate-700">+{result.tonePoints}</span>
+            </p>
+            <p className="flex justify-between gap-2">
+              <span className={BREAKDOWN_STYLES[hueStatus]}>
+                {result.hueSteps === 0 ? t('quiz.notation.hueCorrect') : t('quiz.notation.hueSteps', { steps: result.hueSteps, hue: formatHue(answer.hue) })}
+              </span>
+              <span className="font-mono text-slate-700">+{result.huePoints}</span>
+            </p>
+            <p className="flex justify-between gap-2 font-bold text-slate-900">
+              <span>{t('quiz.notation.total')}</span>
+              <span className="font-mono">{result.points} / 10</span>
+            </p>
           </div>
         </>
       )}
-    </div>
+    >
+      <div className="text-center mb-6">
+        <h2 className="text-xl font-bold text-slate-800">{t('quiz.notation.title')}</h2>
+        <p className="text-slate-500 text-sm">{t('quiz.notation.hint')}</p>
+      </div>
+      <form onSubmit={submit} className="relative">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => { setInput(e.target.value); setInvalid(false); }}
+          placeholder={t('quiz.notation.placeholder')}
+          autoFocus
+          autoComplete="off"
+          spellCheck={false}
+          className={`w-full p-4 pr-28 rounded-xl border-2 font-mono text-lg bg-white shadow-sm outline-none transition-all ${invalid ? 'border-red-300' : 'border-slate-200 focus:border-blue-500 focus:ring-4 focus:ring-blue-100'}`}
+        />
+        <button
+          type="submit"
+          disabled={!input.trim()}
+          className="absolute right-2 top-2 bottom-2 bg-blue-600 text-white rounded-lg px-4 font-medium hover:bg-blue-700 disabled:opacity-50 disabled:hover:bg-blue-600 transition-colors"
+        >
+          {t('quiz.notation.check')}
+        </button>
+      </form>
+      {invalid && <p className="mt-2 text-sm text-red-600">{t('quiz.notation.invalid')}</p>}
+    </FlashcardShell>
   );
 };
 
-const QuizView = () => {
-  const [quizMode, setQuizMode] = useState('color-to-tone'); // 'color-to-tone' or 'tone-to-desc'
-  const [deck, setDeck] = useState([]);
-  const [toneDeck, setToneDeck] = useState([]);
-  const [currentCardIndex, setCurrentCardIndex] = useState(0);
-  const [currentToneIndex, setCurrentToneIndex] = useState(0);
+const QUIZ_MODES = [
+  { id: 'color-to-tone',     label: 'quiz.mode.colorToTone' },
+  { id: 'tone-to-desc',      label: 'quiz.mode.toneToDesc' },
+  { id: 'color-to-hue',      label: 'quiz.mode.colorToHue' },
+  { id: 'color-to-notation', label: 'quiz.mode.colorToNotation' },
+];
+
+// Mode, hue circle and hue-quiz level come from the route ("#/quiz/color-to-hue?hues=24&level=grayish")
+const QuizView = ({ route, navigate, pins }) => {
+  const quizMode = QUIZ_MODES.some(mode => mode.id === route.path[0]) ? route.path[0] : QUIZ_MODES[0].id;
+  const hueCount = route.query.hues === '24' ? 24 : 12;
+  const level = HUE_LEVELS.includes(route.query.level) ? route.query.level : HUE_LEVELS[0];
+  const setQuizMode = (mode) => navigate({ ...route, path: [mode] });
+  const setHueCount = (count) => navigate({ ...route, query: { ...route.query, hues: count === 24 ? 24 : null } });
+  const setLevel = (id) => navigate({ ...route, query: { ...route.query, level: id === HUE_LEVELS[0] ? null : id } });
+  const [schedule, setSchedule] = useState(loadSchedule);
+  const [card, setCard] = useState(null);
+  const shownAt = useRef(Date.now());
   const [showAnswer, setShowAnswer] = useState(false);
   const [selectedOption, setSelectedOption] = useState(null);
+  const [grade, setGrade] = useState(null);
+  const [result, setResult] = useState(null); // notation breakdown
   const [score, setScore] = useState(0);
   const [streak, setStreak] = useState(0);
   const [bestStreak, setBestStreak] = useState(0);
   const [history, setHistory] = useState([]);
 
-  useEffect(() => {
-    setDeck(generateFullDeck().sort(() => 0.5 - Math.random()));
-    setToneDeck([...TONES].sort(() => 0.5 - Math.random()));
-  }, []);
-
-  // Reset quiz when mode changes
+  // Chips are scheduled by chip id (dp18, Gy-5.5), descriptions by tone id. The hue and
+  // notation quizzes only use chromatic chips; the hue quiz's harder level only grayish ones.
+  const deck = useMemo(() => {
+    if (quizMode === 'tone-to-desc') return TONES;
+    const chips = generateFullDeck(hueCount);
+    if (quizMode === 'color-to-tone') return chips;
+    if (quizMode === 'color-to-notation') return chips.filter(chip => !chip.achromatic);
+    return chips.filter(chip => !chip.achromatic && (level === 'any' || GRAYISH_TONE_IDS.includes(chip.toneId)));
+  }, [quizMode, hueCount, level]);
+  const counts = useMemo(() => countDue(schedule, quizMode, deck), [schedule, quizMode, deck]);
+
+  useEffect(() => saveSchedule(schedule), [schedule]);
+  useEffect(() => { shownAt.current = Date.now(); }, [card]);
+
+  // Reset quiz when mode, hue circle or level changes
   useEffect(() => {
     setShowAnswer(false);
     setSelectedOption(null);
-    setCurrentCardIndex(0);
-    setCurrentToneIndex(0);
+    setGrade(null);
+    setResult(null);
     setScore(0);
     setStreak(0);
     setHistory([]);
-    setDeck(generateFullDeck().sort(() => 0.5 - Math.random()));
-    setToneDeck([...TONES].sort(() => 0.5 - Math.random()));
-  }, [quizMode]);
-
-  const handleGuess = (toneId) => {
-    if (quizMode === 'color-to-tone') {
-      const currentCard = deck[currentCardIndex];
-      const isCorrect = toneId === currentCard.toneId;
-      setSelectedOption(toneId);
-      setShowAnswer(true);
-
-      if (isCorrect) {
-        setScore(s => s + 10);
-        setStreak(s => {
-          const newStreak = s + 1;
-          setBestStreak(b => Math.max(b, newStreak));
-          return newStreak;
-        });
-        setHistory(h => [...h.slice(-4), true]);
-      } else {
-        setStreak(0);
-        setHistory(h => [...h.slice(-4), false]);
-      }
+    setCard(pickNextCard(schedule, quizMode, deck));
+  }, [quizMode, hueCount, level]);
+
+  // Tone modes guess a tone id, the hue mode a hue and the notation mode a parsed notation.
+  // The description quiz shows its tone on a random hue, which it passes back with the guess.
+  const handleGuess = (choice, hue = card.hue) => {
+    let answer;
+    let result;
+    let points;
+    if (quizMode === 'color-to-notation') {
+      const breakdown = gradeNotation(card, choice, hueCount);
+      ({ grade: result, points } = breakdown);
+      setResult(breakdown);
+      answer = { toneId: card.toneId, hueId: card.hue.id, chosenToneId: choice.tone.id, chosenHueId: choice.hue.id };
+    } else if (quizMode === 'color-to-hue') {
+      result = gradeHue(card.hue, choice, hueCount);
+      answer = { toneId: card.toneId, hueId: card.hue.id, chosenHueId: choice.id };
     } else {
-      const currentTone = toneDeck[currentToneIndex];
-      const isCorrect = toneId === currentTone.id;
-      setSelectedOption(toneId);
-      setShowAnswer(true);
-
-      if (isCorrect) {
-        setScore(s => s + 10);
-        setStreak(s => {
-          const newStreak = s + 1;
-          setBestStreak(b => Math.max(b, newStreak));
-          return newStreak;
-        });
-        setHistory(h => [...h.slice(-4), true]);
-      } else {
-        setStreak(0);
-        setHistory(h => [...h.slice(-4), false]);
-      }
+      const correctToneId = quizMode === 'color-to-tone' ? card.toneId : card.id;
+      result = choice === correctToneId ? 'correct' : 'wrong';
+      answer = { toneId: correctToneId, chosenToneId: choice, hueId: card.achromatic ? null : hue.id };
+    }
+    recordAnswer({ mode: quizMode, cardId: card.id, ...answer, grade: result, ms: Date.now() - shownAt.current });
+    setSelectedOption(choice);
+    setGrade(result);
+    setShowAnswer(true);
+    setSchedule(s => reviewCard(s, quizMode, card.id, result === 'correct'));
+
+    // A near miss earns part of the points and leaves the streak as it is
+    setScore(s => s + (points ?? GRADE_POINTS[result]));
+    setHistory(h => [...h.slice(-4), result]);
+    if (result === 'correct') {
+      setStreak(s => {
+        const newStreak = s + 1;
+        setBestStreak(b => Math.max(b, newStreak));
+        return newStreak;
+      });
+    } else if (result === 'wrong') {
+      setStreak(0);
     }
   };
 
   const nextCard = () => {
     setShowAnswer(false);
     setSelectedOption(null);
-    if (quizMode === 'color-to-tone') {
-      setCurrentCardIndex(prev => (prev + 1) % deck.length);
-    } else {
-      setCurrentToneIndex(prev => (prev + 1) % toneDeck.length);
-    }
+    setGrade(null);
+    setResult(null);
+    setCard(pickNextCard(schedule, quizMode, deck, card.id));
   };
 
-  if (deck.length === 0 || toneDeck.length === 0) {
-    return <div className="p-12 text-center text-slate-500">正在載入 PCCS 引擎...</div>;
+  // The card is picked after the first render, and again when the mode changes
+  if (!card || !deck.includes(card)) {
+    return <div className="p-12 text-center text-slate-500">{t('quiz.loading')}</div>;
   }
 
   return (
     <div className="max-w-2xl mx-auto">
       {/* Quiz Mode Selector */}
-      <div className="mb-6 bg-white rounded-xl shadow-sm border border-slate-200 p-2 flex gap-2">
-        <button
-          onClick={() => setQuizMode('color-to-tone')}
-          className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all ${
-            quizMode === 'color-to-tone'
-              ? 'bg-blue-600 text-white shadow-md'
-              : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
-          }`}
-        >
-          顏色 → 色調
-        </button>
-        <button
-          onClick={() => setQuizMode('tone-to-desc')}
-          className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all ${
-            quizMode === 'tone-to-desc'
-              ? 'bg-blue-600 text-white shadow-md'
-              : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
-          }`}
-        >
-          色調 → 描述
-        </button>
+      <div className="mb-6 bg-white rounded-xl shadow-sm border border-slate-200 p-2 grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {QUIZ_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setQuizMode(id)}
+            className={`flex-1 py-3 px-4 rounded-lg font-medium transition-all ${
+              quizMode === id
+                ? 'bg-blue-600 text-white shadow-md'
+                : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {t(label)}
+          </button>
+        ))}
+      </div>
+
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-slate-500 flex items-center gap-1.5">
+          <CalendarCheck size={16} className={counts.due > 0 ? 'text-emerald-600' : 'text-slate-400'} />
+          {t('quiz.dueToday', { due: counts.due, fresh: counts.fresh })}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {quizMode === 'color-to-hue' && (
+            <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+              {HUE_LEVELS.map(id => (
+                <button
+                  key={id}
+                  onClick={() => setLevel(id)}
+                  className={`px-3 py-1 rounded-md transition-all ${level === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {t(`quiz.level.${id}`)}
+                </button>
+              ))}
+            </div>
+          )}
+          <HueCountToggle hueCount={hueCount} setHueCount={setHueCount} />
+        </div>
       </div>
 
       <div className="flex items-center justify-between mb-6 bg-slate-900 text-white p-4 rounded-xl shadow-md">
@@ -728,65 +999,170 @@ const QuizView = () => {
             <Trophy className="text-yellow-400" size={20} />
           </div>
           <div>
-            <p className="text-xs text-slate-400 uppercase font-bold">分數 (Score)</p>
+            <p className="text-xs text-slate-400 uppercase font-bold">{t('quiz.score')}</p>
             <p className="font-mono text-xl font-bold">{score}</p>
           </div>
         </div>
         <div className="flex gap-1">
           {history.map((res, i) => (
-            <div key={i} className={`w-2 h-8 rounded-full ${res ? 'bg-emerald-500' : 'bg-red-500'}`} />
+            <div key={i} className={`w-2 h-8 rounded-full ${GRADE_STYLES[res].bar}`} />
           ))}
         </div>
         <div className="text-right">
-           <p className="text-xs text-slate-400 uppercase font-bold">連勝 (Streak)</p>
+           <p className="text-xs text-slate-400 uppercase font-bold">{t('quiz.streak')}</p>
            <p className="font-mono text-xl font-bold text-emerald-400 flex items-center justify-end gap-1">
-             {streak} <span className="text-xs text-slate-500 font-normal">/ 最佳: {bestStreak}</span>
+             {streak} <span className="text-xs text-slate-500 font-normal">{t('quiz.best', { best: bestStreak })}</span>
            </p>
         </div>
       </div>
 
-      {quizMode === 'color-to-tone' ? (
+      {quizMode === 'color-to-tone' && (
         <Flashcard 
-          card={deck[currentCardIndex]} 
+          card={card} 
           onGuess={handleGuess}
           showAnswer={showAnswer}
-          isCorrect={selectedOption === deck[currentCardIndex]?.toneId}
-          selectedOption={selectedOption}
+          grade={grade}
           nextCard={nextCard}
+          pins={pins}
         />
-      ) : (
+      )}
+      {quizMode === 'tone-to-desc' && (
         <ToneDescriptionFlashcard
-          tone={toneDeck[currentToneIndex]}
+          tone={card}
+          hueCount={hueCount}
           onGuess={handleGuess}
           showAnswer={showAnswer}
-          isCorrect={selectedOption === toneDeck[currentToneIndex]?.id}
-          selectedDesc={selectedOption}
+          grade={grade}
           nextCard={nextCard}
+          pins={pins}
+        />
+      )}
+      {quizMode === 'color-to-hue' && (
+        <HueFlashcard
+          card={card}
+          hueCount={hueCount}
+          onGuess={handleGuess}
+          showAnswer={showAnswer}
+          grade={grade}
+          selectedHue={selectedOption}
+          nextCard={nextCard}
+          pins={pins}
+        />
+      )}
+      {quizMode === 'color-to-notation' && (
+        <NotationFlashcard
+          card={card}
+          onGuess={handleGuess}
+          showAnswer={showAnswer}
+          grade={grade}
+          result={result}
+          answer={selectedOption}
+          nextCard={nextCard}
+          pins={pins}
         />
       )}
     </div>
   );
 };
 
+// Floating tray of pinned colours, shown outside the compare view
+const CompareTray = ({ pinned, onOpen, onClear }) => (
+  <div className="fixed bottom-4 right-4 z-30 print:hidden bg-white rounded-full shadow-xl border border-slate-200 pl-3 pr-1.5 py-1.5 flex items-center gap-2 animate-in fade-in slide-in-from-bottom-4">
+    <div className="flex -space-x-1.5">
+      {pinned.map(item => (
+        <div key={item.key} className="w-6 h-6 rounded-full ring-2 ring-white" style={{ backgroundColor: item.hex }} title={item.label} />
+      ))}
+    </div>
+    <button onClick={onOpen} className="px-3 py-1.5 bg-slate-900 text-white rounded-full text-sm font-medium hover:bg-slate-800 flex items-center gap-1.5">
+      <Columns size={14} /> {t('tray.compare', { count: pinned.length })}
+    </button>
+    <button onClick={onClear} className="p-1.5 rounded-full text-slate-400 hover:text-slate-700 hover:bg-slate-100" title={t('compare.clearAll')}>
+      <X size={14} />
+    </button>
+  </div>
+);
+
 export default function App() {
-  const [currentTab, setTab] = useState('learn');
+  const [route, navigate] = useHashRoute();
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [cvd, setCvd] = useState('none'); // colour-vision simulation applied to <main>
+  const [pinned, setPinned] = useState(loadPinned);
+  const [lang, setLang] = useState(getLanguage);
+  const [theme, setThemeState] = useState(getTheme);
+
+  const currentTab = route.tab;
+  const setTab = (tab) => navigate({ tab });
+
+  useEffect(() => savePinned(pinned), [pinned]);
+
+  // A shared comparison link ("#/compare?pins=dp18,v2") adds its colours to the tray
+  useEffect(() => {
+    if (route.tab !== 'compare' || !route.query.pins) return;
+    const shared = decodePins(route.query.pins);
+    setPinned(prev => [...prev.filter(item => !shared.some(s => s.key === item.key)), ...shared].slice(-MAX_PINNED));
+    navigate({ tab: 'compare' }, { replace: true });
+  }, [route]);
+
+  const changeLanguage = (id) => {
+    setLanguage(id);
+    saveLanguage(id);
+    setLang(id);
+  };
+
+  const changeTheme = (id) => {
+    setTheme(id);
+    saveTheme(id);
+    setThemeState(id);
+  };
+
+  // Pinning past MAX_PINNED drops the oldest pin
+  const pins = {
+    isPinned: (key) => pinned.some(item => item.key === key),
+    toggle: (item) => setPinned(prev => (prev.some(p => p.key === item.key)
+      ? prev.filter(p => p.key !== item.key)
+      : [...prev, item].slice(-MAX_PINNED))),
+  };
 
   return (
-    <div className="min-h-screen bg-slate-50 font-sans text-slate-900 pb-12">
+    <div className="min-h-screen bg-slate-50 font-sans text-slate-900 pb-12 print:bg-white print:pb-0">
       <Header 
         currentTab={currentTab} 
         setTab={setTab} 
         onOpenSettings={() => setIsSettingsOpen(true)}
+        cvd={cvd}
+        setCvd={setCvd}
+        lang={lang}
+        setLang={changeLanguage}
+        theme={theme}
+        setTheme={changeTheme}
       />
+      <CvdFilters />
       
-      <main className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
-        {currentTab === 'learn' && <ReferenceView />}
-        {currentTab === 'quiz' && <QuizView />}
+      <main
+        className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8 print:max-w-none print:p-0"
+        style={cvd !== 'none' ? { filter: `url(#cvd-${cvd})` } : undefined}
+      >
+        {currentTab === 'learn' && <ReferenceView route={route} navigate={navigate} pins={pins} />}
+        {currentTab === 'quiz' && <QuizView route={route} navigate={navigate} pins={pins} />}
+        {currentTab === 'stats' && <StatsView />}
+        {currentTab === 'mix' && <MixView route={route} navigate={navigate} pins={pins} />}
         {currentTab === 'ai' && <AILabView />}
-        {currentTab === 'seasonal' && <SeasonalColorAnalysis />}
+        {currentTab === 'seasonal' && <SeasonalColorAnalysis pins={pins} />}
+        {currentTab === 'identify' && <ColorIdentifier />}
+        {currentTab === 'image' && <ImagePaletteAnalyzer pins={pins} />}
+        {currentTab === 'sampler' && <LiveColorSampler pins={pins} />}
+        {currentTab === 'harmony' && <HarmonyGenerator route={route} navigate={navigate} />}
+        {currentTab === 'contrast' && <ContrastChecker cvd={cvd} />}
+        {currentTab === 'print' && <PrintView />}
+        {currentTab === 'compare' && (
+          <CompareView pinned={pinned} onUnpin={pins.toggle} onClear={() => setPinned([])} />
+        )}
       </main>
 
+      {pinned.length > 0 && currentTab !== 'compare' && (
+        <CompareTray pinned={pinned} onOpen={() => setTab('compare')} onClear={() => setPinned([])} />
+      )}
+
       <SettingsModal 
         isOpen={isSettingsOpen} 
         onClose={() => setIsSettingsOpen(false)} 
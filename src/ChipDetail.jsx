@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Copy, Check } from 'lucide-react';
+import { TONES, TONE_NEIGHBORS, ACHROMATIC_SCALE, shiftHue, generateColor, generateAchromatic } from './pccs';
+import { hexToRgb, rgbToHsl, labToLch, rgbToCmyk } from './colorScience';
+import { formatNotation } from './notation';
+import { chipToCompareItem } from './compare';
+import { t, hueName } from './i18n';
+import PinButton from './PinButton';
+
+const round = (n, digits = 0) => Number(n.toFixed(digits));
+
+// Every value row shown for a chip, as [label, text to display and copy]
+const chipValues = (chip) => {
+  const rgb = hexToRgb(chip.hex);
+  const [h, s, l] = rgbToHsl(rgb);
+  const [L, a, b] = chip.lab;
+  const [, C, hAngle] = labToLch(chip.lab);
+  const [c, m, y, k] = rgbToCmyk(rgb);
+  return [
+    ['PCCS', formatNotation(chip, { symbol: true })],
+    ['Munsell ≈', chip.munsell],
+    ['HEX', chip.hex],
+    ['RGB', `rgb(${rgb.map(v => Math.round(v * 255)).join(', ')})`],
+    ['HSL', `hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.round(l)}%)`],
+    ['CIELAB', `lab(${round(L, 1)} ${round(a, 1)} ${round(b, 1)})`],
+    ['LCh', `lch(${round(L, 1)} ${round(C, 1)} ${round(hAngle, 1)})`],
+    ['CMYK ≈', `cmyk(${[c, m, y, k].map(v => `${Math.round(v)}%`).join(', ')})`],
+  ];
+};
+
+// Same hue in neighbouring tones and same tone in neighbouring hues; neighbouring
+// lightness steps for the achromatic scale
+const relatedGroups = (chip, hueCount) => {
+  if (chip.achromatic) {
+    const index = ACHROMATIC_SCALE.findIndex(step => step.id === chip.id);
+    return [{
+      title: t('detail.neighborSteps'),
+      chips: ACHROMATIC_SCALE.filter((_, i) => i !== index && Math.abs(i - index) <= 2).map(generateAchromatic),
+    }];
+  }
+  const step = 24 / hueCount;
+  return [
+    {
+      title: t('detail.neighborTones'),
+      chips: TONE_NEIGHBORS[chip.tone.id].map(id => generateColor(TONES.find(t => t.id === id), chip.hue)),
+    },
+    {
+      title: t('detail.neighborHues'),
+      chips: [-2, -1, 1, 2].map(n => generateColor(chip.tone, shiftHue(chip.hue, n * step))),
+    },
+  ];
+};
+
+const CopyButton = ({ text }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <button onClick={copy} className="p-1.5 rounded-md text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-all" title={t('common.copy')}>
+      {copied ? <Check size={14} className="text-emerald-600" /> : <Copy size={14} />}
+    </button>
+  );
+};
+
+const ChipDetail = ({ chip, hueCount = 12, onSelect, onClose, pins }) => {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [chip.id]);
+
+  return (
+    <div ref={panelRef} className="border-t border-slate-100 grid md:grid-cols-2 animate-in fade-in">
+      <div className="p-4 flex gap-4">
+        <div className="w-20 h-20 rounded-xl ring-1 ring-black/5 shrink-0" style={{ backgroundColor: chip.css }} />
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <p className="text-2xl font-bold font-mono text-slate-900">{formatNotation(chip, { symbol: true })}</p>
+              <p className="text-sm text-slate-500 truncate">{chip.toneName} · {chip.achromatic ? chip.step.id : hueName(chip.hue)}</p>
+            </div>
+            <div className="flex items-center gap-1">
+              <PinButton item={chipToCompareItem(chip)} pins={pins} />
+              <button onClick={onClose} className="p-1.5 hover:bg-slate-100 rounded-full text-slate-400 hover:text-slate-600" title={t('common.close')}>
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+          {chip.outOfGamut && (
+            <p className="mt-1 text-xs text-amber-600">{t('detail.outOfGamut')}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="p-4 md:border-l border-slate-100 md:row-span-2">
+        {chipValues(chip).map(([label, text]) => (
+          <div key={label} className="flex items-center justify-between gap-2 py-0.5">
+            <span className="text-xs font-medium text-slate-400 w-16 shrink-0">{label}</span>
+            <span className="flex-1 text-sm font-mono text-slate-800 truncate">{text}</span>
+            <CopyButton text={text} />
+          </div>
+        ))}
+      </div>
+
+      <div className="p-4 pt-0 space-y-3">
+        {relatedGroups(chip, hueCount).map(group => (
+          <div key={group.title}>
+            <p className="text-xs font-medium text-slate-400 uppercase mb-1.5">{group.title}</p>
+            <div className="flex flex-wrap gap-2">
+              {group.chips.map(related => (
+                <button
+                  key={related.id}
+                  onClick={() => onSelect(related)}
+                  className="flex flex-col items-center gap-1 group"
+                  title={related.munsell}
+                >
+                  <div className="w-10 h-10 rounded-lg ring-1 ring-black/5 group-hover:ring-2 group-hover:ring-slate-900 transition-all" style={{ backgroundColor: related.css }} />
+                  <span className="text-[10px] font-mono text-slate-500">{formatNotation(related)}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ChipDetail;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import { HUE_FAMILIES, HUE_TEMPERATURES } from './pccs';
+import { DEFAULT_FILTER, LIGHTNESS_RANGE, SATURATION_RANGE, isFilterActive } from './chipFilter';
+import { t } from './i18n';
+
+// Keeps the typed text while editing, so an emptied field does not jump to a bound.
+// In-range numbers apply as they are typed; others are clamped (or reverted) on blur.
+const RangeInput = ({ value, bounds, step, onChange }) => {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText(prev => (prev.trim() !== '' && Number(prev) === value ? prev : String(value)));
+  }, [value]);
+
+  const parse = (input) => (input.trim() === '' || Number.isNaN(Number(input)) ? null : Number(input));
+
+  return (
+    <input
+      type="number"
+      min={bounds[0]}
+      max={bounds[1]}
+      step={step}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const n = parse(e.target.value);
+        if (n !== null && n >= bounds[0] && n <= bounds[1]) onChange(n);
+      }}
+      onBlur={() => {
+        const n = parse(text);
+        const clamped = n === null ? value : Math.min(bounds[1], Math.max(bounds[0], n));
+        if (clamped !== value) onChange(clamped);
+        setText(String(clamped));
+      }}
+      className="w-16 p-1.5 rounded-lg border border-slate-300 text-sm font-mono"
+    />
+  );
+};
+
+const RangeField = ({ label, range, bounds, step, onChange }) => (
+  <div className="flex items-center gap-1.5 text-sm">
+    <span className="font-medium text-slate-700">{label}</span>
+    {[0, 1].map(i => (
+      <React.Fragment key={i}>
+        {i === 1 && <span className="text-slate-400">–</span>}
+        <RangeInput
+          value={range[i]}
+          bounds={bounds}
+          step={step}
+          onChange={(n) => {
+            const next = [...range];
+            next[i] = n;
+            onChange(next);
+          }}
+        />
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+const ChipFilterBar = ({ filter, setFilter, matchCount, total }) => {
+  const update = (changes) => setFilter(prev => ({ ...prev, ...changes }));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4 space-y-3">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            type="text"
+            value={filter.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder={t('filter.placeholder')}
+            className="w-full pl-9 p-2 rounded-lg border border-slate-300 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+        </div>
+        <select
+          value={filter.familyId}
+          onChange={(e) => update({ familyId: e.target.value })}
+          className="p-2 rounded-lg border border-slate-300 text-sm"
+        >
+          <option value="all">{t('filter.allHues')}</option>
+          {HUE_FAMILIES.map(f => <option key={f.id} value={f.id}>{t(`family.${f.id}`)}</option>)}
+          <option value="N">{t('achromatic.name')}</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+        <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+          {['all', ...HUE_TEMPERATURES.map(temperature => temperature.id)].map(id => (
+            <button
+              key={id}
+              onClick={() => update({ temperatureId: id })}
+              className={`px-3 py-1 rounded-md transition-all ${filter.temperatureId === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(`temperature.${id}`)}
+            </button>
+          ))}
+        </div>
+        <RangeField label={t('filter.lightness')} range={filter.lightness} bounds={LIGHTNESS_RANGE} step={0.5} onChange={lightness => update({ lightness })} />
+        <RangeField label={t('filter.saturation')} range={filter.saturation} bounds={SATURATION_RANGE} step={1} onChange={saturation => update({ saturation })} />
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-slate-500">
+          {t('filter.matchesBefore')}<span className="font-bold text-slate-900">{matchCount}</span>{t('filter.matchesAfter', { total })}
+        </span>
+        {isFilterActive(filter) && (
+          <button onClick={() => setFilter(DEFAULT_FILTER)} className="flex items-center gap-1 text-slate-500 hover:text-slate-800">
+            <X size={14} /> {t('filter.clear')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChipFilterBar;
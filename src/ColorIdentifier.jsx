@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Pipette, ClipboardPaste, AlertCircle } from 'lucide-react';
+import { parseColorInput, rgbToHex, rgbToLab, rgbToHsl } from './colorScience';
+import { findNearestChips } from './pccs';
+import { formatNotation } from './notation';
+import { t, chipHueName } from './i18n';
+
+// Runner-ups closer than this to the best match are called out as "in between"
+const AMBIGUOUS_DELTA = 1.5;
+
+const describeDelta = (deltaE) => {
+  if (deltaE < 1) return t('identify.delta.indistinguishable');
+  if (deltaE < 3) return t('identify.delta.veryClose');
+  if (deltaE < 6) return t('identify.delta.close');
+  return t('identify.delta.rough');
+};
+
+export default function ColorIdentifier() {
+  const [input, setInput] = useState('#9CA8B8');
+  const [error, setError] = useState(null);
+
+  const rgb = useMemo(() => parseColorInput(input), [input]);
+  const matches = useMemo(() => (rgb ? findNearestChips(rgbToLab(rgb), 5) : []), [rgb]);
+
+  useEffect(() => {
+    setError(rgb || !input.trim() ? null : t('identify.parseError'));
+  }, [rgb, input]);
+
+  // Pasting anywhere on the page (outside a text field) replaces the current colour
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const text = e.clipboardData?.getData('text');
+      if (text) setInput(text.trim());
+    };
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, []);
+
+  const pasteFromClipboard = async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      if (text) setInput(text.trim());
+    } catch (err) {
+      setError(t('identify.clipboardError'));
+    }
+  };
+
+  const hex = rgb ? rgbToHex(rgb) : '#000000';
+  const hsl = rgb ? rgbToHsl(rgb).map(Math.round) : null;
+  const [best, ...runnerUps] = matches;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-teal-100 text-teal-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Pipette size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('identify.title')}</h2>
+        <p className="text-slate-500">{t('identify.intro')}</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex items-center gap-3">
+        <input
+          type="color"
+          value={hex.toLowerCase()}
+          onChange={(e) => setInput(e.target.value.toUpperCase())}
+          className="w-14 h-14 rounded-lg cursor-pointer border border-slate-200 bg-white shrink-0"
+          title={t('identify.picker')}
+        />
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={t('identify.placeholder')}
+          className="flex-1 min-w-0 p-3 rounded-lg border border-slate-300 focus:ring-2 focus:ring-teal-500 outline-none text-sm font-mono"
+        />
+        <button
+          onClick={pasteFromClipboard}
+          className="p-3 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 transition-colors shrink-0"
+          title={t('identify.paste')}
+        >
+          <ClipboardPaste size={20} />
+        </button>
+      </div>
+
+      {rgb && (
+        <p className="text-xs font-mono text-slate-400 text-center -mt-4">
+          {hex} · rgb({rgb.map(c => Math.round(c * 255)).join(', ')}) · hsl({hsl[0]}, {hsl[1]}%, {hsl[2]}%)
+        </p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-600 rounded-xl text-sm flex items-start gap-2 border border-red-100">
+          <AlertCircle size={18} className="shrink-0 mt-0.5" />
+          {error}
+        </div>
+      )}
+
+      {best && (
+        <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-teal-100 animate-in zoom-in-95 duration-300">
+          <div className="grid grid-cols-2 h-32">
+            <div className="flex items-end p-3" style={{ backgroundColor: hex }}>
+              <span className="text-[10px] font-bold uppercase tracking-wider bg-white/80 text-slate-700 px-2 py-1 rounded">{t('identify.input')}</span>
+            </div>
+            <div className="flex items-end justify-end p-3" style={{ backgroundColor: best.chip.css }}>
+              <span className="text-[10px] font-bold uppercase tracking-wider bg-white/80 text-slate-700 px-2 py-1 rounded">PCCS</span>
+            </div>
+          </div>
+          <div className="p-6">
+            <p className="text-xs font-bold text-teal-600 uppercase tracking-widest mb-2">{t('identify.nearest')}</p>
+            <div className="flex items-baseline justify-between gap-4">
+              <h3 className="text-4xl font-bold text-slate-900 font-mono">{formatNotation(best.chip)}</h3>
+              <span className="text-sm font-mono text-slate-500">ΔE00 {best.deltaE.toFixed(2)}</span>
+            </div>
+            <p className="text-slate-600 mt-1">
+              {best.chip.toneLabel} · {chipHueName(best.chip)}
+            </p>
+            <p className="text-xs text-slate-400 mt-1">
+              {best.chip.munsell} · {describeDelta(best.deltaE)}
+            </p>
+            {runnerUps[0] && runnerUps[0].deltaE - best.deltaE < AMBIGUOUS_DELTA && (
+              <p className="mt-3 text-sm text-amber-700 bg-amber-50 border border-amber-100 rounded-lg p-2">
+                {t('identify.between', { a: formatNotation(best.chip), b: formatNotation(runnerUps[0].chip) })}
+              </p>
+            )}
+          </div>
+
+          <div className="border-t border-slate-100 p-6">
+            <p className="text-sm font-medium text-slate-400 uppercase mb-3">{t('identify.others')}</p>
+            <div className="space-y-2">
+              {runnerUps.map(({ chip, deltaE }) => (
+                <div key={chip.id} className="flex items-center gap-3">
+                  <div className="w-10 h-10 rounded-lg ring-1 ring-black/5 shrink-0" style={{ backgroundColor: chip.css }} />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-mono font-bold text-slate-800">{formatNotation(chip)}</p>
+                    <p className="text-xs text-slate-500 truncate">{chip.toneLabel} · {chipHueName(chip)}</p>
+                  </div>
+                  <span className="text-sm font-mono text-slate-500">ΔE {deltaE.toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Columns, X, Trash2, Link, Check } from 'lucide-react';
+import { ACHROMATIC_SCALE, generateAchromatic } from './pccs';
+import { compareItems, encodePins } from './compare';
+import { routeUrl } from './route';
+import { t } from './i18n';
+
+// Chips are judged on a mid-gray (N 5.5) surround so the page colours don't bias them
+const NEUTRAL_SURROUND = generateAchromatic(ACHROMATIC_SCALE.find(s => s.id === 'Gy-5.5')).hex;
+
+const formatSigned = (n, digits = 1) => `${n > 0 ? '+' : n < 0 ? '−' : '±'}${Math.abs(n).toFixed(digits)}`;
+
+const MiniSwatch = ({ item }) => (
+  <div className="flex items-center gap-2 min-w-0">
+    <div className="w-6 h-6 rounded ring-1 ring-black/5 shrink-0" style={{ backgroundColor: item.hex }} />
+    <span className="font-mono font-bold text-slate-800 truncate">{item.label}</span>
+  </div>
+);
+
+const CompareView = ({ pinned, onUnpin, onClear }) => {
+  const [showContrastDemo, setShowContrastDemo] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const pairs = pinned.flatMap((a, i) => pinned.slice(i + 1).map(b => ({ a, b, diff: compareItems(a, b) })));
+
+  const copyShareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(routeUrl({ tab: 'compare', query: { pins: encodePins(pinned) } }));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-slate-200 text-slate-700 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Columns size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('compareView.title')}</h2>
+        <p className="text-slate-500">{t('compareView.intro')}</p>
+      </div>
+
+      {pinned.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-dashed border-slate-300 p-8 text-center text-slate-500 text-sm">
+          {t('compareView.empty')}
+        </div>
+      ) : (
+        <>
+          <div className="rounded-2xl shadow-xl p-6 sm:p-10" style={{ backgroundColor: NEUTRAL_SURROUND }}>
+            <div className="flex flex-wrap justify-center gap-6">
+              {pinned.map(item => (
+                <div key={item.key} className="w-28 sm:w-32 text-center">
+                  <div className="relative aspect-square rounded-lg" style={{ backgroundColor: item.hex }}>
+                    <button
+                      onClick={() => onUnpin(item)}
+                      className="absolute -top-2 -right-2 p-1 rounded-full bg-white text-slate-500 hover:text-slate-900 shadow"
+                      title={t('pin.unpin')}
+                    >
+                      <X size={12} />
+                    </button>
+                  </div>
+                  <p className="mt-2 font-mono font-bold text-white">{item.label}</p>
+                  <p className="text-[10px] text-white/80 truncate">{item.sublabel}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {pairs.length > 0 && (
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-xs text-slate-500">
+                  <tr>
+                    <th className="p-3 text-left font-medium">A</th>
+                    <th className="p-3 text-left font-medium">B</th>
+                    <th className="p-3 text-right font-medium">ΔE00</th>
+                    <th className="p-3 text-right font-medium" title="CIELAB L*">{t('compareView.deltaL')}</th>
+                    <th className="p-3 text-right font-medium" title="CIELAB C*">{t('compareView.deltaC')}</th>
+                    <th className="p-3 text-right font-medium" title={t('compareView.deltaSTitle')}>Δs</th>
+                    <th className="p-3 text-right font-medium">{t('compareView.hueSteps')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100 font-mono">
+                  {pairs.map(({ a, b, diff }) => (
+                    <tr key={`${a.key}-${b.key}`}>
+                      <td className="p-3"><MiniSwatch item={a} /></td>
+                      <td className="p-3"><MiniSwatch item={b} /></td>
+                      <td className="p-3 text-right font-bold text-slate-900">{diff.deltaE.toFixed(1)}</td>
+                      <td className="p-3 text-right text-slate-600">{formatSigned(diff.deltaL)}</td>
+                      <td className="p-3 text-right text-slate-600">{formatSigned(diff.deltaC)}</td>
+                      <td className="p-3 text-right text-slate-600">{formatSigned(diff.deltaSat, 0)}</td>
+                      <td className="p-3 text-right text-slate-600">{diff.hueSteps === null ? '—' : diff.hueSteps}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pinned.length > 1 && (
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+              <button
+                onClick={() => setShowContrastDemo(show => !show)}
+                className="w-full p-4 flex items-center justify-between text-left hover:bg-slate-50"
+              >
+                <div>
+                  <h3 className="font-bold text-slate-800">{t('compareView.contrastTitle')}</h3>
+                  <p className="text-sm text-slate-500">{t('compareView.contrastIntro')}</p>
+                </div>
+                <span className="text-sm text-blue-600 shrink-0 ml-4">{showContrastDemo ? t('compareView.hide') : t('compareView.show')}</span>
+              </button>
+              {showContrastDemo && (
+                <div className="p-4 border-t border-slate-100 space-y-4 overflow-x-auto">
+                  {pinned.map(item => (
+                    <div key={item.key} className="flex items-center gap-3">
+                      <span className="w-16 shrink-0 font-mono font-bold text-slate-800 text-sm truncate">{item.label}</span>
+                      {pinned.filter(other => other.key !== item.key).map(other => (
+                        <div
+                          key={other.key}
+                          className="w-24 h-24 shrink-0 rounded-lg flex items-center justify-center"
+                          style={{ backgroundColor: other.hex }}
+                          title={`${item.label} / ${other.label}`}
+                        >
+                          <div className="w-8 h-8" style={{ backgroundColor: item.hex }} />
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={copyShareLink}
+              className="flex-1 py-3 rounded-xl border-2 border-slate-200 text-slate-600 font-semibold hover:border-slate-400 hover:text-slate-900 transition-colors flex items-center justify-center gap-2"
+            >
+              {linkCopied ? <><Check size={18} /> {t('share.copied')}</> : <><Link size={18} /> {t('share.copyLink')}</>}
+            </button>
+            <button
+              onClick={onClear}
+              className="flex-1 py-3 rounded-xl border-2 border-slate-200 text-slate-600 font-semibold hover:border-red-400 hover:text-red-600 transition-colors flex items-center justify-center gap-2"
+            >
+              <Trash2 size={18} /> {t('compare.clearAll')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Contrast, ArrowLeftRight, Check, X } from 'lucide-react';
+import { parseColorInput, hexToRgb, rgbToHex, wcagContrast, apcaContrast, simulateCvd, CVD_TYPES } from './colorScience';
+import { notationToColor, formatNotation } from './notation';
+import { t } from './i18n';
+
+// Accepts PCCS notation ("v2", "Gy-5.5") as well as any colour parseColorInput understands
+const resolveColor = (input) => {
+  const chip = notationToColor(input);
+  if (chip) return { rgb: hexToRgb(chip.hex), label: formatNotation(chip, { symbol: true }) };
+  const rgb = parseColorInput(input);
+  return rgb ? { rgb, label: rgbToHex(rgb) } : null;
+};
+
+const WCAG_LEVELS = [
+  { id: 'aa-normal',  min: 4.5 },
+  { id: 'aa-large',   min: 3 },
+  { id: 'aaa-normal', min: 7 },
+  { id: 'aaa-large',  min: 4.5 },
+];
+
+// APCA Lc guidance for the minimum use of a text/background pair
+const describeApca = (lc) => {
+  const abs = Math.abs(lc);
+  if (abs >= 90) return t('contrast.apca.body');
+  if (abs >= 75) return t('contrast.apca.text');
+  if (abs >= 60) return t('contrast.apca.content');
+  if (abs >= 45) return t('contrast.apca.headline');
+  if (abs >= 30) return t('contrast.apca.nonText');
+  return t('contrast.apca.none');
+};
+
+const ColorField = ({ label, value, onChange, resolved }) => (
+  <label className="block flex-1 min-w-0">
+    <span className="block text-sm font-medium text-slate-700 mb-1">{label}</span>
+    <div className="flex items-center gap-2">
+      <input
+        type="color"
+        value={resolved ? rgbToHex(resolved.rgb).toLowerCase() : '#000000'}
+        onChange={(e) => onChange(e.target.value.toUpperCase())}
+        className="w-11 h-11 rounded-lg cursor-pointer border border-slate-200 bg-white shrink-0"
+      />
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={t('contrast.placeholder')}
+        className={`w-full min-w-0 p-2.5 rounded-lg border outline-none text-sm font-mono focus:ring-2 focus:ring-indigo-500 ${resolved ? 'border-slate-300' : 'border-red-300 bg-red-50'}`}
+      />
+    </div>
+  </label>
+);
+
+export default function ContrastChecker({ cvd = 'none' }) {
+  const [foreground, setForeground] = useState('dkg18');
+  const [background, setBackground] = useState('p8');
+
+  const fg = resolveColor(foreground);
+  const bg = resolveColor(background);
+
+  const swap = () => {
+    setForeground(background);
+    setBackground(foreground);
+  };
+
+  const ratio = fg && bg ? wcagContrast(fg.rgb, bg.rgb) : null;
+  const lc = fg && bg ? apcaContrast(fg.rgb, bg.rgb) : null;
+  const cvdType = CVD_TYPES.find(t => t.id === cvd);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-indigo-100 text-indigo-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Contrast size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('contrast.title')}</h2>
+        <p className="text-slate-500">{t('contrast.intro')}</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 flex items-end gap-3">
+        <ColorField label={t('contrast.foreground')} value={foreground} onChange={setForeground} resolved={fg} />
+        <button onClick={swap} className="p-3 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 shrink-0" title={t('contrast.swap')}>
+          <ArrowLeftRight size={18} />
+        </button>
+        <ColorField label={t('contrast.background')} value={background} onChange={setBackground} resolved={bg} />
+      </div>
+
+      {fg && bg && (
+        <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-indigo-100">
+          <div className="p-8" style={{ backgroundColor: rgbToHex(bg.rgb), color: rgbToHex(fg.rgb) }}>
+            <p className="text-3xl font-bold mb-2">{t('contrast.sampleHeading')}</p>
+            <p className="text-base leading-relaxed">{t('contrast.sample', { fg: fg.label, bg: bg.label })}</p>
+          </div>
+
+          <div className="grid sm:grid-cols-2 divide-y sm:divide-y-0 sm:divide-x divide-slate-100">
+            <div className="p-6">
+              <p className="text-xs font-bold text-indigo-600 uppercase tracking-widest mb-1">WCAG 2.x</p>
+              <p className="text-4xl font-bold font-mono text-slate-900">{ratio.toFixed(2)}:1</p>
+              <div className="mt-4 space-y-1.5">
+                {WCAG_LEVELS.map(level => {
+                  const pass = ratio >= level.min;
+                  return (
+                    <div key={level.id} className="flex items-center justify-between text-sm">
+                      <span className="text-slate-600">{t(`contrast.level.${level.id}`)} <span className="text-slate-400 font-mono">≥ {level.min}</span></span>
+                      <span className={`flex items-center gap-1 font-medium ${pass ? 'text-emerald-600' : 'text-red-500'}`}>
+                        {pass ? <Check size={14} /> : <X size={14} />} {pass ? t('contrast.pass') : t('contrast.fail')}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+            <div className="p-6">
+              <p className="text-xs font-bold text-indigo-600 uppercase tracking-widest mb-1">APCA</p>
+              <p className="text-4xl font-bold font-mono text-slate-900">Lc {lc.toFixed(1)}</p>
+              <p className="mt-4 text-sm text-slate-600">{describeApca(lc)}</p>
+              <p className="mt-1 text-xs text-slate-400">{lc >= 0 ? t('contrast.darkOnLight') : t('contrast.lightOnDark')}</p>
+            </div>
+          </div>
+
+          {cvdType && (
+            <div className="p-4 border-t border-slate-100 bg-slate-50 text-sm text-slate-600">
+              {t('contrast.underCvd', { name: t(`cvd.${cvdType.id}`) })}WCAG{' '}
+              <span className="font-mono font-bold">
+                {wcagContrast(simulateCvd(fg.rgb, cvd), simulateCvd(bg.rgb, cvd)).toFixed(2)}:1
+              </span>
+              {t('common.comma')}APCA{' '}
+              <span className="font-mono font-bold">
+                Lc {apcaContrast(simulateCvd(fg.rgb, cvd), simulateCvd(bg.rgb, cvd)).toFixed(1)}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
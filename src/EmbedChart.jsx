@@ -0,0 +1,60 @@
+import React from 'react';
+import { TONES, HUES, getHues } from './pccs';
+import ToneRow, { AchromaticRow } from './ToneRow';
+import { LANGUAGES, DEFAULT_LANGUAGE, t } from './i18n';
+
+// --- Embeddable Chart ---
+// The reference chart on its own, for embed.html and the <pccs-chart> element
+// (public/pccs-chart.js). Options come from the query string:
+//   tones  comma-separated tone ids, plus N for the achromatic row (default: all)
+//   hues   12 or 24, or comma-separated hue numbers such as 2,8,14,20 (default: 12)
+//   lang   zh-TW, en or ja (default: zh-TW)
+//   size   sm, md or lg chip rows (default: md)
+//   desc   0 hides the tone descriptions
+
+const SIZES = ['sm', 'md', 'lg'];
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseHues = (value) => {
+  if (!value || value === '12' || value === '24') return getHues(Number(value) || 12);
+  const ids = parseList(value).map(Number);
+  const hues = HUES.filter(hue => ids.includes(hue.id));
+  return hues.length ? hues : getHues(12);
+};
+
+export const parseEmbedOptions = (search) => {
+  const params = new URLSearchParams(search);
+  const toneIds = parseList(params.get('tones'));
+  const tones = TONES.filter(tone => toneIds.includes(tone.id));
+  const achromatic = toneIds.includes('N');
+  const useAllTones = tones.length === 0 && !achromatic;
+  return {
+    tones: useAllTones ? TONES : tones,
+    achromatic: useAllTones || achromatic,
+    hues: parseHues(params.get('hues')),
+    lang: LANGUAGES.some(l => l.id === params.get('lang')) ? params.get('lang') : DEFAULT_LANGUAGE,
+    size: SIZES.includes(params.get('size')) ? params.get('size') : 'md',
+    showDesc: params.get('desc') !== '0',
+  };
+};
+
+export default function EmbedChart({ tones, achromatic, hues, size, showDesc }) {
+  const rowProps = { size, showDesc, exportable: false, className: size === 'sm' ? 'mb-2' : 'mb-4' };
+  return (
+    <div className="p-2">
+      {tones.map(tone => (
+        <ToneRow key={tone.id} tone={tone} hues={hues} {...rowProps} />
+      ))}
+      {achromatic && <AchromaticRow {...rowProps} />}
+      <a
+        href={import.meta.env.BASE_URL}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="block text-right text-xs text-slate-400 hover:text-slate-600"
+      >
+        {t('embed.credit')}
+      </a>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, downloadPalette } from './paletteExport';
+import { t } from './i18n';
+
+// `getSwatches` is only called when a format is picked, so whole-chart exports are not
+// rebuilt on every render. The menu is portalled to <body> and fixed under the button, so
+// neither overflow-hidden cards (ToneRow) nor the CVD filter on <main> displace it.
+const ExportMenu = ({ title, getSwatches, label = t('export.label') }) => {
+  const [position, setPosition] = useState(null);
+  const buttonRef = useRef(null);
+  const isOpen = position !== null;
+
+  const toggle = () => {
+    if (isOpen) return setPosition(null);
+    const rect = buttonRef.current.getBoundingClientRect();
+    setPosition({ top: rect.bottom + 4, right: window.innerWidth - rect.right });
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const close = () => setPosition(null);
+    window.addEventListener('scroll', close, true);
+    window.addEventListener('resize', close);
+    return () => {
+      window.removeEventListener('scroll', close, true);
+      window.removeEventListener('resize', close);
+    };
+  }, [isOpen]);
+
+  const exportAs = (formatId) => {
+    downloadPalette(getSwatches(), formatId, title);
+    setPosition(null);
+  };
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        onClick={toggle}
+        className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-white border text-xs font-medium text-slate-500 hover:text-slate-800 transition-all"
+        title={t('export.tooltip', { title })}
+      >
+        <Download size={14} /> {label}
+      </button>
+      {isOpen && createPortal(
+        <>
+          <div className="fixed inset-0 z-40" onClick={() => setPosition(null)} />
+          <div className="fixed w-48 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50" style={position}>
+            {EXPORT_FORMATS.map(format => (
+              <button
+                key={format.id}
+                onClick={() => exportAs(format.id)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm text-slate-700 hover:bg-slate-50 text-left"
+              >
+                {t(`export.format.${format.id}`)}
+                <span className="text-xs font-mono text-slate-400">.{format.extension}</span>
+              </button>
+            ))}
+          </div>
+        </>,
+        document.body,
+      )}
+    </>
+  );
+};
+
+export default ExportMenu;
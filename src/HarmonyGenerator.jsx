@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Palette, Lock, Unlock, Shuffle } from 'lucide-react';
+import { TONES, HUES, generateColor } from './pccs';
+import { HARMONY_SCHEMES, generateHarmony } from './harmony';
+import { formatNotation, formatHue, notationToColor } from './notation';
+import { t, hueName } from './i18n';
+
+const DEFAULT_SEED = 'sf14';
+
+// A palette from the URL is used only if it fits the scheme: one chip per slot, seed first
+const parsePalette = (text, scheme, seed) => {
+  const chips = (text || '').split(',').map(notationToColor);
+  const valid = chips.length === scheme.slots(seed).length && chips.every(chip => chip && !chip.achromatic) && chips[0].id === seed.id;
+  return valid ? chips : null;
+};
+
+// Scheme, seed and palette live in the route ("#/harmony/triad/sf14?palette=sf14,sf22,…"),
+// so a palette can be shared and back/forward steps through re-rolls.
+export default function HarmonyGenerator({ route, navigate }) {
+  const [schemeParam, seedParam] = route.path;
+  const scheme = HARMONY_SCHEMES.find(s => s.id === schemeParam) || HARMONY_SCHEMES[0];
+  const seed = useMemo(() => {
+    const chip = notationToColor(seedParam || '');
+    return chip && !chip.achromatic && !chip.tone.baseId ? chip : notationToColor(DEFAULT_SEED);
+  }, [seedParam]);
+  const encoded = useMemo(() => parsePalette(route.query.palette, scheme, seed), [route.query.palette, scheme, seed]);
+  const palette = encoded || [];
+  const [locked, setLocked] = useState([]);
+
+  const show = (nextScheme, nextSeed, nextPalette, options) => navigate({
+    tab: 'harmony',
+    path: [nextScheme.id, formatNotation(nextSeed)],
+    query: { palette: nextPalette && nextPalette.map(chip => formatNotation(chip)).join(',') },
+  }, options);
+
+  // A new seed or scheme starts with only the seed slot locked
+  useEffect(() => {
+    setLocked(scheme.slots(seed).map((_, i) => i === 0));
+  }, [scheme, seed]);
+
+  // Without a usable palette in the URL, generate one and record it in place
+  useEffect(() => {
+    if (!encoded) show(scheme, seed, generateHarmony(scheme, seed), { replace: true });
+  }, [encoded]);
+
+  const setToneId = (toneId) => show(scheme, generateColor(TONES.find(tone => tone.id === toneId), seed.hue));
+  const setHueId = (hueId) => show(scheme, generateColor(seed.tone, HUES.find(h => h.id === hueId)));
+  const setSchemeId = (schemeId) => show(HARMONY_SCHEMES.find(s => s.id === schemeId), seed);
+
+  const reroll = () => {
+    show(scheme, seed, generateHarmony(scheme, seed, palette.map((chip, i) => (locked[i] ? chip : null))));
+  };
+
+  const toggleLock = (index) => {
+    if (index === 0) return;
+    setLocked(prev => prev.map((isLocked, i) => (i === index ? !isLocked : isLocked)));
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-amber-100 text-amber-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Palette size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('harmony.title')}</h2>
+        <p className="text-slate-500">{t('harmony.intro')}</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4">
+        <div className="flex items-center gap-4">
+          <div className="w-16 h-16 rounded-xl ring-1 ring-black/5 shrink-0" style={{ backgroundColor: seed.css }} />
+          <div className="flex-1 grid grid-cols-2 gap-3">
+            <label className="text-sm">
+              <span className="block font-medium text-slate-700 mb-1">{t('common.tone')}</span>
+              <select
+                value={seed.tone.id}
+                onChange={(e) => setToneId(e.target.value)}
+                className="w-full p-2 rounded-lg border border-slate-300 text-sm"
+              >
+                {TONES.map(tone => <option key={tone.id} value={tone.id}>{tone.id} · {tone.name}</option>)}
+              </select>
+            </label>
+            <label className="text-sm">
+              <span className="block font-medium text-slate-700 mb-1">{t('common.hue')}</span>
+              <select
+                value={seed.hue.id}
+                onChange={(e) => setHueId(Number(e.target.value))}
+                className="w-full p-2 rounded-lg border border-slate-300 text-sm"
+              >
+                {HUES.map(h => <option key={h.id} value={h.id}>{formatHue(h)} · {hueName(h)}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {HARMONY_SCHEMES.map(s => (
+            <button
+              key={s.id}
+              onClick={() => setSchemeId(s.id)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${s.id === scheme.id ? 'bg-amber-500 text-white shadow-sm' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+            >
+              {t(`harmony.scheme.${s.id}`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-sm text-slate-500">{t(`harmony.scheme.${scheme.id}.desc`)}</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-amber-100">
+        <div className="grid grid-cols-5 h-40">
+          {palette.map((chip, i) => (
+            <div key={i} className="relative" style={{ backgroundColor: chip.css }}>
+              <button
+                onClick={() => toggleLock(i)}
+                disabled={i === 0}
+                className={`absolute top-2 right-2 p-1.5 rounded-full transition-all ${locked[i] ? 'bg-white text-slate-900 shadow' : 'bg-white/50 text-slate-600 hover:bg-white/80'} disabled:cursor-default`}
+                title={i === 0 ? t('harmony.seed') : locked[i] ? t('harmony.unlock') : t('harmony.lock')}
+              >
+                {locked[i] ? <Lock size={14} /> : <Unlock size={14} />}
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="grid grid-cols-5 divide-x divide-slate-100">
+          {palette.map((chip, i) => (
+            <div key={i} className="p-3 text-center">
+              <p className="font-mono font-bold text-slate-800">{formatNotation(chip, { symbol: true })}</p>
+              <p className="text-[10px] text-slate-500 truncate">{chip.toneName}</p>
+              <p className="text-[10px] font-mono text-slate-400">{chip.hex}</p>
+            </div>
+          ))}
+        </div>
+        <div className="p-4 border-t border-slate-100">
+          <button
+            onClick={reroll}
+            className="w-full py-3 bg-slate-900 text-white rounded-xl font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2"
+          >
+            <Shuffle size={18} /> {t('harmony.reroll')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import ChipDetail from './ChipDetail';
+import { TONES, HUES, getHues, getHueRelations, getRelatedHues, generateColor } from './pccs';
+import { formatNotation, formatHue } from './notation';
+import { t, hueName } from './i18n';
+
+const CENTER = 130;
+const OUTER_RADIUS = 100;
+const INNER_RADIUS = 58;
+const LABEL_RADIUS = 115;
+const STEP_DEGREES = 360 / HUES.length;
+
+// PCCS draws the circle with 8:Y at the top, 2:R on the left and 20:V at the bottom
+const hueAngle = (hue) => (hue.id - 8) * STEP_DEGREES;
+
+const polar = (radius, degrees) => {
+  const rad = ((degrees - 90) * Math.PI) / 180;
+  return [CENTER + radius * Math.cos(rad), CENTER + radius * Math.sin(rad)];
+};
+
+const sectorPath = (hue, span) => {
+  const start = hueAngle(hue) - span / 2;
+  const end = hueAngle(hue) + span / 2;
+  const [x1, y1] = polar(OUTER_RADIUS, start);
+  const [x2, y2] = polar(OUTER_RADIUS, end);
+  const [x3, y3] = polar(INNER_RADIUS, end);
+  const [x4, y4] = polar(INNER_RADIUS, start);
+  return `M ${x1} ${y1} A ${OUTER_RADIUS} ${OUTER_RADIUS} 0 0 1 ${x2} ${y2} L ${x3} ${y3} A ${INNER_RADIUS} ${INNER_RADIUS} 0 0 0 ${x4} ${y4} Z`;
+};
+
+const formatOffset = (offset) => `${offset > 0 ? '+' : '−'}${Math.abs(offset)}`;
+
+// Clicking a hue makes it the base of the relationships and opens its chip details below
+const HueCircle = ({ hueCount = 24, pins }) => {
+  const hues = getHues(hueCount);
+  const [toneId, setToneId] = useState('v');
+  const [baseHueId, setBaseHueId] = useState(2);
+  const [relationId, setRelationId] = useState(null);
+  const [detailHueId, setDetailHueId] = useState(null);
+
+  const tone = TONES.find(t => t.id === toneId);
+  const baseHue = hues.find(h => h.id === baseHueId) || hues[0];
+  const relations = getHueRelations(hueCount);
+  const relation = relations.find(r => r.id === relationId);
+  const related = relation ? getRelatedHues(baseHue, relation, hueCount) : [];
+  const relatedIds = related.map(r => r.hue.id);
+  const span = 360 / hues.length;
+  const detailChip = detailHueId ? generateColor(tone, HUES.find(h => h.id === detailHueId)) : null;
+
+  const selectHue = (hue) => {
+    setBaseHueId(hue.id);
+    setDetailHueId(hue.id);
+  };
+
+  // Neighbouring tones and hues picked in the detail panel
+  const showDetail = (chip) => {
+    if (!chip) return setDetailHueId(null);
+    setToneId(chip.tone.id);
+    setDetailHueId(chip.hue.id);
+  };
+
+  const polygonPoints = relation?.polygon
+    ? [baseHue, ...related.map(r => r.hue)].map(h => polar(INNER_RADIUS - 4, hueAngle(h)).join(',')).join(' ')
+    : null;
+
+  return (
+    <div className="chip-surround bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-100 bg-slate-50 space-y-3">
+        <div>
+          <h3 className="font-bold text-lg text-slate-800">{t('hueCircle.title')}</h3>
+          <p className="text-slate-500 text-sm">{t('hueCircle.intro')}</p>
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {TONES.map(t => (
+            <button
+              key={t.id}
+              onClick={() => setToneId(t.id)}
+              className={`px-2 py-1 rounded-md text-xs font-mono font-bold transition-all ${t.id === toneId ? 'bg-slate-900 text-white' : 'bg-white border text-slate-500 hover:text-slate-800'}`}
+              title={t.label}
+            >
+              {t.id}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {relations.map(r => (
+            <button
+              key={r.id}
+              onClick={() => setRelationId(r.id === relationId ? null : r.id)}
+              className={`px-2 py-1 rounded-md text-xs font-medium transition-all ${r.id === relationId ? 'bg-blue-600 text-white' : 'bg-white border text-slate-500 hover:text-slate-800'}`}
+            >
+              {t(`relation.${r.id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3">
+        <div className="md:col-span-2 p-4">
+          <svg viewBox={`0 0 ${CENTER * 2} ${CENTER * 2}`} className="w-full max-w-md mx-auto">
+            {hues.map(h => {
+              const chip = generateColor(tone, h);
+              const isBase = h.id === baseHue.id;
+              const isRelated = relatedIds.includes(h.id);
+              const [lx, ly] = polar(LABEL_RADIUS, hueAngle(h));
+              return (
+                <g
+                  key={h.id}
+                  className="cursor-pointer"
+                  onClick={() => selectHue(h)}
+                >
+                  <title>{`${formatNotation(chip, { symbol: true })} · ${hueName(h)}`}</title>
+                  <path
+                    d={sectorPath(h, span)}
+                    fill={chip.css}
+                    stroke={isBase ? '#0f172a' : isRelated ? '#2563eb' : '#ffffff'}
+                    strokeWidth={isBase || isRelated ? 3 : 1}
+                    opacity={relation && !isBase && !isRelated ? 0.35 : 1}
+                  />
+                  <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" className="fill-slate-500 text-[8px] font-mono">
+                    {hueCount === 24 ? h.id : formatHue(h)}
+                  </text>
+                </g>
+              );
+            })}
+            {relation && !relation.polygon && related.map(r => {
+              const [x, y] = polar(INNER_RADIUS - 4, hueAngle(r.hue));
+              return <line key={r.hue.id} x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="#2563eb" strokeWidth="1.5" strokeDasharray="3 2" />;
+            })}
+            {polygonPoints && <polygon points={polygonPoints} fill="none" stroke="#2563eb" strokeWidth="2" />}
+            <text x={CENTER} y={CENTER - 6} textAnchor="middle" className="fill-slate-900 text-[14px] font-bold font-mono">
+              {formatNotation(generateColor(tone, baseHue))}
+            </text>
+            <text x={CENTER} y={CENTER + 10} textAnchor="middle" className="fill-slate-400 text-[8px]">
+              {tone.name}
+            </text>
+          </svg>
+        </div>
+
+        <div className="border-t md:border-t-0 md:border-l border-slate-100 p-4 space-y-3">
+          <p className="text-sm font-medium text-slate-400 uppercase">{relation ? t(`relation.${relation.id}`) : t('hueCircle.pickRelation')}</p>
+          {relation ? (
+            related.map(({ hue, offset }) => {
+              const chip = generateColor(tone, hue);
+              return (
+                <button key={hue.id} onClick={() => showDetail(chip)} className="w-full flex items-center gap-3 text-left hover:bg-slate-50 rounded-lg p-1">
+                  <div className="w-10 h-10 rounded-lg ring-1 ring-black/5 shrink-0" style={{ backgroundColor: chip.css }} />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-mono font-bold text-slate-800">{formatNotation(chip, { symbol: true })}</p>
+                    <p className="text-xs text-slate-500 truncate">{hueName(hue)}</p>
+                  </div>
+                  <span className="text-xs font-mono text-slate-500">{t('hueCircle.steps', { offset: formatOffset(offset) })} · {Math.abs(offset) * span}°</span>
+                </button>
+              );
+            })
+          ) : (
+            <p className="text-sm text-slate-400">{t('hueCircle.hint')}</p>
+          )}
+        </div>
+      </div>
+      {detailChip && <ChipDetail chip={detailChip} hueCount={hueCount} onSelect={showDetail} onClose={() => setDetailHueId(null)} pins={pins} />}
+    </div>
+  );
+};
+
+export default HueCircle;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Image as ImageIcon, Upload, Loader2, AlertCircle } from 'lucide-react';
+import { TONES, findNearestChips } from './pccs';
+import { labToRgb, rgbToHex } from './colorScience';
+import { formatNotation } from './notation';
+import { colorToSwatch } from './paletteExport';
+import { colorToCompareItem } from './compare';
+import ExportMenu from './ExportMenu';
+import PinButton from './PinButton';
+import { t, hueName } from './i18n';
+
+// Images are downsampled before clustering; the palette barely changes and the worker
+// stays fast on large photos
+const MAX_SIDE = 160;
+const CLUSTER_COUNTS = [4, 6, 8, 10];
+
+// PCCS tones grouped by saturation level, for the summary line
+const TONE_GROUPS = [
+  { id: 'high',       toneIds: ['v', 'b', 's', 'dp'] },
+  { id: 'mid',        toneIds: ['lt', 'sf', 'd', 'dk'] },
+  { id: 'low',        toneIds: ['p', 'ltg', 'g', 'dkg'] },
+  { id: 'achromatic', toneIds: ['N'] },
+];
+
+const toneKey = (chip) => (chip.achromatic ? 'N' : chip.tone.id);
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+const readPixels = (image) => {
+  const scale = Math.min(1, MAX_SIDE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+};
+
+const clusterPixels = (pixels, k) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./paletteWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    worker.terminate();
+    resolve(data);
+  };
+  worker.onerror = (err) => {
+    worker.terminate();
+    reject(err);
+  };
+  worker.postMessage({ pixels, k }, [pixels.buffer]);
+});
+
+// Nearest PCCS chip and share of the image for each cluster
+const describeClusters = (clusters, total) => clusters.map(({ centroid, count }) => {
+  const [{ chip, deltaE }] = findNearestChips(centroid, 1);
+  return { lab: centroid, hex: rgbToHex(labToRgb(centroid)), share: count / total, chip, deltaE };
+});
+
+// Share of the image per tone ('N' for achromatic) and per tone group
+const summarizeTones = (fineClusters) => {
+  const byTone = {};
+  fineClusters.forEach(({ chip, share }) => {
+    byTone[toneKey(chip)] = (byTone[toneKey(chip)] || 0) + share;
+  });
+  const groups = TONE_GROUPS
+    .map(group => ({ ...group, share: group.toneIds.reduce((sum, id) => sum + (byTone[id] || 0), 0) }))
+    .sort((a, b) => b.share - a.share);
+  return { byTone, groups };
+};
+
+export default function ImagePaletteAnalyzer({ pins }) {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [clusterCount, setClusterCount] = useState(6);
+  const [result, setResult] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [error, setError] = useState(null);
+  const imageRef = useRef(null);
+  const runRef = useRef(0); // ignores results of analyses superseded by a newer one
+
+  const analyze = async () => {
+    const image = imageRef.current;
+    if (!image?.complete || !image.naturalWidth) return;
+    const run = ++runRef.current;
+    setIsAnalyzing(true);
+    setError(null);
+    try {
+      const { total, clusters, fine } = await clusterPixels(readPixels(image), clusterCount);
+      if (run !== runRef.current) return;
+      if (total === 0) throw new Error(t('image.noPixels'));
+      setResult({
+        colors: describeClusters(clusters, total),
+        tones: summarizeTones(describeClusters(fine, total)),
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('image.error'));
+      setResult(null);
+    } finally {
+      if (run === runRef.current) setIsAnalyzing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (imageUrl) analyze();
+  }, [clusterCount]);
+
+  useEffect(() => () => imageUrl && URL.revokeObjectURL(imageUrl), [imageUrl]);
+
+  const loadFile = (file) => {
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setError(t('image.notImage'));
+      return;
+    }
+    setResult(null);
+    setImageUrl(URL.createObjectURL(file));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    loadFile(e.dataTransfer.files?.[0]);
+  };
+
+  const topGroup = result?.tones.groups[0];
+  const topTone = result && Object.entries(result.tones.byTone).sort((a, b) => b[1] - a[1])[0];
+  const topToneName = topTone && (topTone[0] === 'N' ? t('image.group.achromatic') : `${TONES.find(tone => tone.id === topTone[0]).name} (${topTone[0]})`);
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-fuchsia-100 text-fuchsia-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <ImageIcon size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('image.title')}</h2>
+        <p className="text-slate-500">{t('image.intro')}</p>
+      </div>
+
+      <label
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+        className="block bg-white rounded-2xl border-2 border-dashed border-slate-300 hover:border-fuchsia-400 transition-colors cursor-pointer overflow-hidden"
+      >
+        <input type="file" accept="image/*" className="hidden" onChange={(e) => loadFile(e.target.files?.[0])} />
+        {imageUrl ? (
+          <img ref={imageRef} src={imageUrl} alt="" onLoad={analyze} className="w-full max-h-80 object-contain bg-slate-50" />
+        ) : (
+          <div className="p-10 text-center text-slate-500 space-y-2">
+            <Upload className="mx-auto text-slate-400" size={32} />
+            <p className="font-medium">{t('image.drop')}</p>
+            <p className="text-xs text-slate-400">{t('image.formats')}</p>
+          </div>
+        )}
+      </label>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-600 rounded-xl flex items-center gap-2 text-sm">
+          <AlertCircle size={18} /> {error}
+        </div>
+      )}
+
+      {imageUrl && (
+        <div className="flex items-center justify-between gap-2 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-slate-700">{t('image.colorCount')}</span>
+            <div className="flex bg-slate-100 rounded-lg p-1 font-medium">
+              {CLUSTER_COUNTS.map(count => (
+                <button
+                  key={count}
+                  onClick={() => setClusterCount(count)}
+                  className={`px-3 py-1 rounded-md transition-all ${clusterCount === count ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+          {result && (
+            <ExportMenu
+              title={t('image.paletteTitle')}
+              getSwatches={() => result.colors.map((c, i) => colorToSwatch(t('image.colorShare', { n: i + 1, share: percent(c.share) }), c.hex))}
+            />
+          )}
+        </div>
+      )}
+
+      {isAnalyzing && (
+        <div className="flex items-center justify-center gap-2 text-slate-500 text-sm">
+          <Loader2 className="animate-spin" size={18} /> {t('image.analyzing')}
+        </div>
+      )}
+
+      {result && !isAnalyzing && (
+        <>
+          <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-fuchsia-100">
+            <div className="flex h-16">
+              {result.colors.map((c, i) => (
+                <div key={i} style={{ backgroundColor: c.hex, flexGrow: c.share }} title={`${c.hex} · ${percent(c.share)}`} />
+              ))}
+            </div>
+            <div className="divide-y divide-slate-100">
+              {result.colors.map((c, i) => (
+                <div key={i} className="flex items-center gap-4 p-3">
+                  <div className="w-12 h-12 rounded-lg ring-1 ring-black/5 shrink-0" style={{ backgroundColor: c.hex }} />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-mono font-bold text-slate-800">
+                      {formatNotation(c.chip, { symbol: true })}
+                      <span className="ml-2 text-xs font-normal text-slate-400">ΔE00 {c.deltaE.toFixed(1)}</span>
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">{c.chip.toneLabel} · {c.chip.achromatic ? c.chip.step.id : hueName(c.chip.hue)}</p>
+                  </div>
+                  <div className="text-right shrink-0">
+                    <p className="font-bold text-slate-900">{percent(c.share)}</p>
+                    <p className="text-[10px] font-mono text-slate-400">{c.hex}</p>
+                  </div>
+                  <PinButton item={colorToCompareItem(t('image.color', { n: i + 1 }), c.hex)} pins={pins} />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6 space-y-4">
+            <div>
+              <h3 className="font-bold text-slate-800">{t('image.distribution')}</h3>
+              <p className="text-slate-600 mt-1">
+                {t('image.summaryBefore')}<span className="font-bold text-slate-900">{percent(topGroup.share)}</span>{t('image.summaryGroup', { group: t(`image.group.${topGroup.id}`) })}
+                {topGroup.id !== 'achromatic' && <span className="text-slate-400 font-mono text-sm"> ({topGroup.toneIds.join(' · ')})</span>}
+                {t('image.summaryTop', { tone: topToneName, share: percent(topTone[1]) })}
+              </p>
+            </div>
+            <div className="space-y-1.5">
+              {[...TONES.map(tone => ({ id: tone.id, name: tone.name })), { id: 'N', name: t('image.group.achromatic') }].map(row => {
+                const share = result.tones.byTone[row.id] || 0;
+                return (
+                  <div key={row.id} className="flex items-center gap-3 text-sm">
+                    <span className="w-28 shrink-0 text-slate-600"><span className="font-mono font-bold">{row.id}</span> {row.name}</span>
+                    <div className="flex-1 h-2 bg-slate-100 rounded-full overflow-hidden">
+                      <div className="h-full bg-fuchsia-500 rounded-full" style={{ width: `${share * 100}%` }} />
+                    </div>
+                    <span className="w-10 text-right font-mono text-slate-500">{percent(share)}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Crosshair, Camera, Loader2, Pause, Play, SwitchCamera, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { findNearestChips } from './pccs';
+import { rgbToLab, rgbToHex, srgbToLinear, linearToSrgb } from './colorScience';
+import { formatNotation } from './notation';
+import { colorToCompareItem } from './compare';
+import useCamera from './useCamera';
+import PinButton from './PinButton';
+import { t, hueName } from './i18n';
+
+const SAMPLE_INTERVAL = 200; // ms between readings while live
+const RETICLE_FRACTION = 0.05; // sampled square, as a fraction of the shorter video side
+const MAX_HISTORY = 20;
+// Beyond this ΔE00 the nearest chip is only a rough description of the sampled colour
+const LOOSE_MATCH_DELTA = 10;
+
+// Mean of RGBA pixels, averaged in linear light so edges between colours blend correctly
+const averageColor = (pixels) => {
+  const sum = [0, 0, 0];
+  for (let i = 0; i < pixels.length; i += 4) {
+    for (let c = 0; c < 3; c++) sum[c] += srgbToLinear(pixels[i + c] / 255);
+  }
+  const count = pixels.length / 4;
+  return sum.map(s => linearToSrgb(s / count));
+};
+
+export default function LiveColorSampler({ pins }) {
+  const [error, setError] = useState(null);
+  const [facingMode, setFacingMode] = useState('environment');
+  const [sample, setSample] = useState(null);
+  const [reticleSize, setReticleSize] = useState(0);
+  const [isFrozen, setIsFrozen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const canvasRef = useRef(null);
+  const { videoRef, isCameraActive, isVideoReady, startCamera, stopCamera } = useCamera(setError);
+
+  const readSample = () => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas || !video.videoWidth) return;
+    const size = Math.max(4, Math.round(Math.min(video.videoWidth, video.videoHeight) * RETICLE_FRACTION));
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, (video.videoWidth - size) / 2, (video.videoHeight - size) / 2, size, size, 0, 0, size, size);
+    const rgb = averageColor(context.getImageData(0, 0, size, size).data);
+    const [{ chip, deltaE }] = findNearestChips(rgbToLab(rgb), 1);
+    setSample({ hex: rgbToHex(rgb), chip, deltaE });
+
+    // The video is drawn with object-cover, so its scale is the larger of the two ratios
+    const scale = Math.max(video.clientWidth / video.videoWidth, video.clientHeight / video.videoHeight);
+    setReticleSize(size * scale);
+  };
+
+  useEffect(() => {
+    if (!isVideoReady || isFrozen) return;
+    const timer = setInterval(readSample, SAMPLE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isVideoReady, isFrozen]);
+
+  const toggleFreeze = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (isFrozen) {
+      video.play().catch(err => console.error('Play error:', err));
+    } else {
+      video.pause();
+      readSample();
+    }
+    setIsFrozen(!isFrozen);
+  };
+
+  const switchCamera = () => {
+    const next = facingMode === 'environment' ? 'user' : 'environment';
+    setFacingMode(next);
+    setIsFrozen(false);
+    startCamera(next);
+  };
+
+  const stop = () => {
+    stopCamera();
+    setIsFrozen(false);
+    setSample(null);
+  };
+
+  const recordSample = () => {
+    if (!sample) return;
+    setHistory(prev => [{ ...sample, id: Date.now() }, ...prev].slice(0, MAX_HISTORY));
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-cyan-100 text-cyan-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Crosshair size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('sampler.title')}</h2>
+        <p className="text-slate-500">{t('sampler.intro')}</p>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-600 rounded-xl flex items-center gap-2 text-sm">
+          <AlertCircle size={18} /> {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-cyan-100">
+        <div className="relative aspect-[4/3] bg-slate-900">
+          {isCameraActive ? (
+            <>
+              <video ref={videoRef} autoPlay playsInline muted className="w-full h-full object-cover" />
+              {isVideoReady ? (
+                <div
+                  className="absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 border-2 border-white ring-1 ring-black/60 pointer-events-none"
+                  style={{ width: reticleSize, height: reticleSize }}
+                />
+              ) : (
+                <div className="absolute inset-0 flex items-center justify-center bg-black/50 text-white text-center">
+                  <div>
+                    <Loader2 className="w-8 h-8 animate-spin mx-auto mb-2" />
+                    <p className="text-sm">{t('camera.starting')}</p>
+                  </div>
+                </div>
+              )}
+              {isFrozen && (
+                <span className="absolute top-3 left-3 text-xs font-medium bg-white/90 text-slate-700 px-2 py-1 rounded-full">{t('sampler.frozen')}</span>
+              )}
+            </>
+          ) : (
+            <button
+              onClick={() => startCamera(facingMode)}
+              className="absolute inset-0 flex flex-col items-center justify-center text-slate-300 hover:text-white transition-colors"
+            >
+              <Camera size={40} className="mb-2" />
+              <span className="font-medium">{t('camera.open')}</span>
+            </button>
+          )}
+        </div>
+
+        {isCameraActive && (
+          <div className="p-4 flex items-center gap-2 border-b border-slate-100">
+            <button
+              onClick={toggleFreeze}
+              disabled={!isVideoReady}
+              className="flex-1 py-2.5 bg-slate-900 text-white rounded-xl font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              {isFrozen ? <><Play size={16} /> {t('sampler.resume')}</> : <><Pause size={16} /> {t('sampler.freeze')}</>}
+            </button>
+            <button
+              onClick={recordSample}
+              disabled={!sample}
+              className="flex-1 py-2.5 bg-cyan-600 text-white rounded-xl font-bold hover:bg-cyan-700 transition-all flex items-center justify-center gap-2 disabled:opacity-50"
+            >
+              <Plus size={16} /> {t('sampler.record')}
+            </button>
+            <button onClick={switchCamera} className="p-2.5 rounded-xl bg-slate-100 text-slate-600 hover:bg-slate-200" title={t('camera.switch')}>
+              <SwitchCamera size={18} />
+            </button>
+            <button onClick={stop} className="px-3 py-2.5 rounded-xl bg-slate-100 text-slate-600 hover:bg-slate-200 text-sm font-medium">
+              {t('common.close')}
+            </button>
+          </div>
+        )}
+
+        {sample && (
+          <div className="p-4 flex items-center gap-4">
+            <div className="w-16 h-16 rounded-xl ring-1 ring-black/5 shrink-0" style={{ backgroundColor: sample.hex }} />
+            <div className="flex-1 min-w-0">
+              <p className="text-2xl font-bold font-mono text-slate-900">{formatNotation(sample.chip, { symbol: true })}</p>
+              <p className="text-sm text-slate-500 truncate">{sample.chip.toneLabel} · {sample.chip.achromatic ? sample.chip.step.id : hueName(sample.chip.hue)}</p>
+              {sample.deltaE > LOOSE_MATCH_DELTA && (
+                <p className="text-xs text-amber-600">{t('sampler.looseMatch')}</p>
+              )}
+            </div>
+            <div className="text-right shrink-0">
+              <p className="text-xs font-mono text-slate-500">{sample.hex}</p>
+              <p className="text-xs text-slate-400">ΔE00 {sample.deltaE.toFixed(1)}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-400 text-center">
+        {t('sampler.lightingNote')}
+      </p>
+
+      {history.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 border-b border-slate-100 bg-slate-50 flex items-center justify-between">
+            <h3 className="font-bold text-slate-800">{t('sampler.history')}</h3>
+            <button onClick={() => setHistory([])} className="flex items-center gap-1 text-sm text-slate-500 hover:text-red-600">
+              <Trash2 size={14} /> {t('sampler.clear')}
+            </button>
+          </div>
+          <div className="divide-y divide-slate-100">
+            {history.map(entry => (
+              <div key={entry.id} className="flex items-center gap-3 p-3">
+                <div className="w-10 h-10 rounded-lg ring-1 ring-black/5 shrink-0" style={{ backgroundColor: entry.hex }} />
+                <div className="flex-1 min-w-0">
+                  <p className="font-mono font-bold text-slate-800">{formatNotation(entry.chip, { symbol: true })}</p>
+                  <p className="text-xs text-slate-500 truncate">{entry.chip.toneName} · {entry.hex}</p>
+                </div>
+                <span className="text-xs text-slate-400 shrink-0">{new Date(entry.id).toLocaleTimeString()}</span>
+                <PinButton item={colorToCompareItem(t('sampler.sampleName', { notation: formatNotation(entry.chip) }), entry.hex)} pins={pins} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <canvas ref={canvasRef} className="hidden" />
+    </div>
+  );
+}
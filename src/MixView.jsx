@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FlaskConical, Shuffle, History } from 'lucide-react';
+import { TONES, HUES, generateColor, generateFullDeck } from './pccs';
+import { formatNotation, formatHue, notationToColor } from './notation';
+import { MIX_METHODS, SLIDER_MAX_CHROMA, loadAttempts, saveAttempts, loadRevealed, saveRevealed, recordAttempt, mixFromSliders, mixDeltaE } from './mixing';
+import { t, getLanguage, hueName, hueShortName } from './i18n';
+import PinButton from './PinButton';
+import { chipToCompareItem } from './compare';
+
+// Targets are the chromatic chips of the 24-hue chart
+const TARGETS = generateFullDeck(24).filter(chip => !chip.achromatic);
+
+const pickTarget = (skipId) => {
+  const pool = TARGETS.filter(chip => chip.id !== skipId);
+  return pool[Math.floor(Math.random() * pool.length)];
+};
+
+const describeMix = (deltaE) => {
+  if (deltaE < 1) return t('mix.rating.match');
+  if (deltaE < 3) return t('mix.rating.veryClose');
+  if (deltaE < 6) return t('mix.rating.close');
+  if (deltaE < 12) return t('mix.rating.off');
+  return t('mix.rating.far');
+};
+
+const SLIDERS = [
+  { id: 'lightness', label: 'mix.lightness', max: 100 },
+  { id: 'chroma',    label: 'mix.chroma',    max: SLIDER_MAX_CHROMA },
+  { id: 'hue',       label: 'mix.hue',       max: 359 },
+];
+
+const Swatch = ({ label, hex, children }) => (
+  <div className="flex-1 min-w-0">
+    <p className="text-xs uppercase tracking-wider font-bold text-slate-500 mb-2">{label}</p>
+    <div className="aspect-square rounded-2xl shadow-lg ring-1 ring-black/5 relative" style={{ backgroundColor: hex }}>
+      {children}
+    </div>
+  </div>
+);
+
+// Target chip and input method live in the route ("#/mix/dp18?method=free"); a link
+// without a valid chromatic chip gets a random one.
+export default function MixView({ route, navigate, pins }) {
+  const target = useMemo(() => {
+    const chip = notationToColor(route.path[0] || '');
+    return chip && !chip.achromatic && !chip.tone.baseId ? chip : null;
+  }, [route.path[0]]);
+  const method = MIX_METHODS.includes(route.query.method) ? route.query.method : MIX_METHODS[0];
+
+  const [toneId, setToneId] = useState(TONES[0].id);
+  const [hueId, setHueId] = useState(HUES[1].id);
+  const [sliders, setSliders] = useState({ lightness: 50, chroma: 0, hue: 0 });
+  const [attempts, setAttempts] = useState(loadAttempts);
+  const [revealed, setRevealed] = useState(loadRevealed); // checks by target id, see mixing.js
+
+  useEffect(() => {
+    if (!target) navigate({ ...route, path: [pickTarget().id] }, { replace: true });
+  }, [target]);
+
+  useEffect(() => saveAttempts(attempts), [attempts]);
+
+  useEffect(() => saveRevealed(revealed), [revealed]);
+
+  const chartChip = useMemo(
+    () => generateColor(TONES.find(tone => tone.id === toneId), HUES.find(hue => hue.id === hueId)),
+    [toneId, hueId]
+  );
+  const mix = method === 'chart' ? { hex: chartChip.hex, outOfGamut: false } : mixFromSliders(sliders);
+
+  if (!target) return null;
+
+  const result = revealed[target.id];
+  const history = [...(attempts[target.id] || [])].reverse();
+  const best = history.length > 0 ? Math.min(...history.map(attempt => attempt.deltaE)) : null;
+
+  const setMethod = (id) => navigate({ ...route, query: { ...route.query, method: id === MIX_METHODS[0] ? null : id } });
+  const nextTarget = () => navigate({ ...route, path: [pickTarget(target.id).id] });
+
+  const check = () => {
+    if (result) return;
+    const deltaE = mixDeltaE(target, mix.hex);
+    const notation = method === 'chart' ? formatNotation(chartChip, { symbol: true }) : null;
+    setRevealed(prev => ({ ...prev, [target.id]: { hex: mix.hex, deltaE, notation } }));
+    setAttempts(prev => recordAttempt(prev, target.id, { method, hex: mix.hex, deltaE }));
+  };
+
+  const formatDate = (at) => new Date(at).toLocaleDateString(getLanguage(), { month: 'numeric', day: 'numeric' });
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-orange-100 text-orange-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <FlaskConical size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('mix.title')}</h2>
+        <p className="text-slate-500">{t('mix.intro')}</p>
+      </div>
+
+      <div className="flex justify-center">
+        <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+          {MIX_METHODS.map(id => (
+            <button
+              key={id}
+              onClick={() => setMethod(id)}
+              className={`px-3 py-1 rounded-md transition-all ${method === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(`mix.method.${id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="chip-surround bg-white rounded-2xl shadow-sm border border-slate-200 p-4 sm:p-6">
+        <div className="flex gap-4 sm:gap-6">
+          <Swatch label={t('mix.target')} hex={target.hex}>
+            {result && (
+              <span className="absolute bottom-3 left-3 text-xs font-mono font-bold px-2 py-1 rounded bg-white/80 text-slate-800">
+                {formatNotation(target, { symbol: true })}
+              </span>
+            )}
+            {result && <PinButton item={chipToCompareItem(target)} pins={pins} className="absolute top-2 right-2" />}
+          </Swatch>
+          <Swatch label={t('mix.yours')} hex={mix.hex}>
+            {mix.outOfGamut && (
+              <span className="absolute top-3 right-3 text-[10px] font-medium bg-white/80 text-slate-600 px-2 py-1 rounded-full">{t('mix.outOfGamut')}</span>
+            )}
+          </Swatch>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 sm:p-6 space-y-4">
+        {method === 'chart' ? (
+          <div className="grid sm:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="block text-sm font-medium text-slate-700 mb-1">{t('mix.tone')}</span>
+              <select
+                value={toneId}
+                onChange={(e) => setToneId(e.target.value)}
+                className="w-full p-2.5 rounded-lg border border-slate-300 bg-white text-sm outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                {TONES.map(tone => <option key={tone.id} value={tone.id}>{tone.id} · {tone.label}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-sm font-medium text-slate-700 mb-1">{t('mix.hue')}</span>
+              <select
+                value={hueId}
+                onChange={(e) => setHueId(Number(e.target.value))}
+                className="w-full p-2.5 rounded-lg border border-slate-300 bg-white text-sm outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                {HUES.map(hue => <option key={hue.id} value={hue.id}>{formatHue(hue)} {hueShortName(hue)}</option>)}
+              </select>
+            </label>
+          </div>
+        ) : (
+          SLIDERS.map(({ id, label, max }) => (
+            <label key={id} className="block">
+              <span className="flex justify-between text-sm font-medium text-slate-700 mb-1">
+                {t(label)} <span className="font-mono text-slate-500">{sliders[id]}</span>
+              </span>
+              <input
+                type="range"
+                min={0}
+                max={max}
+                value={sliders[id]}
+                onChange={(e) => setSliders(prev => ({ ...prev, [id]: Number(e.target.value) }))}
+                className="w-full accent-orange-600"
+              />
+            </label>
+          ))
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={check}
+            disabled={!!result}
+            className="flex-1 py-3 bg-slate-900 text-white rounded-lg font-bold hover:bg-slate-800 disabled:opacity-50 disabled:hover:bg-slate-900 transition-all shadow-lg"
+          >
+            {t('mix.check')}
+          </button>
+          <button
+            onClick={nextTarget}
+            className="py-3 px-4 rounded-lg border-2 border-slate-200 text-slate-600 font-semibold hover:border-slate-400 transition-colors flex items-center gap-2"
+          >
+            <Shuffle size={18} /> {t('mix.next')}
+          </button>
+        </div>
+
+        {result && (
+          <div className="rounded-xl bg-slate-50 p-4 flex items-center gap-4 animate-in fade-in">
+            <div className="text-center shrink-0">
+              <p className="text-[10px] uppercase font-bold text-slate-400">ΔE00</p>
+              <p className="font-mono text-3xl font-bold text-slate-900">{result.deltaE.toFixed(1)}</p>
+            </div>
+            <div className="text-sm min-w-0">
+              <p className="font-bold text-slate-800">{describeMix(result.deltaE)}</p>
+              <p className="text-slate-500">
+                {t('mix.answer', { notation: formatNotation(target, { symbol: true }), hue: hueName(target.hue), tone: target.toneName })}
+              </p>
+              {result.notation && <p className="text-slate-500">{t('mix.youPicked', { notation: result.notation })}</p>}
+              <p className="text-xs text-slate-400 mt-1">{t('mix.locked')}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {history.length > 0 && (
+        <div className="chip-surround bg-white rounded-2xl shadow-sm border border-slate-200 p-4 sm:p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-bold text-slate-800 flex items-center gap-2"><History size={18} /> {t('mix.historyTitle')}</h3>
+            <span className="text-sm font-mono text-slate-500">{t('mix.best', { deltaE: best.toFixed(1) })}</span>
+          </div>
+          <div className="space-y-2">
+            {history.map(attempt => (
+              <div key={attempt.at} className="flex items-center gap-3 text-sm">
+                <div className="w-10 h-10 rounded-lg ring-1 ring-black/5 shrink-0" style={{ backgroundColor: attempt.hex }} />
+                <span className="flex-1 text-slate-600">{t(`mix.method.${attempt.method}`)}</span>
+                <span className="font-mono text-xs text-slate-400">{formatDate(attempt.at)}</span>
+                <span className="w-16 text-right font-mono font-bold text-slate-800">{attempt.deltaE.toFixed(1)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Pin, PinOff } from 'lucide-react';
+import { t } from './i18n';
+
+// Pins a compare item (see compare.js) to the compare tray. `pins` comes from App.
+const PinButton = ({ item, pins, className = '' }) => {
+  if (!pins || !item) return null;
+  const pinned = pins.isPinned(item.key);
+  return (
+    <button
+      onClick={() => pins.toggle(item)}
+      className={`p-1.5 rounded-full transition-all ${pinned ? 'bg-slate-900 text-white' : 'text-slate-400 hover:text-slate-700 hover:bg-slate-100'} ${className}`}
+      title={pinned ? t('pin.unpin') : t('pin.pin')}
+    >
+      {pinned ? <PinOff size={14} /> : <Pin size={14} />}
+    </button>
+  );
+};
+
+export default PinButton;
@@ -0,0 +1,282 @@
+import React, { useState, useMemo } from 'react';
+import { Printer, Shuffle } from 'lucide-react';
+import { TONES, HUE_COUNTS, getHues, generateColor, generateAchromatic, ACHROMATIC_SCALE, generateFullDeck } from './pccs';
+import { formatNotation, formatHue } from './notation';
+import { t, hueName, toneDesc } from './i18n';
+
+// --- Print Layouts ---
+// Every layout is a list of pages sized to the A4 printable area (10 mm margins), so the
+// on-screen preview matches what the browser's print dialog produces.
+
+const LAYOUTS = [
+  { id: 'poster',   orientation: 'landscape' },
+  { id: 'cards',    orientation: 'portrait' },
+  { id: 'practice', orientation: 'portrait' },
+];
+
+const PRINTABLE = {
+  portrait:  { width: 190, height: 277 },
+  landscape: { width: 277, height: 190 },
+};
+
+const CARD_COLUMNS = 3;
+const CARD_ROWS = 4;
+const PRACTICE_COLUMNS = 4;
+const PRACTICE_ROWS = 6;
+const PRACTICE_COUNTS = [24, 48, 72];
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+const shuffle = (list) => [...list].sort(() => 0.5 - Math.random());
+
+// Dark text on light chips, white on dark ones
+const textColor = (chip) => (chip.lab[0] > 60 ? '#0f172a' : '#ffffff');
+
+const Page = ({ orientation, children, className = '' }) => (
+  <div
+    className={`bg-white shadow-lg mx-auto mb-8 box-content p-[10mm] overflow-hidden break-after-page last:break-after-auto print:p-0 print:m-0 print:shadow-none ${className}`}
+    style={{ width: `${PRINTABLE[orientation].width}mm`, height: `${PRINTABLE[orientation].height - 1}mm` }}
+  >
+    {children}
+  </div>
+);
+
+const PosterPage = ({ hueCount }) => {
+  const hues = getHues(hueCount);
+  return (
+    <Page orientation="landscape" className="flex flex-col">
+      <div className="flex items-baseline justify-between mb-[3mm]">
+        <h1 className="text-lg font-bold text-slate-900">{t('print.posterTitle', { count: hueCount })}</h1>
+        <span className="text-[8pt] text-slate-400">{t('app.title')}</span>
+      </div>
+      <div className="grid gap-[0.6mm] flex-1" style={{ gridTemplateColumns: `22mm repeat(${hues.length}, 1fr)`, gridTemplateRows: `5mm repeat(${TONES.length}, 1fr)` }}>
+        <div />
+        {hues.map(h => (
+          <div key={h.id} className="text-[6pt] font-mono text-slate-500 text-center leading-none self-end">{formatHue(h)}</div>
+        ))}
+        {TONES.map(tone => (
+          <React.Fragment key={tone.id}>
+            <div className="text-[7pt] leading-tight text-slate-700 self-center">
+              <span className="font-mono font-bold">{tone.id}</span> {tone.name}
+            </div>
+            {hues.map(hue => {
+              const chip = generateColor(tone, hue);
+              return (
+                <div key={chip.id} className="flex items-end justify-center" style={{ backgroundColor: chip.hex }}>
+                  <span className="text-[5pt] font-mono leading-tight" style={{ color: textColor(chip) }}>{formatNotation(chip)}</span>
+                </div>
+              );
+            })}
+          </React.Fragment>
+        ))}
+      </div>
+      <div className="flex gap-[0.6mm] h-[11mm] mt-[2mm] pl-[22.6mm]">
+        {ACHROMATIC_SCALE.map(generateAchromatic).map(chip => (
+          <div key={chip.id} className="flex-1 flex items-end justify-center" style={{ backgroundColor: chip.hex }}>
+            <span className="text-[6pt] font-mono leading-tight" style={{ color: textColor(chip) }}>{chip.id}</span>
+          </div>
+        ))}
+      </div>
+    </Page>
+  );
+};
+
+// Position `index` on the back of a sheet holds the card printed at the returned front
+// position. Long-edge duplex mirrors the columns, short-edge duplex mirrors the rows.
+const backIndex = (index, flip) => {
+  const row = Math.floor(index / CARD_COLUMNS);
+  const column = index % CARD_COLUMNS;
+  return flip === 'long'
+    ? row * CARD_COLUMNS + (CARD_COLUMNS - 1 - column)
+    : (CARD_ROWS - 1 - row) * CARD_COLUMNS + column;
+};
+
+const CardSheet = ({ cards, side, flip }) => (
+  <Page orientation="portrait" className="flex items-center justify-center">
+    <div className="grid" style={{ gridTemplateColumns: `repeat(${CARD_COLUMNS}, 60mm)`, gridTemplateRows: `repeat(${CARD_ROWS}, 66mm)` }}>
+      {Array.from({ length: CARD_COLUMNS * CARD_ROWS }, (_, i) => {
+        const card = side === 'front' ? cards[i] : cards[backIndex(i, flip)];
+        if (!card) return <div key={i} />;
+        return (
+          <div key={i} className="border border-dashed border-slate-300 p-[5mm] flex flex-col">
+            {side === 'front' ? (
+              <div className="flex-1 rounded-[2mm]" style={{ backgroundColor: card.hex }} />
+            ) : (
+              <div className="flex-1 flex flex-col items-center justify-center text-center">
+                <p className="text-2xl font-bold font-mono text-slate-900">{formatNotation(card, { symbol: true })}</p>
+                <p className="text-[9pt] font-medium text-slate-700 mt-[1mm]">{card.toneLabel}</p>
+                <p className="text-[7pt] text-slate-500">{card.achromatic ? card.step.id : hueName(card.hue)}</p>
+                <p className="text-[7pt] text-slate-600 mt-[3mm] leading-relaxed">{toneDesc(card.tone)}</p>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </Page>
+);
+
+const PracticeSheet = ({ items, pageIndex, pageCount, answers }) => (
+  <Page orientation="portrait" className="flex flex-col">
+    <div className="flex items-baseline justify-between mb-[5mm] text-[9pt] text-slate-700">
+      <h1 className="text-lg font-bold text-slate-900">{t('print.practiceTitle')}{answers ? ` · ${t('print.answers')}` : ''}</h1>
+      {!answers && <span>{t('print.nameDate')}</span>}
+      <span className="text-slate-400">{pageIndex + 1} / {pageCount}</span>
+    </div>
+    <div className="grid gap-x-[6mm] gap-y-[4mm] flex-1" style={{ gridTemplateColumns: `repeat(${PRACTICE_COLUMNS}, 1fr)`, gridTemplateRows: `repeat(${PRACTICE_ROWS}, 1fr)` }}>
+      {items.map((chip, i) => (
+        <div key={chip.id} className="flex flex-col">
+          <div className="flex-1 rounded-[1.5mm] border border-slate-200" style={{ backgroundColor: chip.hex }} />
+          <div className="h-[9mm] flex items-end gap-[2mm] text-[8pt]">
+            <span className="text-slate-400 font-mono">{pageIndex * PRACTICE_COLUMNS * PRACTICE_ROWS + i + 1}.</span>
+            <span className="flex-1 border-b border-slate-400 font-mono font-bold text-slate-900 text-center">
+              {answers ? formatNotation(chip, { symbol: true }) : ''}
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  </Page>
+);
+
+export default function PrintView() {
+  const [layoutId, setLayoutId] = useState('poster');
+  const [hueCount, setHueCount] = useState(12);
+  const [toneIds, setToneIds] = useState([...TONES.map(tone => tone.id), 'N']);
+  const [flip, setFlip] = useState('long');
+  const [practiceCount, setPracticeCount] = useState(PRACTICE_COUNTS[0]);
+  const [withAnswers, setWithAnswers] = useState(true);
+  const [shuffleKey, setShuffleKey] = useState(0);
+
+  const layout = LAYOUTS.find(l => l.id === layoutId);
+
+  // Same chips as the quiz deck, limited to the selected tones ('N' is the achromatic scale)
+  const deck = useMemo(
+    () => generateFullDeck(hueCount).filter(chip => toneIds.includes(chip.achromatic ? 'N' : chip.tone.id)),
+    [hueCount, toneIds]
+  );
+  const practiceItems = useMemo(() => shuffle(deck).slice(0, practiceCount), [deck, practiceCount, shuffleKey]);
+
+  const toggleTone = (id) => setToneIds(prev => (prev.includes(id) ? prev.filter(toneId => toneId !== id) : [...prev, id]));
+
+  const cardSheets = chunk(deck, CARD_COLUMNS * CARD_ROWS);
+  const practicePages = chunk(practiceItems, PRACTICE_COLUMNS * PRACTICE_ROWS);
+
+  return (
+    <div className="space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <style>{`@page { size: A4 ${layout.orientation}; margin: 10mm; }`}</style>
+
+      <div className="max-w-2xl mx-auto space-y-6 print:hidden">
+        <div className="text-center space-y-2">
+          <div className="w-16 h-16 bg-sky-100 text-sky-600 rounded-2xl flex items-center justify-center mx-auto mb-4">
+            <Printer size={32} />
+          </div>
+          <h2 className="text-2xl font-bold text-slate-900">{t('print.title')}</h2>
+          <p className="text-slate-500">{t('print.intro')}</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-4 space-y-4 text-sm">
+          <div className="flex flex-wrap gap-2">
+            <div className="flex bg-slate-100 rounded-lg p-1 font-medium">
+              {LAYOUTS.map(l => (
+                <button
+                  key={l.id}
+                  onClick={() => setLayoutId(l.id)}
+                  className={`px-3 py-1 rounded-md transition-all ${layoutId === l.id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {t(`print.layout.${l.id}`)}
+                </button>
+              ))}
+            </div>
+            <div className="flex bg-slate-100 rounded-lg p-1 font-medium">
+              {HUE_COUNTS.map(count => (
+                <button
+                  key={count}
+                  onClick={() => setHueCount(count)}
+                  className={`px-3 py-1 rounded-md transition-all ${hueCount === count ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {t('common.hueCount', { count })}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {layoutId !== 'poster' && (
+            <div>
+              <p className="font-medium text-slate-700 mb-1.5">{t('print.tones')}</p>
+              <div className="flex flex-wrap gap-1">
+                {[...TONES.map(tone => ({ id: tone.id, title: tone.label })), { id: 'N', title: t('achromatic.name') }].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => toggleTone(option.id)}
+                    className={`px-2 py-1 rounded-md text-xs font-mono font-bold transition-all ${toneIds.includes(option.id) ? 'bg-slate-900 text-white' : 'bg-white border text-slate-400 hover:text-slate-800'}`}
+                    title={option.title}
+                  >
+                    {option.id === 'N' ? 'W–Bk' : option.id}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {layoutId === 'cards' && (
+            <label className="flex items-center gap-2">
+              <span className="font-medium text-slate-700">{t('print.duplexFlip')}</span>
+              <select value={flip} onChange={(e) => setFlip(e.target.value)} className="p-1.5 rounded-lg border border-slate-300">
+                <option value="long">{t('print.flip.long')}</option>
+                <option value="short">{t('print.flip.short')}</option>
+              </select>
+              <span className="text-slate-400">{t('print.cardCount', { count: deck.length, pages: cardSheets.length * 2 })}</span>
+            </label>
+          )}
+
+          {layoutId === 'practice' && (
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2">
+                <span className="font-medium text-slate-700">{t('print.questionCount')}</span>
+                <select value={practiceCount} onChange={(e) => setPracticeCount(Number(e.target.value))} className="p-1.5 rounded-lg border border-slate-300">
+                  {PRACTICE_COUNTS.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-slate-700">
+                <input type="checkbox" checked={withAnswers} onChange={(e) => setWithAnswers(e.target.checked)} />
+                {t('print.withAnswers')}
+              </label>
+              <button onClick={() => setShuffleKey(k => k + 1)} className="flex items-center gap-1 text-slate-500 hover:text-slate-800">
+                <Shuffle size={14} /> {t('print.reshuffle')}
+              </button>
+            </div>
+          )}
+
+          <button
+            onClick={() => window.print()}
+            disabled={layoutId !== 'poster' && deck.length === 0}
+            className="w-full py-3 bg-slate-900 text-white rounded-xl font-bold hover:bg-slate-800 transition-all flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <Printer size={18} /> {t('print.print')}
+          </button>
+          {layoutId === 'cards' && (
+            <p className="text-xs text-slate-400">{t('print.duplexNote')}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto print:overflow-visible">
+        {layoutId === 'poster' && <PosterPage hueCount={hueCount} />}
+        {layoutId === 'cards' && cardSheets.flatMap((cards, i) => [
+          <CardSheet key={`${i}-front`} cards={cards} side="front" flip={flip} />,
+          <CardSheet key={`${i}-back`} cards={cards} side="back" flip={flip} />,
+        ])}
+        {layoutId === 'practice' && [
+          ...practicePages.map((items, i) => (
+            <PracticeSheet key={`q-${i}`} items={items} pageIndex={i} pageCount={practicePages.length} />
+          )),
+          ...(withAnswers ? practicePages.map((items, i) => (
+            <PracticeSheet key={`a-${i}`} items={items} pageIndex={i} pageCount={practicePages.length} answers />
+          )) : []),
+        ]}
+      </div>
+    </div>
+  );
+}
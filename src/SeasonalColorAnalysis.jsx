@@ -1,5 +1,11 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef } from 'react';
 import { Upload, Camera, Sparkles, Palette, Shirt, Info, AlertCircle, X, Check, Loader2 } from 'lucide-react';
+import ExportMenu from './ExportMenu';
+import { colorToSwatch } from './paletteExport';
+import { colorToCompareItem } from './compare';
+import PinButton from './PinButton';
+import useCamera from './useCamera';
+import { t, answerLanguage } from './i18n';
 
 // Import shared settings helper
 const getSettings = () => {
@@ -25,7 +31,8 @@ const getSettings = () => {
   };
 };
 
-const SYSTEM_PROMPT = `
+// `language` is the interface language; the free-text fields are written in it
+const buildSystemPrompt = (language) => `
 You are a professional Color Analyst and Personal Stylist with expertise in Seasonal Color Analysis. 
 
 Your task is to analyze the image of the person provided and determine their Seasonal Color Analysis based on the 12-season flow system.
@@ -66,53 +73,50 @@ Based on these features, categorize the person into one of the 12 seasons:
 
 Return ONLY a valid JSON object. Do not include markdown formatting like \`\`\`json.
 
-IMPORTANT: The "reasoning" and "fashion_advice" fields MUST be written in Traditional Chinese (繁體中文). Write in a professional, expert tone as a color analyst. Use proper terminology and provide detailed, insightful analysis.
+IMPORTANT: The "reasoning", "fashion_advice" and palette "reason" fields MUST be written in ${language}. Write in a professional, expert tone as a color analyst. Use proper terminology and provide detailed, insightful analysis.
 
 Structure:
 {
   "season": "One of the 12 seasons listed above",
   "confidence": "High/Medium/Low",
-  "reasoning": "專業分析：請以繁體中文詳細說明判斷依據，包括觀察到的眼部特徵（例如：是否看到輪輻狀或太陽爆裂狀）、對比度層級、唇色特徵等。使用專業色彩分析師的語調，提供深入且具洞察力的分析。",
+  "reasoning": "Professional analysis in ${language}: explain the basis of your judgement in detail, including the eye features observed (e.g. whether you see a wheel/spokes or sunburst pattern), the contrast level and the lip colour. Use the tone of a professional color analyst and give deep, insightful analysis.",
   "characteristics": {
     "undertone": "Cool/Warm/Neutral",
     "contrast": "High/Medium/Low",
     "primary_feature": "e.g., Deep, Soft, Clear, Warm, Cool"
   },
   "palette": [
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"},
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"},
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"},
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"},
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"},
-    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in Traditional Chinese)"}
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"},
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"},
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"},
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"},
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"},
+    {"name": "Color Name", "hex": "#HEXCODE", "reason": "Why this fits (in ${language})"}
   ],
   "worst_colors": [
     {"name": "Color Name", "hex": "#HEXCODE"},
     {"name": "Color Name", "hex": "#HEXCODE"},
     {"name": "Color Name", "hex": "#HEXCODE"}
   ],
-  "fashion_advice": "請以繁體中文提供專業的造型建議，包括根據對比度層級推薦的服裝風格、適合的飾品材質（銀飾或金飾）、以及化妝建議。使用專業色彩分析師的語調，提供具體且實用的建議。"
+  "fashion_advice": "Professional styling advice in ${language}: clothing styles recommended for the contrast level, suitable jewellery metals (silver or gold) and makeup suggestions. Use the tone of a professional color analyst and give specific, practical advice."
 }
 `;
 
-export default function SeasonalColorAnalysis() {
+export default function SeasonalColorAnalysis({ pins }) {
   const [image, setImage] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
-  const [isCameraActive, setIsCameraActive] = useState(false);
-  const [cameraStream, setCameraStream] = useState(null);
-  const [isVideoReady, setIsVideoReady] = useState(false);
   const fileInputRef = useRef(null);
-  const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const { videoRef, isCameraActive, isVideoReady, startCamera, stopCamera } = useCamera(setError);
 
   const handleImageUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
       if (file.size > 4 * 1024 * 1024) {
-        setError("檔案太大。請使用 4MB 以下的圖片。");
+        setError(t('seasonal.fileTooLarge'));
         return;
       }
       
@@ -132,11 +136,11 @@ export default function SeasonalColorAnalysis() {
     const { baseUrl, apiKey, model } = getSettings();
 
     if (!apiKey) {
-      setError("請先在設定中配置您的 API Key。");
+      setError(t('seasonal.noApiKey'));
       return;
     }
     if (!image) {
-      setError("請先上傳一張圖片。");
+      setError(t('seasonal.noImage'));
       return;
     }
 
@@ -154,7 +158,7 @@ export default function SeasonalColorAnalysis() {
         messages: [
           {
             role: "system",
-            content: SYSTEM_PROMPT
+            content: buildSystemPrompt(answerLanguage())
           },
           {
             role: "user",
@@ -201,85 +205,24 @@ export default function SeasonalColorAnalysis() {
       setResult(parsedResult);
     } catch (err) {
       console.error(err);
-      setError(`分析失敗：${err.message}。請檢查您的設定和 API Key。`);
+      setError(t('seasonal.analysisFailed', { message: err.message }));
     } finally {
       setLoading(false);
     }
   };
 
-  const startCamera = async () => {
-    try {
-      // Check if getUserMedia is available
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        setError('您的瀏覽器不支援相機功能。請使用現代瀏覽器（Chrome、Safari、Firefox）。');
-        return;
-      }
-
-      // Stop any existing stream first
-      if (cameraStream) {
-        cameraStream.getTracks().forEach(track => track.stop());
-      }
-
-      setError(null);
-      setIsCameraActive(true);
-      setIsVideoReady(false);
-
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
-          facingMode: 'user',
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        } 
-      });
-      
-      setCameraStream(stream);
-      
-      // Set stream to video element
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-      }
-    } catch (err) {
-      console.error('Error accessing camera:', err);
-      let errorMessage = '無法存取相機。';
-      if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-        errorMessage = '相機權限被拒絕。請在瀏覽器設定中允許相機存取權限。';
-      } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
-        errorMessage = '找不到相機裝置。請確認您的裝置有相機功能。';
-      } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
-        errorMessage = '相機無法使用。可能正被其他應用程式使用中。';
-      } else if (err.name === 'OverconstrainedError') {
-        errorMessage = '相機不支援要求的設定。';
-      }
-      setError(errorMessage);
-      setIsCameraActive(false);
-      setIsVideoReady(false);
-    }
-  };
-
-  const stopCamera = () => {
-    if (cameraStream) {
-      cameraStream.getTracks().forEach(track => track.stop());
-      setCameraStream(null);
-    }
-    setIsCameraActive(false);
-    setIsVideoReady(false);
-    if (videoRef.current) {
-      videoRef.current.srcObject = null;
-    }
-  };
-
   const capturePhoto = () => {
     const video = videoRef.current;
     const canvas = canvasRef.current;
     
     if (!video || !canvas) {
-      setError('無法擷取照片。請重試。');
+      setError(t('seasonal.captureUnavailable'));
       return;
     }
 
     // Check if video has valid dimensions
     if (video.videoWidth === 0 || video.videoHeight === 0) {
-      setError('無法取得有效的影像尺寸。請稍候片刻再試。');
+      setError(t('seasonal.noVideoSize'));
       return;
     }
 
@@ -297,7 +240,7 @@ export default function SeasonalColorAnalysis() {
       const base64String = canvas.toDataURL('image/jpeg', 0.9);
       
       if (!base64String || base64String === 'data:,') {
-        throw new Error('無法轉換影像。');
+        throw new Error(t('seasonal.convertFailed'));
       }
       
       setImage(base64String);
@@ -309,7 +252,7 @@ export default function SeasonalColorAnalysis() {
       stopCamera();
     } catch (err) {
       console.error('Error capturing photo:', err);
-      setError('擷取照片時發生錯誤：' + err.message);
+      setError(t('seasonal.captureError', { message: err.message }));
     }
   };
 
@@ -322,91 +265,18 @@ export default function SeasonalColorAnalysis() {
     if(fileInputRef.current) fileInputRef.current.value = "";
   };
 
-  // Handle video element setup and cleanup
-  useEffect(() => {
-    const video = videoRef.current;
-    
-    if (!video || !cameraStream) {
-      setIsVideoReady(false);
-      return;
-    }
-
-    // Ensure video has the stream
-    if (video.srcObject !== cameraStream) {
-      video.srcObject = cameraStream;
-    }
-
-    const handleLoadedMetadata = () => {
-      video.play()
-        .then(() => {
-          setIsVideoReady(true);
-        })
-        .catch((err) => {
-          console.error('Error playing video:', err);
-          setIsVideoReady(false);
-        });
-    };
-
-    const handlePlaying = () => {
-      setIsVideoReady(true);
-    };
-
-    const handleCanPlay = () => {
-      if (video.paused) {
-        video.play().catch(err => {
-          console.error('Play error:', err);
-        });
-      }
-    };
-
-    const handleError = (err) => {
-      console.error('Video error:', err);
-      setError('相機畫面載入錯誤。');
-      setIsVideoReady(false);
-    };
-
-    // Add event listeners
-    video.addEventListener('loadedmetadata', handleLoadedMetadata);
-    video.addEventListener('playing', handlePlaying);
-    video.addEventListener('canplay', handleCanPlay);
-    video.addEventListener('error', handleError);
-
-    // Try to play immediately if stream is already set
-    if (video.srcObject && video.readyState >= 2) {
-      video.play().catch(() => {
-        // Will play when user interacts
-      });
-    }
-
-    // Cleanup
-    return () => {
-      video.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      video.removeEventListener('playing', handlePlaying);
-      video.removeEventListener('canplay', handleCanPlay);
-      video.removeEventListener('error', handleError);
-    };
-  }, [isCameraActive, cameraStream]);
-
-  // Cleanup camera stream on unmount
-  useEffect(() => {
-    return () => {
-      if (cameraStream) {
-        cameraStream.getTracks().forEach(track => track.stop());
-      }
-    };
-  }, [cameraStream]);
-
   const ColorSwatch = ({ hex, name, reason }) => (
     <div className="flex flex-col group cursor-pointer">
       <div 
-        className="h-20 w-full rounded-xl shadow-sm border border-gray-100 relative overflow-hidden transition-transform transform group-hover:scale-105"
+        className="h-20 w-full rounded-xl shadow-sm border border-slate-100 relative overflow-hidden transition-transform transform group-hover:scale-105"
         style={{ backgroundColor: hex }}
       >
         <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-10 transition-all" />
+        <PinButton item={colorToCompareItem(name, hex)} pins={pins} className="absolute top-1.5 right-1.5 bg-white/80" />
       </div>
       <div className="mt-2 text-center">
-        <p className="text-xs font-bold text-gray-800">{name}</p>
-        <p className="text-[10px] text-gray-500 uppercase tracking-wide">{hex}</p>
+        <p className="text-xs font-bold text-slate-800">{name}</p>
+        <p className="text-[10px] text-slate-500 uppercase tracking-wide">{hex}</p>
       </div>
     </div>
   );
@@ -422,10 +292,10 @@ export default function SeasonalColorAnalysis() {
           <div className="text-center space-y-8">
             <div className="space-y-4">
               <h1 className="text-4xl md:text-5xl font-bold text-slate-900 tracking-tight">
-                發現您的 <span className="text-rose-500">真實色彩</span>
+                {t('seasonal.heroBefore')}<span className="text-rose-500">{t('seasonal.heroHighlight')}</span>
               </h1>
               <p className="text-lg text-slate-600 max-w-xl mx-auto leading-relaxed">
-                上傳一張自拍照，讓我們的 AI 造型師分析您的膚色、頭髮和眼睛，找出您完美的季節色彩調色板。
+                {t('seasonal.intro')}
               </p>
             </div>
 
@@ -438,14 +308,14 @@ export default function SeasonalColorAnalysis() {
                     className="flex-1 py-3 px-4 rounded-xl bg-white border-2 border-stone-300 hover:border-rose-400 text-slate-700 font-medium transition-all flex items-center justify-center gap-2"
                   >
                     <Upload className="w-5 h-5" />
-                    上傳照片
+                    {t('seasonal.uploadPhoto')}
                   </button>
                   <button
-                    onClick={startCamera}
+                    onClick={() => startCamera()}
                     className="flex-1 py-3 px-4 rounded-xl bg-white border-2 border-stone-300 hover:border-rose-400 text-slate-700 font-medium transition-all flex items-center justify-center gap-2"
                   >
                     <Camera className="w-5 h-5" />
-                    拍攝照片
+                    {t('seasonal.takePhoto')}
                   </button>
                 </div>
               )}
@@ -470,7 +340,7 @@ export default function SeasonalColorAnalysis() {
                       <div className="absolute inset-0 flex items-center justify-center bg-black/50">
                         <div className="text-white text-center">
                           <Loader2 className="w-8 h-8 animate-spin mx-auto mb-2" />
-                          <p className="text-sm">正在啟動相機...</p>
+                          <p className="text-sm">{t('camera.starting')}</p>
                         </div>
                       </div>
                     )}
@@ -480,7 +350,7 @@ export default function SeasonalColorAnalysis() {
                           onClick={stopCamera}
                           className="px-6 py-3 bg-white/20 backdrop-blur-sm text-white rounded-xl font-medium hover:bg-white/30 transition-all"
                         >
-                          取消
+                          {t('seasonal.cancel')}
                         </button>
                         <button
                           onClick={capturePhoto}
@@ -491,20 +361,20 @@ export default function SeasonalColorAnalysis() {
                               : 'bg-gray-400 text-gray-200 cursor-not-allowed'
                           }`}
                         >
-                          {isVideoReady ? '拍攝' : '準備中...'}
+                          {isVideoReady ? t('seasonal.capture') : t('seasonal.preparing')}
                         </button>
                       </div>
                     </div>
                   </div>
                 ) : previewUrl ? (
-                  <img src={previewUrl} alt="上傳預覽" className="w-full h-full object-cover" />
+                  <img src={previewUrl} alt={t('seasonal.previewAlt')} className="w-full h-full object-cover" />
                 ) : (
                   <label className="flex flex-col items-center justify-center w-full h-full cursor-pointer group">
                     <div className="p-6 bg-rose-50 rounded-full mb-4 group-hover:bg-rose-100 transition-colors">
                       <Camera className="w-10 h-10 text-rose-500" />
                     </div>
-                    <span className="text-lg font-medium text-slate-700">上傳您的照片</span>
-                    <span className="text-sm text-slate-400 mt-2">建議：自然光線，無化妝</span>
+                    <span className="text-lg font-medium text-slate-700">{t('seasonal.uploadYourPhoto')}</span>
+                    <span className="text-sm text-slate-400 mt-2">{t('seasonal.uploadTip')}</span>
                     <input 
                       ref={fileInputRef}
                       type="file" 
@@ -535,14 +405,14 @@ export default function SeasonalColorAnalysis() {
                   className="mt-6 w-full bg-slate-900 hover:bg-slate-800 text-white py-4 px-8 rounded-xl font-semibold shadow-lg shadow-slate-900/20 flex items-center justify-center gap-2 transition-all transform hover:-translate-y-1"
                 >
                   <Sparkles className="w-5 h-5" />
-                  分析我的色彩
+                  {t('seasonal.analyze')}
                 </button>
               )}
               
               {loading && (
                 <div className="mt-6 w-full bg-slate-100 text-slate-500 py-4 px-8 rounded-xl font-medium flex items-center justify-center gap-2 animate-pulse">
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  正在使用 AI 分析中...
+                  {t('seasonal.analyzing')}
                 </div>
               )}
 
@@ -550,7 +420,7 @@ export default function SeasonalColorAnalysis() {
                 <div className="mt-6 p-4 bg-red-50 border border-red-100 rounded-xl text-red-600 text-sm flex items-start gap-2 text-left">
                   <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
                   <div>
-                    <span className="font-bold">錯誤：</span> {error}
+                    <span className="font-bold">{t('seasonal.errorLabel')}</span> {error}
                   </div>
                 </div>
               )}
@@ -564,7 +434,7 @@ export default function SeasonalColorAnalysis() {
             {/* Header Result */}
             <div className="text-center mb-12">
               <span className="inline-block py-1 px-3 rounded-full bg-rose-100 text-rose-700 text-xs font-bold uppercase tracking-wider mb-3">
-                分析完成
+                {t('seasonal.complete')}
               </span>
               <h2 className="text-5xl font-bold text-slate-900 mb-4">{result.season}</h2>
               <p className="text-slate-600 max-w-2xl mx-auto text-lg leading-relaxed">
@@ -577,10 +447,10 @@ export default function SeasonalColorAnalysis() {
               {/* Left Column: Image & Stats */}
               <div className="md:col-span-4 space-y-6">
                 <div className="rounded-3xl overflow-hidden shadow-xl aspect-[3/4] relative">
-                   <img src={previewUrl} alt="已分析的使用者" className="w-full h-full object-cover" />
+                   <img src={previewUrl} alt={t('seasonal.analyzedAlt')} className="w-full h-full object-cover" />
                    <div className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/70 to-transparent p-6 pt-20">
                       <div className="text-white">
-                        <p className="text-xs opacity-80 uppercase tracking-widest">信心度</p>
+                        <p className="text-xs opacity-80 uppercase tracking-widest">{t('seasonal.confidence')}</p>
                         <p className="font-semibold">{result.confidence}</p>
                       </div>
                    </div>
@@ -589,19 +459,19 @@ export default function SeasonalColorAnalysis() {
                 <div className="bg-white p-6 rounded-2xl shadow-sm border border-stone-200">
                   <h3 className="font-bold text-slate-800 mb-4 flex items-center gap-2">
                     <Info className="w-4 h-4 text-rose-500" />
-                    關鍵特徵
+                    {t('seasonal.keyFeatures')}
                   </h3>
                   <div className="space-y-3">
                     <div className="flex justify-between items-center pb-2 border-b border-stone-100">
-                      <span className="text-slate-500 text-sm">基調</span>
+                      <span className="text-slate-500 text-sm">{t('seasonal.undertone')}</span>
                       <span className="font-medium text-slate-800">{result.characteristics.undertone}</span>
                     </div>
                     <div className="flex justify-between items-center pb-2 border-b border-stone-100">
-                      <span className="text-slate-500 text-sm">對比度</span>
+                      <span className="text-slate-500 text-sm">{t('seasonal.contrast')}</span>
                       <span className="font-medium text-slate-800">{result.characteristics.contrast}</span>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span className="text-slate-500 text-sm">主導特質</span>
+                      <span className="text-slate-500 text-sm">{t('seasonal.primaryFeature')}</span>
                       <span className="font-medium text-slate-800">{result.characteristics.primary_feature}</span>
                     </div>
                   </div>
@@ -612,12 +482,19 @@ export default function SeasonalColorAnalysis() {
               <div className="md:col-span-8 space-y-8">
                 
                 {/* Best Colors */}
-                <div className="bg-white p-8 rounded-3xl shadow-sm border border-stone-200">
+                <div className="chip-surround bg-white p-8 rounded-3xl shadow-sm border border-stone-200">
                   <div className="flex items-center justify-between mb-6">
                     <h3 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
                       <Palette className="w-6 h-6 text-rose-500" />
-                      您的專屬調色板
+                      {t('seasonal.yourPalette')}
                     </h3>
+                    <ExportMenu
+                      title={t('seasonal.paletteTitle', { season: result.season })}
+                      getSwatches={() => [
+                        ...result.palette.map(color => colorToSwatch(color.name, color.hex)),
+                        ...(result.worst_colors || []).map(color => colorToSwatch(t('seasonal.avoidSwatch', { name: color.name }), color.hex)),
+                      ].filter(Boolean)}
+                    />
                   </div>
                   <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
                     {result.palette.map((color, idx) => (
@@ -625,7 +502,7 @@ export default function SeasonalColorAnalysis() {
                     ))}
                   </div>
                   <div className="mt-6 p-4 bg-stone-50 rounded-xl text-sm text-stone-600 italic">
-                    這些色彩與您的自然特徵和諧，讓您的肌膚看起來更清透，眼睛更明亮。
+                    {t('seasonal.paletteNote')}
                   </div>
                 </div>
 
@@ -633,7 +510,7 @@ export default function SeasonalColorAnalysis() {
                 <div className="bg-slate-900 text-white p-8 rounded-3xl shadow-xl">
                   <h3 className="text-2xl font-bold mb-4 flex items-center gap-2">
                     <Shirt className="w-6 h-6 text-rose-400" />
-                    風格指南
+                    {t('seasonal.styleGuide')}
                   </h3>
                   <p className="text-slate-300 leading-relaxed text-lg mb-6">
                     {result.fashion_advice}
@@ -641,7 +518,7 @@ export default function SeasonalColorAnalysis() {
                   
                   {result.worst_colors && (
                     <div className="border-t border-slate-700 pt-6">
-                      <h4 className="text-sm font-semibold uppercase tracking-wider text-rose-400 mb-4">應避免的顏色</h4>
+                      <h4 className="text-sm font-semibold uppercase tracking-wider text-rose-400 mb-4">{t('seasonal.worstColors')}</h4>
                       <div className="flex gap-3">
                         {result.worst_colors.map((color, idx) => (
                           <div key={idx} className="flex items-center gap-2 bg-slate-800 pr-3 rounded-full">
@@ -658,7 +535,7 @@ export default function SeasonalColorAnalysis() {
                   onClick={resetApp}
                   className="w-full py-4 rounded-xl border-2 border-slate-200 text-slate-600 font-semibold hover:border-rose-500 hover:text-rose-600 transition-colors"
                 >
-                  分析另一張照片
+                  {t('seasonal.analyzeAnother')}
                 </button>
 
               </div>
@@ -0,0 +1,247 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart3, Trash2 } from 'lucide-react';
+import { TONES, ALL_TONES, ACHROMATIC_TONES, ACHROMATIC_SCALE, HUES, generateColor, generateAchromatic } from './pccs';
+import { formatNotation } from './notation';
+import { loadAnswers, saveAnswers, toneConfusionMatrix, accuracyBy, toneAccuracy, hueAccuracy, accuracyByDay, mostConfusedPairs } from './answerLog';
+import { t, getLanguage, hueShortName } from './i18n';
+
+// --- Quiz Statistics ---
+// Reads the answer log (answerLog.js) written by the quiz.
+
+const MODES = [
+  { id: 'all',           label: 'stats.allModes' },
+  { id: 'color-to-tone', label: 'quiz.mode.colorToTone' },
+  { id: 'tone-to-desc',  label: 'quiz.mode.toneToDesc' },
+  { id: 'color-to-hue',  label: 'quiz.mode.colorToHue' },
+  { id: 'color-to-notation', label: 'quiz.mode.colorToNotation' },
+];
+
+const DAYS_SHOWN = 30;
+
+const TONE_ORDER = [...TONES, ...ACHROMATIC_TONES];
+
+const percent = (group) => Math.round((group.correct / group.total) * 100);
+
+const seconds = (group) => (group.ms / group.total / 1000).toFixed(1);
+
+// A chip of the tone, on the pair's hue (grays use their first lightness step)
+const toneChip = (toneId, hueId) => {
+  if (ACHROMATIC_TONES.some(tone => tone.id === toneId)) {
+    return generateAchromatic(ACHROMATIC_SCALE.find(step => step.toneId === toneId));
+  }
+  return generateColor(ALL_TONES.find(tone => tone.id === toneId), HUES.find(hue => hue.id === (hueId ?? 2)));
+};
+
+const Card = ({ title, hint, children, className = '' }) => (
+  <div className={`bg-white rounded-2xl shadow-sm border border-slate-200 p-4 sm:p-6 ${className}`}>
+    <h3 className="font-bold text-slate-800">{title}</h3>
+    {hint && <p className="text-sm text-slate-500 mb-4">{hint}</p>}
+    {children}
+  </div>
+);
+
+const Bar = ({ value, className = 'bg-emerald-500' }) => (
+  <div className="h-2 flex-1 bg-slate-100 rounded-full overflow-hidden">
+    <div className={`h-full rounded-full ${className}`} style={{ width: `${value}%` }} />
+  </div>
+);
+
+const ConfusionMatrix = ({ matrix }) => {
+  const rowTotals = matrix.map(row => row.reduce((sum, n) => sum + n, 0));
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs font-mono mx-auto">
+        <thead>
+          <tr>
+            <th className="p-1 text-[10px] text-slate-400 font-normal text-left">{t('stats.matrixCorner')}</th>
+            {TONES.map(tone => <th key={tone.id} className="p-1 w-8 text-slate-500 font-bold">{tone.id}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.map((row, i) => (
+            <tr key={TONES[i].id}>
+              <th className="p-1 pr-2 text-right text-slate-500 font-bold">{TONES[i].id}</th>
+              {row.map((count, j) => {
+                const share = rowTotals[i] ? count / rowTotals[i] : 0;
+                const tint = i === j ? '16 185 129' : '239 68 68';
+                return (
+                  <td
+                    key={TONES[j].id}
+                    className={`w-8 h-8 text-center border border-slate-100 ${share > 0.5 ? 'text-white' : 'text-slate-700'}`}
+                    style={count ? { backgroundColor: `rgb(${tint} / ${0.15 + share * 0.85})` } : undefined}
+                    title={t('stats.matrixCell', { tone: TONES[i].label, chosen: TONES[j].label, count })}
+                  >
+                    {count || ''}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const StatsView = () => {
+  const [answers, setAnswers] = useState(loadAnswers);
+  const [mode, setMode] = useState('all');
+
+  const shown = useMemo(() => (mode === 'all' ? answers : answers.filter(answer => answer.mode === mode)), [answers, mode]);
+
+  const stats = useMemo(() => {
+    const byTone = toneAccuracy(shown);
+    const byHue = hueAccuracy(shown);
+    return {
+      total: accuracyBy(shown, () => 'all').get('all'),
+      matrix: toneConfusionMatrix(shown),
+      tones: TONE_ORDER.filter(tone => byTone.has(tone.id)).map(tone => ({ tone, ...byTone.get(tone.id) })),
+      hues: HUES.filter(hue => byHue.has(hue.id)).map(hue => ({ hue, ...byHue.get(hue.id) })),
+      days: accuracyByDay(shown).slice(-DAYS_SHOWN),
+      pairs: mostConfusedPairs(shown),
+    };
+  }, [shown]);
+
+  const clearHistory = () => {
+    if (!window.confirm(t('stats.clearConfirm'))) return;
+    saveAnswers([]);
+    setAnswers([]);
+  };
+
+  const formatDay = (at) => new Date(at).toLocaleDateString(getLanguage(), { month: 'numeric', day: 'numeric' });
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-8 animate-in fade-in slide-in-from-bottom-4">
+      <div className="text-center space-y-2">
+        <div className="w-16 h-16 bg-lime-100 text-lime-700 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <BarChart3 size={32} />
+        </div>
+        <h2 className="text-2xl font-bold text-slate-900">{t('stats.title')}</h2>
+        <p className="text-slate-500">{t('stats.intro')}</p>
+      </div>
+
+      <div className="flex justify-center">
+        <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-medium">
+          {MODES.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setMode(id)}
+              className={`px-3 py-1 rounded-md transition-all ${mode === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(label)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!stats.total ? (
+        <div className="bg-white rounded-2xl border border-dashed border-slate-300 p-8 text-center text-slate-500 text-sm">
+          {t('stats.empty')}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-3 text-center">
+            {[
+              [t('stats.answers'), stats.total.total],
+              [t('stats.accuracy'), `${percent(stats.total)}%`],
+              [t('stats.avgTime'), t('stats.seconds', { seconds: seconds(stats.total) })],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+                <p className="text-xs text-slate-400 uppercase font-bold">{label}</p>
+                <p className="font-mono text-2xl font-bold text-slate-900">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {stats.matrix.some(row => row.some(Boolean)) && (
+            <Card title={t('stats.matrixTitle')} hint={t('stats.matrixHint')}>
+              <ConfusionMatrix matrix={stats.matrix} />
+            </Card>
+          )}
+
+          {stats.pairs.length > 0 && (
+            <Card title={t('stats.pairsTitle')} hint={t('stats.pairsHint')} className="chip-surround">
+              <div className="space-y-4">
+                {stats.pairs.map(({ toneIds, count, hueId }) => (
+                  <div key={toneIds.join('/')} className="flex items-center gap-4">
+                    <div className="flex flex-1 rounded-lg overflow-hidden ring-1 ring-black/5 h-20">
+                      {toneIds.map(toneId => {
+                        const chip = toneChip(toneId, hueId);
+                        return (
+                          <div key={toneId} className="flex-1 flex items-end p-2" style={{ backgroundColor: chip.css }}>
+                            <span className="text-[11px] font-mono font-bold px-1.5 py-0.5 rounded bg-white/80 text-slate-800">
+                              {formatNotation(chip, { symbol: true })}
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <span className="w-20 shrink-0 text-right font-mono text-sm text-slate-600">{t('stats.pairCount', { count })}</span>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
+          <Card title={t('stats.toneTitle')} hint={t('stats.toneHint')}>
+            <div className="space-y-2 mt-3">
+              {stats.tones.map(({ tone, ...group }) => (
+                <div key={tone.id} className="flex items-center gap-3 text-sm">
+                  <span className="w-32 sm:w-40 shrink-0 text-slate-700 truncate">{tone.label}</span>
+                  <Bar value={percent(group)} />
+                  <span className="w-12 text-right font-mono font-bold text-slate-800">{percent(group)}%</span>
+                  <span className="w-24 text-right font-mono text-xs text-slate-400 hidden sm:inline">
+                    {group.total} · {t('stats.seconds', { seconds: seconds(group) })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </Card>
+
+          {stats.hues.length > 0 && (
+            <Card title={t('stats.hueTitle')} hint={t('stats.hueHint')}>
+              <div className="grid grid-cols-4 sm:grid-cols-6 gap-3">
+                {stats.hues.map(({ hue, ...group }) => (
+                  <div key={hue.id} className="text-center" title={`${hue.id}:${hue.symbol} · ${group.correct}/${group.total}`}>
+                    <div className="h-8 rounded-md ring-1 ring-black/5" style={{ backgroundColor: generateColor(TONES[0], hue).css }} />
+                    <p className="mt-1 text-[10px] text-slate-500 truncate">{hue.id}:{hue.symbol} {hueShortName(hue)}</p>
+                    <p className="font-mono font-bold text-slate-800">{percent(group)}%</p>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
+          <Card title={t('stats.timeTitle')} hint={t('stats.timeHint', { days: DAYS_SHOWN })}>
+            <div className="flex items-end gap-1 h-32">
+              {stats.days.map(day => (
+                <div
+                  key={day.day}
+                  className="flex-1 h-full flex flex-col justify-end"
+                  title={`${formatDay(day.at)} · ${percent(day)}% (${day.correct}/${day.total})`}
+                >
+                  <div className="bg-emerald-500 rounded-t" style={{ height: `${Math.max(percent(day), 2)}%` }} />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between mt-1 text-[10px] font-mono text-slate-400">
+              <span>{formatDay(stats.days[0].at)}</span>
+              <span>{formatDay(stats.days[stats.days.length - 1].at)}</span>
+            </div>
+          </Card>
+        </>
+      )}
+
+      {answers.length > 0 && (
+        <button
+          onClick={clearHistory}
+          className="w-full py-3 rounded-xl border-2 border-slate-200 text-slate-600 font-semibold hover:border-red-400 hover:text-red-600 transition-colors flex items-center justify-center gap-2"
+        >
+          <Trash2 size={18} /> {t('stats.clear')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default StatsView;
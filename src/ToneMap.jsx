@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { TONES, ACHROMATIC_SCALE, getHues, generateColor, generateAchromatic } from './pccs';
+import { formatNotation, formatHue } from './notation';
+import { t, hueName, chipHueName, toneDesc } from './i18n';
+
+// Diagram bounds on the PCCS lightness scale (Bk 1.5 … W 9.5)
+const TOP_LIGHTNESS = 9.5;
+const BOTTOM_LIGHTNESS = 1.5;
+
+// Saturation levels present in the chart, each drawn as one column right of the gray axis
+const SATURATION_COLUMNS = [...new Set(TONES.map(t => t.sat))].sort((a, b) => a - b);
+
+const toTop = (lightness) => ((TOP_LIGHTNESS - lightness) / (TOP_LIGHTNESS - BOTTOM_LIGHTNESS)) * 100;
+// The gray axis is column 0, so the map has one more column than saturation levels
+const toLeft = (column) => (column / (SATURATION_COLUMNS.length + 1)) * 100;
+
+const CELL_SIZE = `${100 / (SATURATION_COLUMNS.length + 1) - 3}%`;
+
+const MapCell = ({ chip, top, left, label, isActive, onHover, onSelect }) => (
+  <button
+    onMouseEnter={() => onHover(chip)}
+    onMouseLeave={() => onHover(null)}
+    onFocus={() => onHover(chip)}
+    onBlur={() => onHover(null)}
+    onClick={() => onSelect(chip)}
+    className={`absolute -translate-y-1/2 rounded-xl shadow-sm flex items-center justify-center transition-transform hover:scale-110 hover:z-10 ${isActive ? 'ring-4 ring-blue-500 z-10' : 'ring-1 ring-black/10'}`}
+    style={{ top: `${top}%`, left: `calc(${left}% + 1.5%)`, width: CELL_SIZE, height: '11%', backgroundColor: chip.css }}
+    title={formatNotation(chip)}
+  >
+    <span className="text-[11px] font-mono font-bold px-1.5 py-0.5 rounded bg-white/80 text-slate-800">{label}</span>
+  </button>
+);
+
+const VIVID = TONES.find(t => t.id === 'v');
+
+// `focusChip` opens a chip from elsewhere (e.g. the hue circle): its hue is drawn and the
+// chip is pinned in the detail panel.
+const ToneMap = ({ hueCount = 12, focusChip = null }) => {
+  const hues = getHues(hueCount);
+  const [hueId, setHueId] = useState(focusChip?.hue?.id ?? hues[0].id);
+  const [hovered, setHovered] = useState(null);
+  const [selected, setSelected] = useState(focusChip);
+
+  useEffect(() => {
+    if (!focusChip) return;
+    if (focusChip.hue) setHueId(focusChip.hue.id);
+    setSelected(focusChip);
+  }, [focusChip]);
+
+  // Keep the selected hue valid when switching between the 12- and 24-hue circles
+  const hue = hues.find(h => h.id === hueId) || hues[0];
+
+  const chromaticCells = useMemo(() => TONES.map(tone => ({
+    chip: generateColor(tone, hue),
+    top: toTop(tone.value),
+    left: toLeft(SATURATION_COLUMNS.indexOf(tone.sat) + 1),
+    label: tone.id,
+  })), [hue]);
+
+  const grayCells = useMemo(() => ACHROMATIC_SCALE.map(step => ({
+    chip: generateAchromatic(step),
+    top: toTop(step.lightness),
+    left: toLeft(0),
+    label: step.id,
+  })), []);
+
+  // Re-resolve the selection in the new hue so the detail panel follows the hue selector
+  const selectedChip = selected && !selected.achromatic ? generateColor(selected.tone, hue) : selected;
+  const detail = hovered || selectedChip;
+
+  return (
+    <div className="chip-surround bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 border-b border-slate-100 bg-slate-50">
+        <h3 className="font-bold text-lg text-slate-800">{t('toneMap.title')}</h3>
+        <p className="text-slate-500 text-sm">{t('toneMap.intro')}</p>
+        <div className="mt-3 flex flex-wrap gap-1">
+          {hues.map(h => {
+            const vivid = generateColor(VIVID, h);
+            return (
+              <button
+                key={h.id}
+                onClick={() => setHueId(h.id)}
+                className={`w-7 h-7 rounded-full text-[9px] font-mono font-bold text-white transition-transform ${h.id === hue.id ? 'ring-2 ring-offset-2 ring-slate-900 scale-110' : 'hover:scale-110'}`}
+                style={{ backgroundColor: vivid.css }}
+                title={`${formatHue(h)} ${hueName(h)}`}
+              >
+                {h.id}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3">
+        <div className="md:col-span-2 p-4">
+          <div className="relative w-full aspect-[4/3] my-6">
+            {[...grayCells, ...chromaticCells].map(cell => (
+              <MapCell
+                key={cell.chip.id}
+                {...cell}
+                isActive={selectedChip?.id === cell.chip.id}
+                onHover={setHovered}
+                onSelect={setSelected}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] uppercase tracking-wider text-slate-400 mt-2">
+            <span>{t('toneMap.achromaticAxis')}</span>
+            <span>{t('toneMap.saturationAxis')}</span>
+          </div>
+        </div>
+
+        <div className="border-t md:border-t-0 md:border-l border-slate-100 p-4">
+          {detail ? (
+            <div className="space-y-3">
+              <div className="h-24 rounded-xl ring-1 ring-black/5" style={{ backgroundColor: detail.css }} />
+              <div>
+                <p className="text-2xl font-bold font-mono text-slate-900">{formatNotation(detail, { symbol: true })}</p>
+                <p className="text-slate-700 font-medium">{detail.toneLabel}</p>
+                <p className="text-slate-500 text-sm">{detail.achromatic ? chipHueName(detail) : `${formatHue(detail.hue)} ${hueName(detail.hue)}`}</p>
+              </div>
+              <p className="text-slate-500 text-sm leading-relaxed">{toneDesc(detail.tone)}</p>
+              <div className="flex flex-wrap gap-2 text-xs font-mono text-slate-500">
+                <span className="bg-slate-50 px-2 py-1 rounded border">{detail.hex}</span>
+                <span className="bg-slate-50 px-2 py-1 rounded border">{detail.munsell}</span>
+                {detail.outOfGamut && <span className="bg-amber-50 text-amber-700 px-2 py-1 rounded border border-amber-100">{t('common.outOfGamut')}</span>}
+              </div>
+              {!hovered && <p className="text-[10px] text-slate-400">{t('toneMap.pinned')}</p>}
+            </div>
+          ) : (
+            <p className="text-sm text-slate-400 text-center py-8">{t('toneMap.hint')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ToneMap;
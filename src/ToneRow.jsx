@@ -0,0 +1,128 @@
+import React from 'react';
+import { ACHROMATIC_TONES, ACHROMATIC_SCALE, getHues, generateColor, generateAchromatic } from './pccs';
+import { formatNotation } from './notation';
+import { chipToSwatch } from './paletteExport';
+import ExportMenu from './ExportMenu';
+import ChipDetail from './ChipDetail';
+import { t, hueShortName, toneDesc } from './i18n';
+
+// --- Tone Strips ---
+// One row of the reference chart per tone. Used by the reference view and by the
+// standalone embed (embed.html), which shows the rows read-only: without `onSelectChip`
+// the chips are not clickable, and `exportable={false}` hides the export menu.
+
+// Chip row heights for the embed sizes; 'md' keeps the responsive heights of the chart
+const ROW_HEIGHTS = { sm: 32, lg: 112 };
+
+const gridLayout = (count, size) => {
+  const height = ROW_HEIGHTS[size];
+  if (count === 24) {
+    return height
+      ? { className: 'grid-cols-8 sm:grid-cols-12 lg:grid-cols-[repeat(24,minmax(0,1fr))]', style: { gridAutoRows: height } }
+      : { className: 'grid-cols-8 h-36 sm:grid-cols-12 sm:h-32 lg:grid-cols-[repeat(24,minmax(0,1fr))] lg:h-20' };
+  }
+  if (count === 12) {
+    return height
+      ? { className: 'grid-cols-6 sm:grid-cols-12', style: { gridAutoRows: height } }
+      : { className: 'grid-cols-6 sm:grid-cols-12 h-24 sm:h-20' };
+  }
+  return {
+    className: height ? '' : 'h-24 sm:h-20',
+    style: { gridTemplateColumns: `repeat(${count}, minmax(0, 1fr))`, gridAutoRows: height },
+  };
+};
+
+// Marks chips whose printed colour lies outside sRGB and is shown with reduced chroma
+export const OutOfGamutMark = () => (
+  <span className="absolute top-1 right-1 w-2 h-2 rounded-full bg-white ring-1 ring-black/40" />
+);
+
+const ChipStrip = ({ chips, layout, selected, onSelectChip, isMatch, renderLabel }) => {
+  const Chip = onSelectChip ? 'button' : 'div';
+  return (
+    <div className={`grid ${layout.className}`} style={layout.style}>
+      {chips.map(c => (
+        <Chip
+          key={c.id}
+          onClick={onSelectChip && (() => onSelectChip(c.id === selected?.id ? null : c))}
+          className={`h-full w-full group relative transition-opacity ${isMatch(c) ? '' : 'opacity-20'} ${c.id === selected?.id ? 'ring-2 ring-inset ring-blue-500 z-10' : ''}`}
+          style={{ backgroundColor: c.css }}
+          title={c.title}
+        >
+          {c.outOfGamut && <OutOfGamutMark />}
+          <div className="opacity-0 group-hover:opacity-100 absolute inset-0 bg-black/40 flex flex-col items-center justify-center transition-opacity duration-200">
+            {renderLabel(c)}
+          </div>
+        </Chip>
+      ))}
+    </div>
+  );
+};
+
+export default function ToneRow({ tone, hueCount = 12, hues = getHues(hueCount), selectedChip, onSelectChip, isMatch = () => true, pins, size = 'md', showDesc = true, exportable = true, className = 'mb-8' }) {
+  const colors = hues.map(hue => generateColor(tone, hue));
+  const selected = selectedChip && !selectedChip.achromatic && selectedChip.tone.id === tone.id ? selectedChip : null;
+  return (
+    <div className={`${className} chip-surround bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden`}>
+      <div className={`${size === 'sm' ? 'px-3 py-2' : 'p-4'} border-b border-slate-100 bg-slate-50 flex flex-col sm:flex-row sm:items-center justify-between gap-2`}>
+        <div>
+          <h3 className={`font-bold text-slate-800 ${size === 'sm' ? 'text-sm' : 'text-lg'}`}>{tone.label}</h3>
+          {showDesc && <p className="text-slate-500 text-sm">{toneDesc(tone)}</p>}
+        </div>
+        <div className="flex items-center gap-2 text-xs font-mono text-slate-400">
+          <span className="bg-white px-2 py-1 rounded border">S: {tone.sat}s</span>
+          <span className="bg-white px-2 py-1 rounded border">V: ~{tone.value}</span>
+          {exportable && <ExportMenu title={`PCCS ${tone.label}`} getSwatches={() => colors.map(chipToSwatch)} />}
+        </div>
+      </div>
+      <ChipStrip
+        chips={colors.map(c => ({ ...c, title: `${c.munsell}${c.outOfGamut ? ` (${t('common.outOfGamut')})` : ''}` }))}
+        layout={gridLayout(hues.length, size)}
+        selected={selected}
+        onSelectChip={onSelectChip}
+        isMatch={isMatch}
+        renderLabel={c => (
+          <>
+            <span className="text-white text-[10px] font-mono font-bold">{formatNotation(c, { symbol: true })}</span>
+            <span className="text-white text-[10px] text-center font-medium px-1">{hueShortName(c.hue)}</span>
+          </>
+        )}
+      />
+      {selected && <ChipDetail chip={selected} hueCount={hueCount} onSelect={onSelectChip} onClose={() => onSelectChip(null)} pins={pins} />}
+    </div>
+  );
+}
+
+export const AchromaticRow = ({ selectedChip, onSelectChip, isMatch = () => true, pins, size = 'md', showDesc = true, exportable = true, className = 'mb-8' }) => {
+  const selected = selectedChip?.achromatic ? selectedChip : null;
+  const steps = ACHROMATIC_TONES.map(tone => tone.id).join(' · ');
+  return (
+    <div className={`${className} chip-surround bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden`}>
+      <div className={`${size === 'sm' ? 'px-3 py-2' : 'p-4'} border-b border-slate-100 bg-slate-50 flex items-center justify-between gap-2`}>
+        <div>
+          <h3 className={`font-bold text-slate-800 ${size === 'sm' ? 'text-sm' : 'text-lg'}`}>{t('achromatic.name')}</h3>
+          {showDesc && (
+            <p className="text-slate-500 text-sm">
+              {t('achromatic.scale', { steps })}
+            </p>
+          )}
+        </div>
+        {exportable && <ExportMenu title={`PCCS ${t('achromatic.name')}`} getSwatches={() => ACHROMATIC_SCALE.map(generateAchromatic).map(chipToSwatch)} />}
+      </div>
+      <ChipStrip
+        chips={ACHROMATIC_SCALE.map(generateAchromatic).map(c => ({ ...c, title: c.munsell }))}
+        layout={ROW_HEIGHTS[size] ? { className: 'grid-cols-9', style: { gridAutoRows: ROW_HEIGHTS[size] } } : { className: 'grid-cols-9 h-24 sm:h-20' }}
+        selected={selected}
+        onSelectChip={onSelectChip}
+        isMatch={isMatch}
+        renderLabel={c => (
+          <>
+            <span className="text-white text-[10px] font-mono font-bold">{c.id}</span>
+            <span className="text-white text-[10px] text-center font-medium px-1">{c.toneId}</span>
+          </>
+        )}
+      />
+      {selected && <ChipDetail chip={selected} onSelect={onSelectChip} onClose={() => onSelectChip(null)} pins={pins} />}
+    </div>
+  );
+};
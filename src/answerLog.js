@@ -0,0 +1,102 @@
+import { TONES } from './pccs';
+import { dayOf } from './spacedRepetition';
+
+// --- Answer Log ---
+// Every quiz answer is appended to a log in localStorage:
+//   { at, mode, cardId, toneId, chosenToneId, hueId, chosenHueId, grade, ms }
+// `toneId` is the correct tone and `chosenToneId` the one picked (achromatic cards use W,
+// ltGy, …; typed notations may pick a "+" variant such as lt+), `hueId` the hue of the
+// colour shown (null for grays), `grade` the grade shown to the student (see grading.js) and
+// `ms` the time from the card appearing to the answer. Hue-quiz answers have `chosenHueId`
+// instead of `chosenToneId`; notation-quiz answers have both. Only the newest MAX_ANSWERS
+// are kept; answers logged before grades were recorded have no `grade`.
+
+export const MAX_ANSWERS = 5000;
+
+const STORAGE_KEY = 'pccs_quiz_answers';
+
+export const loadAnswers = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const saveAnswers = (answers) => localStorage.setItem(STORAGE_KEY, JSON.stringify(answers));
+
+export const recordAnswer = (answer) => saveAnswers([...loadAnswers(), { at: Date.now(), ...answer }].slice(-MAX_ANSWERS));
+
+export const isCorrectAnswer = (answer) => (answer.grade
+  ? answer.grade === 'correct'
+  : (answer.chosenToneId === undefined || answer.chosenToneId === answer.toneId)
+    && (answer.chosenHueId === undefined || answer.chosenHueId === answer.hueId));
+
+// 12×12 counts over the chromatic tones: matrix[row = correct tone][column = chosen tone]
+export const toneConfusionMatrix = (answers) => {
+  const index = Object.fromEntries(TONES.map((tone, i) => [tone.id, i]));
+  const matrix = TONES.map(() => TONES.map(() => 0));
+  answers.forEach(answer => {
+    const row = index[answer.toneId];
+    const column = index[answer.chosenToneId];
+    if (row !== undefined && column !== undefined) matrix[row][column] += 1;
+  });
+  return matrix;
+};
+
+// Map of key → { correct, total, ms } (ms = summed answer time); answers whose key is null are skipped
+export const accuracyBy = (answers, keyOf, isCorrect = isCorrectAnswer) => {
+  const groups = new Map();
+  answers.forEach(answer => {
+    const key = keyOf(answer);
+    if (key === null || key === undefined) return;
+    const group = groups.get(key) || { correct: 0, total: 0, ms: 0 };
+    group.total += 1;
+    group.ms += answer.ms;
+    if (isCorrect(answer)) group.correct += 1;
+    groups.set(key, group);
+  });
+  return groups;
+};
+
+// Tone accuracy counts only answers where the tone was asked (tone and notation quizzes).
+// Hue-quiz answers carry the tone of the colour shown, which says nothing about tone recognition.
+export const toneAccuracy = (answers) => accuracyBy(
+  answers.filter(answer => answer.chosenToneId !== undefined),
+  answer => answer.toneId,
+  answer => answer.chosenToneId === answer.toneId
+);
+
+// Likewise hue accuracy counts only answers where the hue was asked (hue and notation quizzes).
+export const hueAccuracy = (answers) => accuracyBy(
+  answers.filter(answer => answer.chosenHueId !== undefined),
+  answer => answer.hueId,
+  answer => answer.chosenHueId === answer.hueId
+);
+
+// One entry per local day with answers, oldest first: [{ day, at, correct, total }]
+export const accuracyByDay = (answers) =>
+  [...accuracyBy(answers, answer => dayOf(answer.at)).entries()]
+    .map(([day, group]) => ({ day, at: answers.find(answer => dayOf(answer.at) === day).at, ...group }))
+    .sort((a, b) => a.day - b.day);
+
+// Tone pairs mixed up most often, in either direction: [{ toneIds: [a, b], count, hueId }].
+// `hueId` is the hue the mix-up happened on most, for showing the two chips side by side.
+export const mostConfusedPairs = (answers, limit = 5) => {
+  const pairs = new Map();
+  answers.filter(answer => answer.chosenToneId !== undefined && answer.chosenToneId !== answer.toneId).forEach(answer => {
+    const toneIds = [answer.toneId, answer.chosenToneId].sort();
+    const key = toneIds.join('/');
+    const pair = pairs.get(key) || { toneIds, count: 0, hues: {} };
+    pair.count += 1;
+    if (answer.hueId !== null) pair.hues[answer.hueId] = (pair.hues[answer.hueId] || 0) + 1;
+    pairs.set(key, pair);
+  });
+  return [...pairs.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ toneIds, count, hues }) => {
+      const [hueId] = Object.entries(hues).sort((a, b) => b[1] - a[1])[0] || [null];
+      return { toneIds, count, hueId: hueId === null ? null : Number(hueId) };
+    });
+};
@@ -0,0 +1,92 @@
+import { ALL_TONES, ACHROMATIC_SCALE, HUES, HUE_FAMILIES, HUE_TEMPERATURES } from './pccs';
+import { parseMunsell } from './colorScience';
+import { parseNotation } from './notation';
+import { t, chipHueName, toneDesc } from './i18n';
+
+// --- Chart Filter ---
+// Filters chart chips by notation or keyword, hue family, colour temperature and Munsell
+// value (lightness) / PCCS saturation ranges. Achromatic chips belong to the "N" family,
+// count as neutral and have saturation 0.
+
+export const LIGHTNESS_RANGE = [1, 10];
+export const SATURATION_RANGE = [0, 9];
+
+export const DEFAULT_FILTER = {
+  query: '',
+  familyId: 'all',
+  temperatureId: 'all',
+  lightness: LIGHTNESS_RANGE,
+  saturation: SATURATION_RANGE,
+};
+
+const sameRange = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+export const isFilterActive = (filter) =>
+  filter.query.trim() !== '' ||
+  filter.familyId !== 'all' ||
+  filter.temperatureId !== 'all' ||
+  !sameRange(filter.lightness, LIGHTNESS_RANGE) ||
+  !sameRange(filter.saturation, SATURATION_RANGE);
+
+const findFamily = (chip) => (chip.achromatic ? null : HUE_FAMILIES.find(f => f.hueIds.includes(chip.hue.id)));
+
+const matchesNotation = (chip, ref) => {
+  if (ref.kind === 'achromatic') {
+    return !!chip.achromatic && chip.tone.id === ref.tone.id && (!ref.step || chip.step.id === ref.step.id);
+  }
+  return !chip.achromatic && chip.tone.id === ref.tone.id && (!ref.hue || chip.hue.id === ref.hue.id);
+};
+
+// Notation codes: tone ids, gray steps, hue symbols and hue numbers. A search term that is
+// one of these ("B", "g", "18") only matches chips carrying exactly that code, case-sensitively
+// ("b" is the bright tone, "B" the blue hue symbol).
+const CODES = new Set([
+  ...ALL_TONES.map(tone => tone.id),
+  ...ACHROMATIC_SCALE.map(step => step.id),
+  ...HUES.map(hue => hue.symbol),
+  ...HUES.map(hue => String(hue.id)),
+]);
+
+const chipCodes = (chip) => (chip.achromatic
+  ? [chip.tone.id, chip.step.id]
+  : [chip.tone.id, chip.hueSymbol, String(chip.hue.id)]);
+
+// Text searched by other keywords, as case-insensitive substrings: tone name, the tone's
+// adjectives (e.g. 優雅), hue name and hue family name. The zh-TW data (which includes the
+// English hue names) is always searched alongside the current language.
+const searchText = (chip) => [
+  chip.toneName,
+  chip.desc,
+  chip.hueName,
+  toneDesc(chip.tone),
+  chipHueName(chip),
+  findFamily(chip) && t(`family.${findFamily(chip).id}`),
+].filter(Boolean).join(' ').toLowerCase();
+
+// Notation ("lt8", "dp", "Gy-5.5") matches exactly; anything else is split into terms that
+// must all match, codes exactly and keywords within the chip's search text.
+const matchesQuery = (chip, query) => {
+  const text = query.trim();
+  if (!text) return true;
+  const ref = parseNotation(text);
+  if (ref) return matchesNotation(chip, ref);
+  const codes = chipCodes(chip);
+  const haystack = searchText(chip);
+  return text.split(/\s+/).every(term => (CODES.has(term) ? codes.includes(term) : haystack.includes(term.toLowerCase())));
+};
+
+const inRange = (n, [min, max]) => n >= min && n <= max;
+
+export const matchesFilter = (chip, filter) => {
+  if (!matchesQuery(chip, filter.query)) return false;
+  if (filter.familyId !== 'all') {
+    if (filter.familyId === 'N' ? !chip.achromatic : findFamily(chip)?.id !== filter.familyId) return false;
+  }
+  if (filter.temperatureId !== 'all') {
+    const temperature = HUE_TEMPERATURES.find(t => t.id === filter.temperatureId);
+    const matches = chip.achromatic ? temperature.id === 'neutral' : temperature.hueIds.includes(chip.hue.id);
+    if (!matches) return false;
+  }
+  const saturation = chip.achromatic ? 0 : chip.tone.sat;
+  return inRange(parseMunsell(chip.munsell).value, filter.lightness) && inRange(saturation, filter.saturation);
+};
@@ -0,0 +1,242 @@
+// --- Colour Science Helpers ---
+// Pure conversions between Munsell notation, CIELAB/LCh, XYZ and sRGB (D65, 2° observer).
+// Munsell → CIELAB needs the renotation data and lives in renotation.js.
+
+const D65_WHITE = [95.047, 100, 108.883];
+
+const MUNSELL_FAMILIES = ['R', 'YR', 'Y', 'GY', 'G', 'BG', 'B', 'PB', 'P', 'RP'];
+
+// "4R" → 4, "5Y" → 25, "10RP" → 100. The circle runs 0–100 starting after 10RP.
+export const parseMunsellHue = (notation) => {
+  const match = /^(\d+(?:\.\d+)?)(R|YR|Y|GY|G|BG|B|PB|P|RP)$/.exec(notation);
+  if (!match) throw new Error(`Invalid Munsell hue: ${notation}`);
+  return MUNSELL_FAMILIES.indexOf(match[2]) * 10 + Number(match[1]);
+};
+
+// "4R 4.5/14" → { hue: '4R', value: 4.5, chroma: 14 }; "N 5.5" → neutral.
+export const parseMunsell = (notation) => {
+  const neutral = /^N\s*(\d+(?:\.\d+)?)$/.exec(notation.trim());
+  if (neutral) return { hue: null, value: Number(neutral[1]), chroma: 0 };
+  const match = /^(\S+)\s+(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/.exec(notation.trim());
+  if (!match) throw new Error(`Invalid Munsell notation: ${notation}`);
+  parseMunsellHue(match[1]);
+  return { hue: match[1], value: Number(match[2]), chroma: Number(match[3]) };
+};
+
+export const lchToLab = ([L, C, h]) => {
+  const rad = (h * Math.PI) / 180;
+  return [L, C * Math.cos(rad), C * Math.sin(rad)];
+};
+
+export const labToLch = ([L, a, b]) => {
+  const h = (Math.atan2(b, a) * 180) / Math.PI;
+  return [L, Math.hypot(a, b), (h + 360) % 360];
+};
+
+export const labToXyz = ([L, a, b]) => {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inv = (f) => (f ** 3 > 216 / 24389 ? f ** 3 : (116 * f - 16) / (24389 / 27));
+  return [inv(fx) * D65_WHITE[0], inv(fy) * D65_WHITE[1], inv(fz) * D65_WHITE[2]];
+};
+
+export const xyzToLinearRgb = ([X, Y, Z]) => {
+  const x = X / 100, y = Y / 100, z = Z / 100;
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ];
+};
+
+export const linearToSrgb = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+// CIELAB → gamma-encoded sRGB channels in 0–1. Values are left unclamped so callers
+// can tell whether the colour is inside the sRGB gamut.
+export const labToRgb = (lab) => xyzToLinearRgb(labToXyz(lab)).map(linearToSrgb);
+
+const GAMUT_EPSILON = 0.001;
+
+export const isInGamut = (rgb) => rgb.every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+
+// Maps an out-of-gamut colour into sRGB by lowering chroma at constant lightness and hue.
+export const clipChroma = (lab) => {
+  const [L, C, h] = labToLch(lab);
+  let lo = 0, hi = C;
+  for (let i = 0; i < 20; i++) {
+    const mid = (lo + hi) / 2;
+    if (isInGamut(labToRgb(lchToLab([L, mid, h])))) lo = mid;
+    else hi = mid;
+  }
+  return lchToLab([L, lo, h]);
+};
+
+export const rgbToHex = (rgb) =>
+  '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+export const srgbToLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+
+export const linearRgbToXyz = ([r, g, b]) => [
+  (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) * 100,
+  (0.2126729 * r + 0.7151522 * g + 0.072175 * b) * 100,
+  (0.0193339 * r + 0.119192 * g + 0.9503041 * b) * 100,
+];
+
+export const xyzToLab = ([X, Y, Z]) => {
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116);
+  const fx = f(X / D65_WHITE[0]);
+  const fy = f(Y / D65_WHITE[1]);
+  const fz = f(Z / D65_WHITE[2]);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+// Gamma-encoded sRGB channels in 0–1 → CIELAB.
+export const rgbToLab = (rgb) => xyzToLab(linearRgbToXyz(rgb.map(srgbToLinear)));
+
+export const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, d => d + d) : match[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+};
+
+export const rgbToHsl = ([r, g, b]) => {
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return [0, 0, l * 100];
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [(h * 60 + 360) % 360, s * 100, l * 100];
+};
+
+export const hslToRgb = ([h, s, l]) => {
+  const sat = s / 100, light = l / 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = sat * Math.min(light, 1 - light);
+  return [0, 8, 4].map(n => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+};
+
+// Naive device-independent CMYK (no ICC profile or ink limits), in 0–100 — only a
+// starting point for print work.
+export const rgbToCmyk = ([r, g, b]) => {
+  const k = 1 - Math.max(r, g, b);
+  if (k === 1) return [0, 0, 0, 100];
+  return [...[r, g, b].map(c => ((1 - c - k) / (1 - k)) * 100), k * 100];
+};
+
+// Parses user colour input: "#RGB", "#RRGGBB", "rgb(r, g, b)", "r, g, b" or
+// "hsl(h, s%, l%)". Returns sRGB channels in 0–1, or null when unrecognised.
+export const parseColorInput = (input) => {
+  const text = input.trim().toLowerCase();
+  const hex = hexToRgb(text);
+  if (hex) return hex;
+  const numbers = (text.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+  if (numbers.length !== 3) return null;
+  if (text.startsWith('hsl')) {
+    const [h, s, l] = numbers;
+    if (s > 100 || l > 100 || s < 0 || l < 0) return null;
+    return hslToRgb([((h % 360) + 360) % 360, s, l]);
+  }
+  if (!/^(rgb\s*\()?[\d\s.,]+\)?$/.test(text)) return null;
+  if (numbers.some(n => n < 0 || n > 255)) return null;
+  return numbers.map(n => n / 255);
+};
+
+// CIEDE2000 colour difference (Sharma, Wu & Dalal 2005 reference implementation).
+export const deltaE2000 = ([L1, a1, b1], [L2, a2, b2]) => {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const hp = (a, b) => (a === 0 && b === 0 ? 0 : ((Math.atan2(b, a) / rad) + 360) % 360);
+  const h1p = hp(a1p, b1), h2p = hp(a2p, b2);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.2 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const RC = 2 * Math.sqrt(Cbarp ** 7 / (Cbarp ** 7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  return Math.sqrt(
+    (dLp / SL) ** 2 + (dCp / SC) ** 2 + (dHp / SH) ** 2 + RT * (dCp / SC) * (dHp / SH)
+  );
+};
+
+// WCAG 2.x relative luminance of gamma-encoded sRGB channels.
+export const relativeLuminance = (rgb) => {
+  const [r, g, b] = rgb.map(srgbToLinear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// WCAG 2.x contrast ratio (1–21), independent of which colour is the foreground.
+export const wcagContrast = (a, b) => {
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+
+// APCA lightness contrast Lc (0.0.98G-4g constants) of text on background. Positive for
+// dark text on a light background, negative for light text on a dark one.
+export const apcaContrast = (text, background) => {
+  const screenY = ([r, g, b]) => {
+    const y = 0.2126729 * r ** 2.4 + 0.7151522 * g ** 2.4 + 0.072175 * b ** 2.4;
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+  };
+  const txt = screenY(text), bg = screenY(background);
+  if (Math.abs(bg - txt) < 0.0005) return 0;
+  if (bg > txt) {
+    const sapc = (bg ** 0.56 - txt ** 0.57) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (bg ** 0.65 - txt ** 0.62) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+};
+
+// Colour-vision-deficiency simulation matrices for linear RGB: Machado, Oliveira & Fernandes
+// (2009) at full severity for the dichromacies, luminance only for achromatopsia.
+export const CVD_TYPES = [
+  { id: 'protanopia',    matrix: [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998] },
+  { id: 'deuteranopia',  matrix: [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.01182, 0.04294, 0.968881] },
+  { id: 'tritanopia',    matrix: [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.3039] },
+  { id: 'achromatopsia', matrix: [0.2126, 0.7152, 0.0722, 0.2126, 0.7152, 0.0722, 0.2126, 0.7152, 0.0722] },
+];
+
+// Simulates how gamma-encoded sRGB channels appear with the given CVD type id.
+export const simulateCvd = (rgb, typeId) => {
+  const type = CVD_TYPES.find(t => t.id === typeId);
+  if (!type) return rgb;
+  const [r, g, b] = rgb.map(srgbToLinear);
+  const m = type.matrix;
+  return [0, 3, 6]
+    .map(i => m[i] * r + m[i + 1] * g + m[i + 2] * b)
+    .map(c => linearToSrgb(Math.min(1, Math.max(0, c))));
+};
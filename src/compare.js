@@ -0,0 +1,79 @@
+import { hueDistance, findNearestChips } from './pccs';
+import { hexToRgb, rgbToHex, rgbToLab, labToLch, deltaE2000 } from './colorScience';
+import { formatNotation, notationToColor } from './notation';
+import { hueName } from './i18n';
+
+// --- Compare Tray ---
+// Pinned colours are plain, serialisable items so they can be kept in localStorage:
+//   { key, label, sublabel, hex, lab, sat, hueId }
+// `sat` is the PCCS saturation (s, 0 for achromatic colours) and `hueId` the PCCS hue
+// number (null for achromatic). Colours that are not PCCS chips take both from their
+// nearest chip.
+
+export const MAX_PINNED = 6;
+
+const STORAGE_KEY = 'pccs_compare_pins';
+
+export const loadPinned = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const savePinned = (items) => localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+
+export const chipToCompareItem = (chip) => ({
+  key: chip.id,
+  label: formatNotation(chip, { symbol: true }),
+  sublabel: chip.achromatic ? chip.toneName : `${chip.toneName} · ${hueName(chip.hue)}`,
+  hex: chip.hex,
+  lab: chip.lab,
+  sat: chip.achromatic ? 0 : chip.tone.sat,
+  hueId: chip.achromatic ? null : chip.hue.id,
+});
+
+// Hex is normalised to "#RRGGBB", so "#abc" and "#AABBCC" pin (and share) as one colour
+export const colorToCompareItem = (name, hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  const fullHex = rgbToHex(rgb);
+  const lab = rgbToLab(rgb);
+  const [{ chip }] = findNearestChips(lab, 1);
+  return {
+    key: fullHex,
+    label: name,
+    sublabel: `≈${formatNotation(chip, { symbol: true })} · ${fullHex}`,
+    hex: fullHex,
+    lab,
+    sat: chip.achromatic ? 0 : chip.tone.sat,
+    hueId: chip.achromatic ? null : chip.hue.id,
+  };
+};
+
+// Pins in a share link: chips by notation, other colours by hex ("dp18,v2,A1B2C3").
+// Shared colours lose their label and are named by their hex.
+export const encodePins = (items) => items.map(item => (item.key.startsWith('#') ? item.key.slice(1) : item.key)).join(',');
+
+export const decodePins = (text) => text.split(',').map(token => {
+  const chip = notationToColor(token);
+  if (chip) return chipToCompareItem(chip);
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(token)) return null;
+  const item = colorToCompareItem('', `#${token}`);
+  return { ...item, label: item.hex };
+}).filter(Boolean).slice(-MAX_PINNED);
+
+// Differences from `a` to `b`: CIEDE2000, CIELAB lightness and chroma, PCCS saturation
+// steps and hue steps on the 24-hue circle (null when either colour is achromatic).
+export const compareItems = (a, b) => {
+  const [, chromaA] = labToLch(a.lab);
+  const [, chromaB] = labToLch(b.lab);
+  return {
+    deltaE: deltaE2000(a.lab, b.lab),
+    deltaL: b.lab[0] - a.lab[0],
+    deltaC: chromaB - chromaA,
+    deltaSat: b.sat - a.sat,
+    hueSteps: a.hueId !== null && b.hueId !== null ? hueDistance({ id: a.hueId }, { id: b.hueId }) : null,
+  };
+};
@@ -0,0 +1,24 @@
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+import EmbedChart, { parseEmbedOptions } from './EmbedChart.jsx'
+import { setLanguage, t } from './i18n'
+import './index.css'
+
+const options = parseEmbedOptions(window.location.search)
+// The host page picks the language; it is not saved like the app's own choice. Tone
+// descriptions, labels and the page title all follow it.
+setLanguage(options.lang)
+document.title = t('embed.credit')
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <EmbedChart {...options} />
+  </React.StrictMode>,
+)
+
+// Inside an iframe, report the content height so the host page (or <pccs-chart>) can size it
+if (window.parent !== window) {
+  new ResizeObserver(() => {
+    window.parent.postMessage({ type: 'pccs-chart:resize', height: document.documentElement.scrollHeight }, '*')
+  }).observe(document.body)
+}
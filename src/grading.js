@@ -0,0 +1,37 @@
+import { hueDistance, areTonesAdjacent } from './pccs';
+
+// --- Answer Grading ---
+// Quiz answers grade as 'correct', 'partial' (close, for half points) or 'wrong'.
+
+export const GRADE_POINTS = { correct: 10, partial: 5, wrong: 0 };
+
+// One step of the circle being quizzed is partial credit: a neighbouring hue on the 24-hue
+// circle, or two hue numbers on the 12-hue one
+export const gradeHue = (hue, chosen, hueCount = 24) => {
+  const distance = hueDistance(hue, chosen);
+  if (distance === 0) return 'correct';
+  return distance <= 24 / hueCount ? 'partial' : 'wrong';
+};
+
+// Free-entry notation answers score up to 10 points: 5 for the tone (2 for a neighbour on
+// the tone map) and 5 for the hue (3 one step off, 1 two steps off, in steps of the circle
+// being quizzed). `answer` is a chromatic reference from parseNotation with a hue; a "+"
+// variant of the right tone (lt+ for lt) counts as adjacent.
+const TONE_POINTS = { correct: 5, adjacent: 2, wrong: 0 };
+const HUE_POINTS = [5, 3, 1];
+
+export const gradeNotation = (chip, answer, hueCount = 24) => {
+  const tone = answer.tone.id === chip.tone.id ? 'correct'
+    : answer.tone.baseId === chip.tone.id || areTonesAdjacent(chip.tone, answer.tone) ? 'adjacent' : 'wrong';
+  // An odd hue typed on the 12-hue circle is half a step off; it counts as a full step
+  const hueSteps = Math.ceil(hueDistance(chip.hue, answer.hue) / (24 / hueCount));
+  const points = TONE_POINTS[tone] + (HUE_POINTS[hueSteps] ?? 0);
+  return {
+    grade: points === 10 ? 'correct' : points >= 5 ? 'partial' : 'wrong',
+    points,
+    tone,
+    tonePoints: TONE_POINTS[tone],
+    hueSteps,
+    huePoints: HUE_POINTS[hueSteps] ?? 0,
+  };
+};
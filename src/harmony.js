@@ -0,0 +1,101 @@
+import { TONES, TONE_NEIGHBORS, HUES, hueDistance, shiftHue, generateColor } from './pccs';
+
+// --- PCCS Harmony Schemes ---
+// Each scheme turns a seed chip into a list of slots. A slot is the list of chips it may
+// hold; the first slot is always the seed itself. Generating a palette picks one chip per
+// slot, so locked colours can be kept while the remaining slots are re-rolled.
+
+const findTone = (id) => TONES.find(t => t.id === id);
+
+const withNeighbors = (tone) => [tone, ...TONE_NEIGHBORS[tone.id].map(findTone)];
+
+const huesWithin = (hue, steps) => HUES.filter(h => hueDistance(h, hue) <= steps);
+
+const chips = (tones, hues) => tones.flatMap(tone => hues.map(hue => generateColor(tone, hue)));
+
+const repeat = (count, candidates) => Array.from({ length: count }, () => candidates);
+
+const TONAL_TONES = ['sf', 'd', 'ltg', 'g'].map(findTone);
+
+// Fixed hue structure (complementary, triad …): the structural hues in the seed tone,
+// then extra slots mixing those hues with the seed's neighbouring tones.
+const structured = (seed, offsets, size) => {
+  const hues = [seed.hue, ...offsets.map(offset => shiftHue(seed.hue, offset))];
+  return [
+    [seed],
+    ...hues.slice(1).map(hue => [generateColor(seed.tone, hue)]),
+    ...repeat(size - hues.length, chips(withNeighbors(seed.tone).slice(1), hues)),
+  ];
+};
+
+const PALETTE_SIZE = 5;
+
+export const HARMONY_SCHEMES = [
+  {
+    id: 'tone-on-tone',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(
+      TONES.filter(t => Math.abs(t.value - seed.tone.value) >= 1.5),
+      huesWithin(seed.hue, 2),
+    ))],
+  },
+  {
+    id: 'tone-in-tone',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(withNeighbors(seed.tone), huesWithin(seed.hue, 4)))],
+  },
+  {
+    id: 'dominant-tone',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips([seed.tone], HUES))],
+  },
+  {
+    id: 'dominant-color',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(TONES, huesWithin(seed.hue, 1)))],
+  },
+  {
+    id: 'camaieu',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(
+      withNeighbors(seed.tone).filter(t => Math.abs(t.value - seed.tone.value) <= 1),
+      huesWithin(seed.hue, 1),
+    ))],
+  },
+  {
+    id: 'faux-camaieu',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(withNeighbors(seed.tone), huesWithin(seed.hue, 3)))],
+  },
+  {
+    id: 'tonal',
+    slots: (seed) => [[seed], ...repeat(PALETTE_SIZE - 1, chips(TONAL_TONES, HUES))],
+  },
+  {
+    id: 'complementary',
+    slots: (seed) => structured(seed, [12], PALETTE_SIZE),
+  },
+  {
+    id: 'split-complementary',
+    slots: (seed) => structured(seed, [10, 14], PALETTE_SIZE),
+  },
+  {
+    id: 'triad',
+    slots: (seed) => structured(seed, [8, 16], PALETTE_SIZE),
+  },
+  {
+    id: 'tetrad',
+    slots: (seed) => structured(seed, [6, 12, 18], PALETTE_SIZE),
+  },
+];
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Fills every slot of `scheme` for `seed`. Entries of `locked` (same length as the slots,
+// null where unlocked) are kept as-is; the rest are re-rolled, avoiding duplicate chips
+// where the slot's candidates allow it.
+export const generateHarmony = (scheme, seed, locked = []) => {
+  const slots = scheme.slots(seed);
+  const palette = slots.map((_, i) => locked[i] || null);
+  slots.forEach((candidates, i) => {
+    if (palette[i]) return;
+    const used = new Set(palette.filter(Boolean).map(c => c.id));
+    const fresh = candidates.filter(c => !used.has(c.id));
+    palette[i] = pickRandom(fresh.length > 0 ? fresh : candidates);
+  });
+  return palette;
+};
@@ -0,0 +1,63 @@
+import zhTW from './locales/zh-TW';
+import en from './locales/en';
+import ja from './locales/ja';
+
+// --- Localization ---
+// Each catalog in src/locales has `messages` (flat keys, "{name}" placeholders), the
+// localized `hues` (hue id → name) and `toneDescs` (tone id → description), and
+// `answerLanguage`, the language the AI prompts ask for. Keys missing from a catalog fall
+// back to zh-TW. Like the API settings, the current language is module state; App
+// re-renders the whole tree when it changes.
+
+export const LANGUAGES = [
+  { id: 'zh-TW', name: '繁體中文' },
+  { id: 'en',    name: 'English' },
+  { id: 'ja',    name: '日本語' },
+];
+
+export const DEFAULT_LANGUAGE = 'zh-TW';
+
+const CATALOGS = { 'zh-TW': zhTW, en, ja };
+const STORAGE_KEY = 'pccs_language';
+
+let current = DEFAULT_LANGUAGE;
+
+const isSupported = (lang) => LANGUAGES.some(l => l.id === lang);
+
+// Saved choice, else the first browser language we have a catalog for
+export const loadLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (isSupported(saved)) return saved;
+  const browser = (navigator.languages || [navigator.language])
+    .map(lang => lang.toLowerCase().split('-')[0])
+    .find(lang => ['zh', 'en', 'ja'].includes(lang));
+  return browser && browser !== 'zh' ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (lang) => localStorage.setItem(STORAGE_KEY, lang);
+
+export const getLanguage = () => current;
+
+export const setLanguage = (lang) => {
+  current = isSupported(lang) ? lang : DEFAULT_LANGUAGE;
+  document.documentElement.lang = current;
+};
+
+// t('quiz.best', { best: 3 }) → "/ 最佳: 3"
+export const t = (key, vars = {}) => {
+  const message = CATALOGS[current].messages[key] ?? zhTW.messages[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+};
+
+export const hueName = (hue) => CATALOGS[current].hues[hue.id];
+
+// Colour word only ("紅", "Red"), for tight labels
+export const hueShortName = (hue) => hueName(hue).split(' (')[0];
+
+export const chipHueName = (chip) => (chip.achromatic ? `${t('achromatic.name')} ${chip.step.id}` : hueName(chip.hue));
+
+// "+" tone variants share their base tone's description
+export const toneDesc = (tone) => CATALOGS[current].toneDescs[tone.baseId ?? tone.id] ?? tone.desc;
+
+// Language name for AI prompts ("Answer in …")
+export const answerLanguage = () => CATALOGS[current].answerLanguage;
@@ -0,0 +1,64 @@
+// --- K-Means Clustering ---
+// Clusters 3-D colour points (CIELAB triples) with k-means++ seeding. A small seeded
+// generator keeps the result stable for the same image.
+
+const squaredDistance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+// Park–Miller LCG, 0 ≤ n < 1
+const createRandom = (seed) => {
+  let state = seed % 2147483647 || 1;
+  return () => {
+    state = (state * 48271) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+const seedCentroids = (points, k, random) => {
+  const centroids = [points[Math.floor(random() * points.length)]];
+  const distances = points.map(p => squaredDistance(p, centroids[0]));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    if (total === 0) break; // fewer distinct colours than clusters
+    let target = random() * total;
+    let index = 0;
+    while (target > distances[index] && index < points.length - 1) target -= distances[index++];
+    centroids.push(points[index]);
+    points.forEach((p, i) => { distances[i] = Math.min(distances[i], squaredDistance(p, points[index])); });
+  }
+  return centroids.map(c => [...c]);
+};
+
+// Returns `[{ centroid, count }]`, largest cluster first. Empty clusters are dropped.
+export const kmeans = (points, k, { iterations = 20, seed = 1 } = {}) => {
+  if (points.length === 0) return [];
+  let centroids = seedCentroids(points, Math.min(k, points.length), createRandom(seed));
+  const assignments = new Int32Array(points.length);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let moved = false;
+    points.forEach((p, i) => {
+      let nearest = 0;
+      let best = Infinity;
+      centroids.forEach((c, j) => {
+        const d = squaredDistance(p, c);
+        if (d < best) { best = d; nearest = j; }
+      });
+      if (assignments[i] !== nearest) { assignments[i] = nearest; moved = true; }
+    });
+
+    const sums = centroids.map(() => [0, 0, 0, 0]);
+    points.forEach((p, i) => {
+      const sum = sums[assignments[i]];
+      sum[0] += p[0]; sum[1] += p[1]; sum[2] += p[2]; sum[3]++;
+    });
+    centroids = sums.map((sum, j) => (sum[3] ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centroids[j]));
+    if (!moved && iteration > 0) break;
+  }
+
+  const counts = new Array(centroids.length).fill(0);
+  assignments.forEach(j => { counts[j]++; });
+  return centroids
+    .map((centroid, j) => ({ centroid, count: counts[j] }))
+    .filter(cluster => cluster.count > 0)
+    .sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,455 @@
+// --- English ---
+
+export default {
+  answerLanguage: 'English',
+  hues: {
+    1: 'Purplish Red',
+    2: 'Red',
+    3: 'Yellowish Red',
+    4: 'Reddish Orange',
+    5: 'Orange',
+    6: 'Yellowish Orange',
+    7: 'Reddish Yellow',
+    8: 'Yellow',
+    9: 'Greenish Yellow',
+    10: 'Yellow Green',
+    11: 'Yellowish Green',
+    12: 'Green',
+    13: 'Bluish Green',
+    14: 'Blue Green',
+    15: 'Blue Green',
+    16: 'Greenish Blue',
+    17: 'Blue',
+    18: 'Blue',
+    19: 'Purplish Blue',
+    20: 'Violet',
+    21: 'Bluish Violet',
+    22: 'Purple',
+    23: 'Reddish Purple',
+    24: 'Red Purple',
+  },
+  toneDescs: {
+    v: 'Pure, saturated, vivid, energetic, bold, confident, passionate, dazzling',
+    b: 'Cheerful, clear, open, lively, optimistic, bright, joyful, hopeful',
+    s: 'Dynamic, intense, powerful, determined, energetic, decisive, brave, active',
+    dp: 'Traditional, profound, elegant, classic, composed, reserved, noble, deep',
+    lt: 'Comfortable, fresh, relaxed, gentle, soft, bright, pleasant, soothing',
+    sf: 'Tender, natural, mellow, friendly, warm, cosy, harmonious, approachable',
+    d: 'Steady, plain, reserved, understated, calm, reliable, grounded, trustworthy',
+    dk: 'Mature, solid, elegant, mysterious, profound, dignified, refined, classic',
+    p: 'Delicate, airy, graceful, pure, fresh, soft, dreamy, subtle',
+    ltg: 'Calm, soft, soothing, gentle, serene, elegant, harmonious, reassuring',
+    g: 'Quiet, chic, elegant, composed, reserved, stylish, balanced, tasteful',
+    dkg: 'Heavy, solid, steady, reliable, composed, professional, strong, trustworthy',
+    W: 'Pure, white, crisp, simple, bright, flawless, clean, sacred',
+    ltGy: 'Soft, quiet, light, delicate, elegant, reserved, refined, urban',
+    mGy: 'Neutral, balanced, stable, understated, rational, modest, composed, plain',
+    dkGy: 'Steady, heavy, mature, rigorous, professional, solid, cool-headed, weighty',
+    Bk: 'Solemn, mysterious, authoritative, strong, luxurious, formal, deep, sharp',
+  },
+  messages: {
+    'app.title': 'Color Mastery',
+
+    'nav.learn': 'Chart',
+    'nav.quiz': 'Quiz',
+    'nav.stats': 'Stats',
+    'nav.mix': 'Mix',
+    'nav.ai': 'AI',
+    'nav.seasonal': 'Seasons',
+    'nav.identify': 'Identify',
+    'nav.image': 'Image',
+    'nav.sampler': 'Sampler',
+    'nav.harmony': 'Harmony',
+    'nav.contrast': 'Contrast',
+    'nav.print': 'Print',
+
+    'header.cvd': 'Colour vision simulation',
+    'header.cvdNone': 'Normal vision',
+    'header.language': 'Language',
+    'header.theme': 'Theme',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.gray': 'Neutral gray (N5)',
+
+    'cvd.protanopia': 'Protanopia',
+    'cvd.deuteranopia': 'Deuteranopia',
+    'cvd.tritanopia': 'Tritanopia',
+    'cvd.achromatopsia': 'Achromatopsia',
+
+    'settings.title': 'API Settings',
+    'settings.envNote': 'Environment variables are read first. If you have set them in .env, leave these fields empty or use them as overrides.',
+    'settings.reset': 'Reset',
+    'settings.saved': 'Saved',
+    'settings.save': 'Save settings',
+
+    'common.hueCount': '{count} hues',
+    'common.copy': 'Copy',
+    'common.close': 'Close',
+    'common.outOfGamut': 'outside sRGB',
+    'common.tone': 'Tone',
+    'common.hue': 'Hue',
+    'common.comma': ', ',
+
+    'ref.introTitle': 'The PCCS Tone System',
+    'ref.intro': 'PCCS (Practical Color Coordinate System) combines saturation and lightness into "tones". Use this chart to learn the feel of each category before taking the quiz.',
+    'ref.outOfGamutNote': 'Chips outside the sRGB gamut are shown as reduced-chroma approximations.',
+    'ref.approxNote': 'Chip colours are approximations. Chips with published PCCS Munsell values in the chip table (so far the vivid row) use them; the other tones are estimated from the vivid chips, then converted to screen colours through the Munsell renotation data.',
+    'ref.view.strips': 'Strips',
+    'ref.view.map': 'Tone map',
+    'ref.view.wheel': 'Hue circle',
+    'ref.exportTitle': 'PCCS {count}-hue tone chart',
+    'ref.exportAll': 'Export chart',
+
+    'ai.noApiKey': 'Error: no API key found. Set the VITE_API_KEY environment variable or enter one in the settings.',
+    'ai.emptyResponse': 'No response was generated.',
+    'ai.error': 'Error: {message}',
+    'ai.tipError': 'Could not reach the AI. Check your API key settings!',
+    'ai.tipTitle': 'AI design tip',
+    'ai.asking': 'Asking the AI...',
+    'ai.askTip': 'Ask the AI for a design tip',
+    'ai.moodError': 'Sorry, no suitable tone was found for that description. Check your API settings or try a simpler description!',
+    'ai.moodTitle': 'AI Mood Matcher',
+    'ai.moodIntro': 'Describe a feeling, project or season and the AI will find the PCCS tone for it.',
+    'ai.needKey': 'Make sure an API key is configured',
+    'ai.moodPlaceholder': 'e.g. "A rainy afternoon in Taipei" or "retro café"',
+    'ai.recommendation': 'AI recommendation',
+    'ai.samplePalette': 'Sample palette ({tone} tone)',
+
+    'quiz.approxColor': 'Approximation (outside sRGB)',
+    'quiz.correctAnswer': 'Correct answer',
+    'quiz.nextColor': 'Next colour',
+    'quiz.identifyTitle': 'Identify the Tone',
+    'quiz.identifyHint': 'Pick the category that best matches this colour.',
+    'quiz.nextTone': 'Next tone',
+    'quiz.describeHint': 'Pick the description that best matches this tone.',
+    'quiz.loading': 'Loading the PCCS engine...',
+    'quiz.mode.colorToTone': 'Colour → Tone',
+    'quiz.mode.toneToDesc': 'Tone → Description',
+    'quiz.mode.colorToHue': 'Colour → Hue',
+    'quiz.mode.colorToNotation': 'Colour → Notation',
+    'quiz.level.any': 'Any tone',
+    'quiz.level.grayish': 'Grayish only',
+    'quiz.hueTitle': 'Identify the Hue',
+    'quiz.hueHint': 'Pick the PCCS hue number and symbol of this colour. One step away earns half points.',
+    'quiz.hueOneStep': 'You picked {hue}: one step away, half points.',
+    'quiz.huePicked': 'You picked {hue}.',
+    'quiz.notation.title': 'Write the Notation',
+    'quiz.notation.hint': 'Type the full PCCS notation of this colour, tone then hue number (dp18, ltg4). Close answers earn part of the points.',
+    'quiz.notation.placeholder': 'e.g. dp18',
+    'quiz.notation.check': 'Check',
+    'quiz.notation.invalid': 'Type a chromatic tone and a hue number, such as v2 or ltg14.',
+    'quiz.notation.typed': 'You typed {notation}',
+    'quiz.notation.tone.correct': 'Tone {tone} correct',
+    'quiz.notation.tone.adjacent': 'Tone {chosen} is next to {tone} on the tone map',
+    'quiz.notation.tone.wrong': 'Tone {chosen} is wrong, it is {tone}',
+    'quiz.notation.hueCorrect': 'Hue correct',
+    'quiz.notation.hueSteps': 'Hue {hue} is {steps} step(s) off',
+    'quiz.notation.total': 'Total',
+    'quiz.score': 'Score',
+    'quiz.streak': 'Streak',
+    'quiz.best': '/ Best: {best}',
+    'quiz.dueToday': 'Due today: {due} · New: {fresh}',
+
+    'tray.compare': 'Compare {count}',
+    'compare.clearAll': 'Clear all pins',
+
+    'compareView.title': 'Compare',
+    'compareView.intro': 'Compare pinned chips side by side on a neutral gray surround and see how their values differ.',
+    'compareView.empty': 'Nothing is pinned yet. Pin chips from the chart chip details, quiz answers or seasonal palettes.',
+    'compareView.deltaL': 'Lightness ΔL*',
+    'compareView.deltaC': 'Chroma ΔC*',
+    'compareView.deltaSTitle': 'PCCS saturation s',
+    'compareView.hueSteps': 'Hue steps',
+    'compareView.contrastTitle': 'Simultaneous Contrast',
+    'compareView.contrastIntro': 'Each row is the same chip on the other chips as backgrounds; notice how its appearance shifts.',
+    'compareView.hide': 'Hide',
+    'compareView.show': 'Show',
+
+    'share.copyLink': 'Copy share link',
+    'share.copied': 'Link copied',
+
+    'detail.neighborSteps': 'Neighbouring steps',
+    'detail.neighborTones': 'Same hue · neighbouring tones',
+    'detail.neighborHues': 'Same tone · neighbouring hues',
+    'detail.outOfGamut': 'Outside the sRGB gamut: CIELAB is the chip value, HEX/RGB is a reduced-chroma approximation.',
+
+    'pin.unpin': 'Unpin',
+    'pin.pin': 'Pin to compare',
+
+    'export.label': 'Export',
+    'export.tooltip': 'Export "{title}" swatches',
+    'export.format.ase': 'Adobe ASE',
+    'export.format.gpl': 'GIMP / Inkscape GPL',
+    'export.format.css': 'CSS custom properties',
+    'export.format.tailwind': 'Tailwind colors',
+    'export.format.json': 'JSON',
+    'export.format.svg': 'SVG swatch sheet',
+
+    'achromatic.name': 'Achromatic',
+    'achromatic.scale': '{steps}: from white (9.5) to black (1.5) by lightness.',
+
+    'filter.placeholder': 'lt8, dp, elegant, Blue…',
+    'filter.allHues': 'All hues',
+    'filter.lightness': 'Lightness',
+    'filter.saturation': 'Saturation (s)',
+    'filter.matchesBefore': '',
+    'filter.matchesAfter': ' of {total} chips match',
+    'filter.clear': 'Clear filters',
+
+    'temperature.all': 'All',
+    'temperature.warm': 'Warm',
+    'temperature.cool': 'Cool',
+    'temperature.neutral': 'Neutral',
+
+    'family.R': 'Red',
+    'family.O': 'Orange',
+    'family.Y': 'Yellow',
+    'family.YG': 'Yellow Green',
+    'family.G': 'Green',
+    'family.BG': 'Blue Green',
+    'family.B': 'Blue',
+    'family.P': 'Violet/Purple',
+    'family.RP': 'Red Purple',
+
+    'relation.adjacent': 'Adjacent',
+    'relation.analogous': 'Analogous',
+    'relation.intermediate': 'Intermediate',
+    'relation.opposite': 'Opposite',
+    'relation.complementary': 'Complementary',
+    'relation.triad': 'Triad',
+    'relation.tetrad': 'Tetrad',
+
+    'hueCircle.title': 'Hue Circle',
+    'hueCircle.intro': 'Hue relationships in steps of the hue circle shown. Click a hue to make it the base and see its chip details.',
+    'hueCircle.pickRelation': 'Pick a hue relationship',
+    'hueCircle.steps': '{offset} steps',
+    'hueCircle.hint': 'Click a relationship above to mark the related hues on the circle.',
+
+    'toneMap.title': 'Tone Map',
+    'toneMap.intro': 'Lightness runs up the vertical axis and saturation along the horizontal one, with the achromatic axis on the left. Pick a hue to redraw every tone.',
+    'toneMap.achromaticAxis': 'Achromatic',
+    'toneMap.saturationAxis': 'Low saturation → High saturation',
+    'toneMap.pinned': 'Pinned · click another chip to switch',
+    'toneMap.hint': 'Hover a chip for details; click to pin it.',
+
+    'harmony.title': 'PCCS Harmony',
+    'harmony.intro': 'Pick a seed chip and a harmony rule, lock the colours you like and regenerate the rest.',
+    'harmony.seed': 'Seed chip',
+    'harmony.unlock': 'Unlock',
+    'harmony.lock': 'Lock',
+    'harmony.reroll': 'Regenerate unlocked colours',
+    'harmony.scheme.tone-on-tone': 'Tone on Tone',
+    'harmony.scheme.tone-on-tone.desc': 'The same or similar hues with clearly different lightness.',
+    'harmony.scheme.tone-in-tone': 'Tone in Tone',
+    'harmony.scheme.tone-in-tone.desc': 'The same or neighbouring tones, with hues varying within a similar range.',
+    'harmony.scheme.dominant-tone': 'Dominant Tone',
+    'harmony.scheme.dominant-tone.desc': 'One shared tone, with hues chosen freely.',
+    'harmony.scheme.dominant-color': 'Dominant Colour',
+    'harmony.scheme.dominant-color.desc': 'One shared hue (including adjacent hues), with tones chosen freely.',
+    'harmony.scheme.camaieu': 'Camaïeu',
+    'harmony.scheme.camaieu.desc': 'Almost identical hue and tone; subtle, near-monochrome differences.',
+    'harmony.scheme.faux-camaieu': 'Faux Camaïeu',
+    'harmony.scheme.faux-camaieu.desc': 'A slightly larger hue difference than camaïeu, with tones still close.',
+    'harmony.scheme.tonal': 'Tonal',
+    'harmony.scheme.tonal.desc': 'Mostly the medium- and low-saturation sf, d, ltg and g tones; calm and coordinated.',
+    'harmony.scheme.complementary': 'Complementary',
+    'harmony.scheme.complementary.desc': 'Two hues opposite each other (12 steps) on the hue circle.',
+    'harmony.scheme.split-complementary': 'Split Complementary',
+    'harmony.scheme.split-complementary.desc': 'The two hues 2 steps either side of the complement.',
+    'harmony.scheme.triad': 'Triad',
+    'harmony.scheme.triad.desc': 'The hue circle split in three (8 steps apart).',
+    'harmony.scheme.tetrad': 'Tetrad',
+    'harmony.scheme.tetrad.desc': 'The hue circle split in four (6 steps apart).',
+
+    'identify.delta.indistinguishable': 'Practically indistinguishable',
+    'identify.delta.veryClose': 'Very close',
+    'identify.delta.close': 'Close',
+    'identify.delta.rough': 'Only roughly similar',
+    'identify.parseError': 'Unrecognised colour format. Enter HEX, rgb(...) or hsl(...).',
+    'identify.clipboardError': 'Could not read the clipboard. Paste into the input directly (Ctrl/⌘ + V).',
+    'identify.title': 'Nearest PCCS',
+    'identify.intro': 'Type or paste any colour to find the nearest PCCS tone and hue.',
+    'identify.picker': 'Colour picker',
+    'identify.placeholder': '#A1B2C3, rgb(161, 178, 195) or hsl(210, 22%, 70%)',
+    'identify.paste': 'Paste from clipboard',
+    'identify.input': 'Input',
+    'identify.nearest': 'Nearest chip',
+    'identify.between': 'This colour lies between {a} and {b}.',
+    'identify.others': 'Other candidates',
+
+    'contrast.apca.body': 'Fine for small or long body text',
+    'contrast.apca.text': 'Fine for regular body text',
+    'contrast.apca.content': 'Fine for non-body content text',
+    'contrast.apca.headline': 'Large headlines only',
+    'contrast.apca.nonText': 'Non-text elements only',
+    'contrast.apca.none': 'Not usable for text',
+    'contrast.placeholder': 'v2, Gy-5.5 or #RRGGBB',
+    'contrast.title': 'Contrast',
+    'contrast.intro': 'Enter two PCCS chips or HEX codes to check text legibility under WCAG 2.x and APCA.',
+    'contrast.foreground': 'Foreground',
+    'contrast.swap': 'Swap',
+    'contrast.background': 'Background',
+    'contrast.sampleHeading': 'Color Mastery',
+    'contrast.sample': 'This text is shown in {fg} on {bg}. The quick brown fox jumps over the lazy dog.',
+    'contrast.level.aa-normal': 'AA normal text',
+    'contrast.level.aa-large': 'AA large text',
+    'contrast.level.aaa-normal': 'AAA normal text',
+    'contrast.level.aaa-large': 'AAA large text',
+    'contrast.pass': 'Pass',
+    'contrast.fail': 'Fail',
+    'contrast.darkOnLight': 'Dark text / light background',
+    'contrast.lightOnDark': 'Light text / dark background',
+    'contrast.underCvd': 'Under {name}: ',
+
+    'image.title': 'Image Palette',
+    'image.intro': 'Upload a reference photo or mood board to find its main colours and their PCCS tones. The image is processed only in your browser.',
+    'image.drop': 'Click or drop an image',
+    'image.formats': 'JPG, PNG, WebP',
+    'image.colorCount': 'Colours',
+    'image.paletteTitle': 'Image palette',
+    'image.color': 'Colour {n}',
+    'image.colorShare': 'Colour {n} ({share})',
+    'image.analyzing': 'Analysing...',
+    'image.noPixels': 'The image has no opaque pixels to analyse.',
+    'image.error': 'Something went wrong while analysing the image.',
+    'image.notImage': 'Please choose an image file.',
+    'image.distribution': 'Tone Distribution',
+    'image.summaryBefore': 'About ',
+    'image.summaryGroup': ' is {group}',
+    'image.summaryTop': ', mostly {tone} ({share}).',
+    'image.group.high': 'high-saturation tones',
+    'image.group.mid': 'medium-saturation tones',
+    'image.group.low': 'low-saturation (grayish) tones',
+    'image.group.achromatic': 'Achromatic',
+
+    'camera.open': 'Start camera',
+    'camera.starting': 'Starting camera...',
+    'camera.switch': 'Switch front/back camera',
+    'camera.unsupported': 'Your browser does not support the camera. Please use a modern browser (Chrome, Safari, Firefox).',
+    'camera.accessError': 'Could not access the camera.',
+    'camera.permissionDenied': 'Camera permission was denied. Allow camera access in your browser settings.',
+    'camera.notFound': 'No camera found. Make sure your device has a camera.',
+    'camera.inUse': 'The camera is unavailable. Another application may be using it.',
+    'camera.overconstrained': 'The camera does not support the requested settings.',
+    'camera.videoError': 'The camera feed failed to load.',
+
+    'sampler.title': 'Live Sampler',
+    'sampler.intro': 'Aim the reticle in the middle of the camera view at fabric or print to see the nearest PCCS chip live.',
+    'sampler.frozen': 'Frozen',
+    'sampler.resume': 'Resume',
+    'sampler.freeze': 'Freeze',
+    'sampler.record': 'Record',
+    'sampler.looseMatch': 'Far from the nearest chip; treat it as a rough guide.',
+    'sampler.lightingNote': 'Camera white balance and ambient light affect the reading; sample under even daylight or a standard light source and treat results as approximate.',
+    'sampler.history': 'Samples',
+    'sampler.clear': 'Clear',
+    'sampler.sampleName': 'Sample {notation}',
+
+    'seasonal.fileTooLarge': 'The file is too large. Please use an image under 4MB.',
+    'seasonal.noApiKey': 'Please configure your API key in the settings first.',
+    'seasonal.noImage': 'Please upload an image first.',
+    'seasonal.analysisFailed': 'Analysis failed: {message}. Check your settings and API key.',
+    'seasonal.captureUnavailable': 'Could not capture a photo. Please try again.',
+    'seasonal.noVideoSize': 'Could not get a valid video size. Wait a moment and try again.',
+    'seasonal.convertFailed': 'Could not convert the image.',
+    'seasonal.captureError': 'Error capturing the photo: {message}',
+    'seasonal.heroBefore': 'Discover your ',
+    'seasonal.heroHighlight': 'true colours',
+    'seasonal.intro': 'Upload a selfie and let our AI stylist analyse your skin, hair and eyes to find your seasonal colour palette.',
+    'seasonal.uploadPhoto': 'Upload photo',
+    'seasonal.takePhoto': 'Take photo',
+    'seasonal.cancel': 'Cancel',
+    'seasonal.capture': 'Capture',
+    'seasonal.preparing': 'Preparing...',
+    'seasonal.previewAlt': 'Upload preview',
+    'seasonal.uploadYourPhoto': 'Upload your photo',
+    'seasonal.uploadTip': 'Tip: natural light, no makeup',
+    'seasonal.analyze': 'Analyse my colours',
+    'seasonal.analyzing': 'Analysing with AI...',
+    'seasonal.errorLabel': 'Error: ',
+    'seasonal.complete': 'Analysis complete',
+    'seasonal.analyzedAlt': 'Analysed person',
+    'seasonal.confidence': 'Confidence',
+    'seasonal.keyFeatures': 'Key features',
+    'seasonal.undertone': 'Undertone',
+    'seasonal.contrast': 'Contrast',
+    'seasonal.primaryFeature': 'Primary feature',
+    'seasonal.yourPalette': 'Your palette',
+    'seasonal.paletteTitle': '{season} palette',
+    'seasonal.avoidSwatch': 'Avoid: {name}',
+    'seasonal.paletteNote': 'These colours harmonise with your natural features, making your skin look clearer and your eyes brighter.',
+    'seasonal.styleGuide': 'Style guide',
+    'seasonal.worstColors': 'Colours to avoid',
+    'seasonal.analyzeAnother': 'Analyse another photo',
+
+    'print.title': 'Print',
+    'print.intro': 'Generate a poster, duplex flashcards and practice sheets from the same chips as the quiz, and print them straight from the browser.',
+    'print.layout.poster': 'Chart poster',
+    'print.layout.cards': 'Cut-out cards',
+    'print.layout.practice': 'Practice sheet',
+    'print.posterTitle': 'PCCS tone chart ({count} hues)',
+    'print.practiceTitle': 'PCCS tone practice',
+    'print.answers': 'Answers',
+    'print.nameDate': 'Name: ____________   Date: __________',
+    'print.tones': 'Tones included',
+    'print.duplexFlip': 'Duplex flip',
+    'print.flip.long': 'Long edge',
+    'print.flip.short': 'Short edge',
+    'print.cardCount': '{count} cards · {pages} pages',
+    'print.questionCount': 'Questions',
+    'print.withAnswers': 'Include answer pages',
+    'print.reshuffle': 'New questions',
+    'print.print': 'Print',
+    'print.duplexNote': 'In the print dialog choose two-sided printing with the same flip edge, and turn off "fit to page".',
+
+    'embed.credit': 'PCCS chart · Color Mastery',
+
+    'stats.title': 'Quiz Statistics',
+    'stats.intro': 'Every quiz answer is recorded in this browser. See which tones you mix up, which hues trip you up and how you improve over time.',
+    'stats.allModes': 'All modes',
+    'stats.empty': 'No answers yet. Take the quiz and your statistics will appear here.',
+    'stats.answers': 'Answers',
+    'stats.accuracy': 'Accuracy',
+    'stats.avgTime': 'Avg. time',
+    'stats.seconds': '{seconds} s',
+    'stats.matrixTitle': 'Tone confusion matrix',
+    'stats.matrixHint': 'Rows are the correct tone, columns the tone you picked. The diagonal is correct answers.',
+    'stats.matrixCorner': 'answer \\ picked',
+    'stats.matrixCell': '{tone} → picked {chosen}: {count}',
+    'stats.pairsTitle': 'Most confused pairs',
+    'stats.pairsHint': 'The tones you mix up most, shown side by side on the hue where it happened most.',
+    'stats.pairCount': '×{count}',
+    'stats.toneTitle': 'Accuracy per tone',
+    'stats.toneHint': 'From the tone and notation quizzes: was the tone named correctly?',
+    'stats.hueTitle': 'Accuracy per hue',
+    'stats.hueHint': 'From the hue and notation quizzes: was the hue named correctly?',
+    'stats.timeTitle': 'Accuracy over time',
+    'stats.timeHint': 'Daily accuracy for the last {days} days you practised.',
+    'stats.clear': 'Clear answer history',
+    'stats.clearConfirm': 'Delete all recorded answers? This cannot be undone.',
+
+    'mix.title': 'Mix the Colour',
+    'mix.intro': 'Reproduce the target chip by eye, from the chart or with free sliders. Your score is the perceptual difference (ΔE00) between the two: the lower, the better.',
+    'mix.method.chart': 'Tone & hue',
+    'mix.method.free': 'Free sliders',
+    'mix.target': 'Target',
+    'mix.yours': 'Your mix',
+    'mix.outOfGamut': 'Clipped to screen gamut',
+    'mix.tone': 'Tone',
+    'mix.hue': 'Hue',
+    'mix.lightness': 'Lightness (L*)',
+    'mix.chroma': 'Saturation (chroma C*)',
+    'mix.check': 'Compare',
+    'mix.next': 'New colour',
+    'mix.locked': 'The target is revealed, so this colour is scored. Pick a new colour to keep practising.',
+    'mix.rating.match': 'A match: practically indistinguishable',
+    'mix.rating.veryClose': 'Very close',
+    'mix.rating.close': 'Close',
+    'mix.rating.off': 'Noticeably off',
+    'mix.rating.far': 'Far off',
+    'mix.answer': 'The target was {notation} ({tone}, {hue}).',
+    'mix.youPicked': 'You picked {notation}.',
+    'mix.historyTitle': 'Your attempts at this colour',
+    'mix.best': 'Best ΔE {deltaE}',
+  },
+};
@@ -0,0 +1,456 @@
+// --- 日本語 ---
+// Hue names follow the PCCS / JIS systematic colour names.
+
+export default {
+  answerLanguage: 'Japanese (日本語)',
+  hues: {
+    1: '紫みの赤',
+    2: '赤',
+    3: '黄みの赤',
+    4: '赤みのだいだい',
+    5: 'だいだい',
+    6: '黄みのだいだい',
+    7: '赤みの黄',
+    8: '黄',
+    9: '緑みの黄',
+    10: '黄緑',
+    11: '黄みの緑',
+    12: '緑',
+    13: '青みの緑',
+    14: '青緑',
+    15: '青緑',
+    16: '緑みの青',
+    17: '青',
+    18: '青',
+    19: '紫みの青',
+    20: '青紫',
+    21: '青みの紫',
+    22: '紫',
+    23: '赤みの紫',
+    24: '赤紫',
+  },
+  toneDescs: {
+    v: '純粋、鮮やか、派手、活発、大胆、自信、情熱的、まばゆい',
+    b: '楽しい、澄んだ、明朗、はつらつ、楽観的、明るい、陽気、希望に満ちた',
+    s: '動的、強烈、力強い、堅実、エネルギッシュ、果断、勇敢、積極的',
+    dp: '伝統的、奥深い、優雅、クラシック、落ち着いた、控えめ、高貴、深みのある',
+    lt: '心地よい、爽やか、気軽、穏やか、柔らかい、明るい、楽しい、くつろげる',
+    sf: '優しい、自然、柔らかい、親しみやすい、暖かい、快適、調和的、気取らない',
+    d: '重厚、素朴、控えめ、地味、落ち着いた、頼れる、堅実、信頼できる',
+    dk: '大人っぽい、堅実、優雅、神秘的、深遠、荘重、上質、クラシック',
+    p: '繊細、軽やか、優雅、純粋、爽やか、柔らかい、夢のような、きめ細かい',
+    ltg: '静か、柔らかい、癒やし、穏やか、安らか、優雅、調和的、安心感のある',
+    g: '静寂、シック、優雅、落ち着いた、控えめ、おしゃれ、バランスのとれた、趣味のよい',
+    dkg: '重厚、堅固、どっしり、頼れる、落ち着いた、プロフェッショナル、力強い、信頼できる',
+    W: '純粋、真っ白、すっきり、シンプル、明るい、無垢、清潔、神聖',
+    ltGy: '柔らかい、静か、軽やか、繊細、優雅、控えめ、洗練、都会的',
+    mGy: '中立、バランス、安定、控えめ、理性的、奥ゆかしい、沈着、素朴',
+    dkGy: '落ち着いた、重厚、成熟、厳格、プロフェッショナル、堅実、冷静、重みのある',
+    Bk: '荘厳、神秘的、威厳、強烈、高級、フォーマル、深い、シャープ',
+  },
+  messages: {
+    'app.title': 'カラーマスター (Color Mastery)',
+
+    'nav.learn': '図鑑',
+    'nav.quiz': 'テスト',
+    'nav.stats': '統計',
+    'nav.mix': '混色',
+    'nav.ai': 'AI',
+    'nav.seasonal': '季節',
+    'nav.identify': '判定',
+    'nav.image': '画像',
+    'nav.sampler': '測色',
+    'nav.harmony': '配色',
+    'nav.contrast': 'コントラスト',
+    'nav.print': '印刷',
+
+    'header.cvd': '色覚シミュレーション',
+    'header.cvdNone': '一般色覚',
+    'header.language': '言語 (Language)',
+    'header.theme': 'テーマ',
+    'theme.light': 'ライト',
+    'theme.dark': 'ダーク',
+    'theme.gray': 'ニュートラルグレー (N5)',
+
+    'cvd.protanopia': '1型色覚 (Protanopia)',
+    'cvd.deuteranopia': '2型色覚 (Deuteranopia)',
+    'cvd.tritanopia': '3型色覚 (Tritanopia)',
+    'cvd.achromatopsia': '1色覚 (Achromatopsia)',
+
+    'settings.title': 'API 設定',
+    'settings.envNote': '環境変数 (Environment Variables) が優先されます。.env で設定済みの場合は空欄のままにするか、上書きとして使用してください。',
+    'settings.reset': 'リセット',
+    'settings.saved': '保存しました',
+    'settings.save': '設定を保存',
+
+    'common.hueCount': '{count} 色相',
+    'common.copy': 'コピー',
+    'common.close': '閉じる',
+    'common.outOfGamut': 'sRGB 外',
+    'common.tone': 'トーン',
+    'common.hue': '色相',
+    'common.comma': '、',
+
+    'ref.introTitle': 'PCCS トーンシステム',
+    'ref.intro': 'PCCS (日本色研配色体系) は明度と彩度をまとめて「トーン」として扱います。テストの前に、このチャートで各トーンの印象を覚えましょう。',
+    'ref.outOfGamutNote': 'sRGB の色域外の色票は、彩度を下げた近似色で表示しています。',
+    'ref.approxNote': '色票の色は近似値です。アプリの色票表に公表された PCCS のマンセル値がある色票 (現在はビビッドトーンの列) はその値を使い、他のトーンはビビッドの色票から推定し、マンセル再表記データを通して画面の色に変換しています。',
+    'ref.view.strips': 'トーン帯',
+    'ref.view.map': 'トーン図',
+    'ref.view.wheel': '色相環',
+    'ref.exportTitle': 'PCCS {count} 色相トーン表',
+    'ref.exportAll': '全体をエクスポート',
+
+    'ai.noApiKey': 'エラー：API キーが見つかりません。環境変数 (VITE_API_KEY) を設定するか、設定メニューで入力してください。',
+    'ai.emptyResponse': '回答を生成できませんでした。',
+    'ai.error': 'エラー: {message}',
+    'ai.tipError': 'AI に接続できません。API キーの設定を確認してください！',
+    'ai.tipTitle': 'AI デザインのヒント',
+    'ai.asking': 'AI に問い合わせ中...',
+    'ai.askTip': 'AI にデザインのヒントを聞く',
+    'ai.moodError': '申し訳ありません、その説明に合うトーンが見つかりませんでした。API 設定を確認するか、より簡単な説明をお試しください！',
+    'ai.moodTitle': 'AI ムード配色 (Mood Matcher)',
+    'ai.moodIntro': '気分やプロジェクト、季節を説明すると、AI がぴったりの PCCS トーンを見つけます。',
+    'ai.needKey': 'API キーが設定されていることを確認してください',
+    'ai.moodPlaceholder': '例：「雨上がりの京都の午後」「レトロな喫茶店」',
+    'ai.recommendation': 'AI のおすすめ',
+    'ai.samplePalette': '配色例 ({tone} トーン)',
+
+    'quiz.approxColor': '近似色 (sRGB 外)',
+    'quiz.correctAnswer': '正解 (Correct Answer)',
+    'quiz.nextColor': '次の色',
+    'quiz.identifyTitle': 'トーンを当てる (Identify the Tone)',
+    'quiz.identifyHint': 'この色に最も当てはまるトーンを選んでください。',
+    'quiz.nextTone': '次のトーン',
+    'quiz.describeHint': 'このトーンに最も当てはまる説明を選んでください。',
+    'quiz.loading': 'PCCS エンジンを読み込み中...',
+    'quiz.mode.colorToTone': '色 → トーン',
+    'quiz.mode.toneToDesc': 'トーン → 説明',
+    'quiz.mode.colorToHue': '色 → 色相',
+    'quiz.mode.colorToNotation': '色 → 記号',
+    'quiz.level.any': 'すべてのトーン',
+    'quiz.level.grayish': 'グレイッシュのみ',
+    'quiz.hueTitle': '色相を当てる (Identify the Hue)',
+    'quiz.hueHint': 'この色の PCCS 色相番号と記号を選んでください。1 ステップ違いは半分の得点です。',
+    'quiz.hueOneStep': '{hue} を選択: 1 ステップ違いで半分の得点です。',
+    'quiz.huePicked': '{hue} を選択しました。',
+    'quiz.notation.title': '記号を書く (Write the Notation)',
+    'quiz.notation.hint': 'この色の PCCS 記号をトーン・色相番号の順に入力してください (dp18、ltg4)。近い答えは部分点になります。',
+    'quiz.notation.placeholder': '例: dp18',
+    'quiz.notation.check': '採点',
+    'quiz.notation.invalid': 'v2 や ltg14 のように、有彩色のトーンと色相番号を入力してください。',
+    'quiz.notation.typed': '入力: {notation}',
+    'quiz.notation.tone.correct': 'トーン {tone} 正解',
+    'quiz.notation.tone.adjacent': 'トーン {chosen} はトーン図で {tone} の隣です',
+    'quiz.notation.tone.wrong': 'トーン {chosen} は不正解、正しくは {tone} です',
+    'quiz.notation.hueCorrect': '色相 正解',
+    'quiz.notation.hueSteps': '色相 {hue} は {steps} ステップ違いです',
+    'quiz.notation.total': '合計',
+    'quiz.score': 'スコア (Score)',
+    'quiz.streak': '連続正解 (Streak)',
+    'quiz.best': '/ 最高: {best}',
+    'quiz.dueToday': '今日の復習: {due} 枚 · 新しいカード: {fresh} 枚',
+
+    'tray.compare': '比較 {count}',
+    'compare.clearAll': 'ピンをすべて外す',
+
+    'compareView.title': '色票の比較 (Compare)',
+    'compareView.intro': 'ピン留めした色票を中性グレーの背景で並べて比較し、数値の差を確認します。',
+    'compareView.empty': 'まだ色票がピン留めされていません。トーン表の色票詳細、テストの解答、季節の配色からピン留めできます。',
+    'compareView.deltaL': '明度差 ΔL*',
+    'compareView.deltaC': '彩度差 ΔC*',
+    'compareView.deltaSTitle': 'PCCS 彩度 s',
+    'compareView.hueSteps': '色相差',
+    'compareView.contrastTitle': '同時対比 (Simultaneous Contrast)',
+    'compareView.contrastIntro': '各行は同じ色票をほかの色票の背景に置いたものです。見え方の変化に注目してください。',
+    'compareView.hide': '隠す',
+    'compareView.show': '表示',
+
+    'share.copyLink': '共有リンクをコピー',
+    'share.copied': 'リンクをコピーしました',
+
+    'detail.neighborSteps': '隣接する明度',
+    'detail.neighborTones': '同じ色相・隣接トーン',
+    'detail.neighborHues': '同じトーン・隣接色相',
+    'detail.outOfGamut': 'sRGB の色域外：CIELAB は色票の値、HEX/RGB は彩度を下げた近似色です。',
+
+    'pin.unpin': 'ピンを外す',
+    'pin.pin': '比較にピン留め',
+
+    'export.label': 'エクスポート',
+    'export.tooltip': '「{title}」の色票をエクスポート',
+    'export.format.ase': 'Adobe ASE',
+    'export.format.gpl': 'GIMP / Inkscape GPL',
+    'export.format.css': 'CSS カスタムプロパティ',
+    'export.format.tailwind': 'Tailwind colors',
+    'export.format.json': 'JSON',
+    'export.format.svg': 'SVG 色票シート',
+
+    'achromatic.name': '無彩色 (Achromatic)',
+    'achromatic.scale': '{steps}：明度順に白 (9.5) から黒 (1.5) まで。',
+
+    'filter.placeholder': 'lt8、dp、優雅、Blue…',
+    'filter.allHues': 'すべての色相',
+    'filter.lightness': '明度',
+    'filter.saturation': '彩度 (s)',
+    'filter.matchesBefore': '',
+    'filter.matchesAfter': ' / {total} 色票が一致',
+    'filter.clear': 'フィルターをクリア',
+
+    'temperature.all': 'すべて',
+    'temperature.warm': '暖色',
+    'temperature.cool': '寒色',
+    'temperature.neutral': '中性色',
+
+    'family.R': '赤 (Red)',
+    'family.O': 'だいだい (Orange)',
+    'family.Y': '黄 (Yellow)',
+    'family.YG': '黄緑 (Yellow Green)',
+    'family.G': '緑 (Green)',
+    'family.BG': '青緑 (Blue Green)',
+    'family.B': '青 (Blue)',
+    'family.P': '紫 (Violet/Purple)',
+    'family.RP': '赤紫 (Red Purple)',
+
+    'relation.adjacent': '隣接色相 (Adjacent)',
+    'relation.analogous': '類似色相 (Analogous)',
+    'relation.intermediate': '中差色相 (Intermediate)',
+    'relation.opposite': '対照色相 (Opposite)',
+    'relation.complementary': '補色色相 (Complementary)',
+    'relation.triad': 'トライアド (Triad)',
+    'relation.tetrad': 'テトラード (Tetrad)',
+
+    'hueCircle.title': '色相環 (Hue Circle)',
+    'hueCircle.intro': '表示中の色相環の色相差で色相の関係を表示します。色相をクリックすると基準になり、その色票の詳細が表示されます。',
+    'hueCircle.pickRelation': '色相の関係を選択',
+    'hueCircle.steps': '{offset} 差',
+    'hueCircle.hint': '上の関係ボタンをクリックすると、色相環上に該当する色相を表示します。',
+
+    'toneMap.title': 'トーン図 (Tone Map)',
+    'toneMap.intro': '縦軸が明度、横軸が彩度で、左側が無彩色の軸です。色相を選ぶと各トーンが描き直されます。',
+    'toneMap.achromaticAxis': '無彩色',
+    'toneMap.saturationAxis': '低彩度 → 高彩度',
+    'toneMap.pinned': '固定中 · ほかの色票をクリックで切り替え',
+    'toneMap.hint': '色票にマウスを重ねると詳細を表示し、クリックで固定します。',
+
+    'harmony.title': 'PCCS 配色ジェネレーター (Harmony)',
+    'harmony.intro': '起点の色票と配色技法を選び、気に入った色をロックして残りを作り直します。',
+    'harmony.seed': '起点の色票',
+    'harmony.unlock': 'ロック解除',
+    'harmony.lock': 'ロック',
+    'harmony.reroll': 'ロックしていない色を作り直す',
+    'harmony.scheme.tone-on-tone': 'トーン・オン・トーン (Tone on Tone)',
+    'harmony.scheme.tone-on-tone.desc': '同一または類似の色相で、明度差をはっきりつけたトーンの組み合わせ。',
+    'harmony.scheme.tone-in-tone': 'トーン・イン・トーン (Tone in Tone)',
+    'harmony.scheme.tone-in-tone.desc': '同一または隣接するトーンで、色相を類似の範囲で変化させる。',
+    'harmony.scheme.dominant-tone': 'ドミナント・トーン (Dominant Tone)',
+    'harmony.scheme.dominant-tone.desc': 'トーンを統一し、色相は自由に組み合わせる。',
+    'harmony.scheme.dominant-color': 'ドミナント・カラー (Dominant Colour)',
+    'harmony.scheme.dominant-color.desc': '色相を統一し (隣接色相を含む)、トーンは自由に組み合わせる。',
+    'harmony.scheme.camaieu': 'カマイユ (Camaïeu)',
+    'harmony.scheme.camaieu.desc': '色相もトーンもほぼ同じ、単色に近い微妙な差。',
+    'harmony.scheme.faux-camaieu': 'フォ・カマイユ (Faux Camaïeu)',
+    'harmony.scheme.faux-camaieu.desc': 'カマイユより少し大きい色相差で、トーンは近いまま。',
+    'harmony.scheme.tonal': 'トーナル (Tonal)',
+    'harmony.scheme.tonal.desc': '中・低彩度の sf、d、ltg、g トーンを中心にした落ち着いた配色。',
+    'harmony.scheme.complementary': '補色 (Complementary)',
+    'harmony.scheme.complementary.desc': '色相環で向かい合う (12 差) 2 つの色相。',
+    'harmony.scheme.split-complementary': 'スプリット・コンプリメンタリー (Split Complementary)',
+    'harmony.scheme.split-complementary.desc': '補色の両側に 2 ずつずらした 2 つの色相。',
+    'harmony.scheme.triad': 'トライアド (Triad)',
+    'harmony.scheme.triad.desc': '色相環を 3 等分 (8 差ずつ)。',
+    'harmony.scheme.tetrad': 'テトラード (Tetrad)',
+    'harmony.scheme.tetrad.desc': '色相環を 4 等分 (6 差ずつ)。',
+
+    'identify.delta.indistinguishable': 'ほぼ見分けがつかない',
+    'identify.delta.veryClose': 'とても近い',
+    'identify.delta.close': '近い',
+    'identify.delta.rough': 'おおよそ近い程度',
+    'identify.parseError': 'この色の形式を認識できません。HEX、rgb(...)、hsl(...) で入力してください。',
+    'identify.clipboardError': 'クリップボードを読み取れません。入力欄に直接貼り付けてください (Ctrl/⌘ + V)。',
+    'identify.title': '色票判定 (Nearest PCCS)',
+    'identify.intro': '任意の色を入力または貼り付けて、最も近い PCCS のトーンと色相を見つけます。',
+    'identify.picker': 'カラーピッカー',
+    'identify.placeholder': '#A1B2C3、rgb(161, 178, 195)、hsl(210, 22%, 70%)',
+    'identify.paste': 'クリップボードから貼り付け',
+    'identify.input': '入力',
+    'identify.nearest': '最も近い色票',
+    'identify.between': 'この色は {a} と {b} の中間です。',
+    'identify.others': 'ほかの候補',
+
+    'contrast.apca.body': '小さな文字や長文の本文に適する',
+    'contrast.apca.text': '一般的な本文に適する',
+    'contrast.apca.content': '本文以外のテキストに適する',
+    'contrast.apca.headline': '大見出しのみ',
+    'contrast.apca.nonText': '文字以外の要素のみ',
+    'contrast.apca.none': '文字には使えない',
+    'contrast.placeholder': 'v2、Gy-5.5、#RRGGBB',
+    'contrast.title': 'コントラスト確認 (Contrast)',
+    'contrast.intro': '2 つの PCCS 色票または HEX コードを入力し、WCAG 2.x と APCA で文字の読みやすさを確認します。',
+    'contrast.foreground': '文字色 (Foreground)',
+    'contrast.swap': '入れ替え',
+    'contrast.background': '背景色 (Background)',
+    'contrast.sampleHeading': 'カラーマスター Color Mastery',
+    'contrast.sample': 'この文章は {bg} の上に {fg} で表示しています。The quick brown fox jumps over the lazy dog.',
+    'contrast.level.aa-normal': 'AA 通常の文字',
+    'contrast.level.aa-large': 'AA 大きな文字',
+    'contrast.level.aaa-normal': 'AAA 通常の文字',
+    'contrast.level.aaa-large': 'AAA 大きな文字',
+    'contrast.pass': '適合',
+    'contrast.fail': '不適合',
+    'contrast.darkOnLight': '暗い文字 / 明るい背景',
+    'contrast.lightOnDark': '明るい文字 / 暗い背景',
+    'contrast.underCvd': '{name} のシミュレーション：',
+
+    'image.title': '画像の色分析 (Image Palette)',
+    'image.intro': '参考写真やムードボードをアップロードして、主な色と対応する PCCS トーンを見つけます。画像はブラウザ内だけで処理されます。',
+    'image.drop': 'クリックまたは画像をドロップ',
+    'image.formats': 'JPG、PNG、WebP',
+    'image.colorCount': '色の数',
+    'image.paletteTitle': '画像のパレット',
+    'image.color': '色 {n}',
+    'image.colorShare': '色 {n} ({share})',
+    'image.analyzing': '分析中...',
+    'image.noPixels': '画像に分析できる不透明なピクセルがありません。',
+    'image.error': '画像の分析中にエラーが発生しました。',
+    'image.notImage': '画像ファイルを選択してください。',
+    'image.distribution': 'トーン分布 (Tone Distribution)',
+    'image.summaryBefore': '約 ',
+    'image.summaryGroup': ' が{group}',
+    'image.summaryTop': 'で、最も多いのは {tone} ({share}) です。',
+    'image.group.high': '高彩度トーン',
+    'image.group.mid': '中彩度トーン',
+    'image.group.low': '低彩度 (濁色) トーン',
+    'image.group.achromatic': '無彩色',
+
+    'camera.open': 'カメラを起動',
+    'camera.starting': 'カメラを起動中...',
+    'camera.switch': '前面/背面カメラを切り替え',
+    'camera.unsupported': 'お使いのブラウザはカメラに対応していません。最新のブラウザ (Chrome、Safari、Firefox) をご利用ください。',
+    'camera.accessError': 'カメラにアクセスできません。',
+    'camera.permissionDenied': 'カメラの使用が拒否されました。ブラウザの設定でカメラへのアクセスを許可してください。',
+    'camera.notFound': 'カメラが見つかりません。デバイスにカメラがあることを確認してください。',
+    'camera.inUse': 'カメラを使用できません。ほかのアプリケーションが使用中の可能性があります。',
+    'camera.overconstrained': 'カメラが要求された設定に対応していません。',
+    'camera.videoError': 'カメラ映像の読み込みでエラーが発生しました。',
+
+    'sampler.title': 'リアルタイム測色 (Live Sampler)',
+    'sampler.intro': 'カメラ中央の照準を布や印刷物に合わせると、最も近い PCCS 色票をリアルタイムで表示します。',
+    'sampler.frozen': '停止中',
+    'sampler.resume': '再開',
+    'sampler.freeze': '停止',
+    'sampler.record': '記録',
+    'sampler.looseMatch': '最も近い色票との差が大きいため、参考程度にしてください。',
+    'sampler.lightingNote': 'カメラのホワイトバランスや照明は測定値に影響します。均一な昼光または標準光源の下で測定し、結果は近似値として扱ってください。',
+    'sampler.history': '測定履歴',
+    'sampler.clear': 'クリア',
+    'sampler.sampleName': '測定 {notation}',
+
+    'seasonal.fileTooLarge': 'ファイルが大きすぎます。4MB 以下の画像を使用してください。',
+    'seasonal.noApiKey': '先に設定で API キーを設定してください。',
+    'seasonal.noImage': '先に画像をアップロードしてください。',
+    'seasonal.analysisFailed': '分析に失敗しました：{message}。設定と API キーを確認してください。',
+    'seasonal.captureUnavailable': '写真を撮影できません。もう一度お試しください。',
+    'seasonal.noVideoSize': '有効な映像サイズを取得できません。少し待ってから再度お試しください。',
+    'seasonal.convertFailed': '画像を変換できません。',
+    'seasonal.captureError': '写真の撮影中にエラーが発生しました：{message}',
+    'seasonal.heroBefore': 'あなたの',
+    'seasonal.heroHighlight': '本当の色',
+    'seasonal.intro': '自撮り写真をアップロードすると、AI スタイリストが肌・髪・目を分析し、あなたにぴったりのシーズンカラーパレットを見つけます。',
+    'seasonal.uploadPhoto': '写真をアップロード',
+    'seasonal.takePhoto': '写真を撮る',
+    'seasonal.cancel': 'キャンセル',
+    'seasonal.capture': '撮影',
+    'seasonal.preparing': '準備中...',
+    'seasonal.previewAlt': 'アップロードのプレビュー',
+    'seasonal.uploadYourPhoto': '写真をアップロード',
+    'seasonal.uploadTip': 'おすすめ：自然光、ノーメイク',
+    'seasonal.analyze': '私の色を分析する',
+    'seasonal.analyzing': 'AI で分析中...',
+    'seasonal.errorLabel': 'エラー：',
+    'seasonal.complete': '分析完了',
+    'seasonal.analyzedAlt': '分析した人物',
+    'seasonal.confidence': '信頼度',
+    'seasonal.keyFeatures': '主な特徴',
+    'seasonal.undertone': 'アンダートーン',
+    'seasonal.contrast': 'コントラスト',
+    'seasonal.primaryFeature': '主な特性',
+    'seasonal.yourPalette': 'あなたのパレット',
+    'seasonal.paletteTitle': '{season} パレット',
+    'seasonal.avoidSwatch': '避ける：{name}',
+    'seasonal.paletteNote': 'これらの色はあなたの自然な特徴と調和し、肌をより透明感のある印象に、目をより明るく見せます。',
+    'seasonal.styleGuide': 'スタイルガイド',
+    'seasonal.worstColors': '避けたい色',
+    'seasonal.analyzeAnother': '別の写真を分析する',
+
+    'print.title': '教材の印刷 (Print)',
+    'print.intro': 'テストと同じ色票からポスター、両面カード、練習シートを作成し、ブラウザから直接印刷します。',
+    'print.layout.poster': 'トーン表ポスター',
+    'print.layout.cards': '切り取りカード',
+    'print.layout.practice': '練習シート',
+    'print.posterTitle': 'PCCS トーン表 ({count} 色相)',
+    'print.practiceTitle': 'PCCS トーン練習',
+    'print.answers': '解答',
+    'print.nameDate': '氏名：＿＿＿＿＿＿　日付：＿＿＿＿＿',
+    'print.tones': '含めるトーン',
+    'print.duplexFlip': '両面印刷のとじ方',
+    'print.flip.long': '長辺とじ',
+    'print.flip.short': '短辺とじ',
+    'print.cardCount': 'カード {count} 枚 · {pages} ページ',
+    'print.questionCount': '問題数',
+    'print.withAnswers': '解答ページを付ける',
+    'print.reshuffle': '問題を作り直す',
+    'print.print': '印刷',
+    'print.duplexNote': '印刷ダイアログで両面印刷と同じとじ方を選び、「ページに合わせる」をオフにしてください。',
+
+    'embed.credit': 'PCCS トーン表 · カラーマスター',
+
+    'stats.title': 'テスト統計',
+    'stats.intro': 'テストの解答はすべてこのブラウザに記録されます。混同しやすいトーン、苦手な色相、上達の推移を確認できます。',
+    'stats.allModes': 'すべてのモード',
+    'stats.empty': 'まだ解答がありません。テストを受けると、ここに統計が表示されます。',
+    'stats.answers': '解答数',
+    'stats.accuracy': '正答率',
+    'stats.avgTime': '平均時間',
+    'stats.seconds': '{seconds} 秒',
+    'stats.matrixTitle': 'トーン混同行列',
+    'stats.matrixHint': '行が正解のトーン、列が選んだトーンです。対角線が正解です。',
+    'stats.matrixCorner': '正解 \\ 選択',
+    'stats.matrixCell': '{tone} → {chosen} を選択: {count}',
+    'stats.pairsTitle': '混同しやすい組み合わせ',
+    'stats.pairsHint': 'よく取り違えるトーンを、間違いが最も多かった色相で並べて表示します。',
+    'stats.pairCount': '×{count}',
+    'stats.toneTitle': 'トーン別の正答率',
+    'stats.toneHint': 'トーン・記号クイズより: トーンを正しく答えられたか。',
+    'stats.hueTitle': '色相別の正答率',
+    'stats.hueHint': '色相・記号クイズより: 色相を正しく答えられたか。',
+    'stats.timeTitle': '正答率の推移',
+    'stats.timeHint': '練習した直近 {days} 日間の日別正答率です。',
+    'stats.clear': '解答履歴を消去',
+    'stats.clearConfirm': '記録されたすべての解答を削除しますか？元に戻せません。',
+
+    'mix.title': '色を再現する (Mix the Colour)',
+    'mix.intro': 'ターゲットの色票を目で見て、色票の選択または自由なスライダーで再現してください。得点は 2 色の知覚的な色差 (ΔE00) で、小さいほど良い結果です。',
+    'mix.method.chart': 'トーンと色相',
+    'mix.method.free': '自由スライダー',
+    'mix.target': 'ターゲット',
+    'mix.yours': 'あなたの色',
+    'mix.outOfGamut': '画面の色域に収めて表示',
+    'mix.tone': 'トーン',
+    'mix.hue': '色相',
+    'mix.lightness': '明度 (L*)',
+    'mix.chroma': '彩度 (クロマ C*)',
+    'mix.check': '比較する',
+    'mix.next': '別の色',
+    'mix.locked': 'ターゲットが公開されたため、この色の採点は終了です。練習を続けるには別の色を選んでください。',
+    'mix.rating.match': '一致: ほとんど見分けがつきません',
+    'mix.rating.veryClose': 'とても近い',
+    'mix.rating.close': '近い',
+    'mix.rating.off': 'はっきりずれています',
+    'mix.rating.far': '大きくずれています',
+    'mix.answer': 'ターゲットは {notation} ({tone}、{hue}) でした。',
+    'mix.youPicked': 'あなたの選択: {notation}',
+    'mix.historyTitle': 'この色への挑戦履歴',
+    'mix.best': '最高 ΔE {deltaE}',
+  },
+};
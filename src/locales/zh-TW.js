@@ -0,0 +1,415 @@
+import { TONES, ACHROMATIC_TONES, HUES } from '../pccs';
+
+// --- 繁體中文 (default catalog) ---
+// Hue names and tone descriptions are the ones stored in pccs.js.
+
+export default {
+  answerLanguage: 'Traditional Chinese (繁體中文, Taiwan)',
+  hues: Object.fromEntries(HUES.map(hue => [hue.id, hue.name])),
+  toneDescs: Object.fromEntries([...TONES, ...ACHROMATIC_TONES].map(tone => [tone.id, tone.desc])),
+  messages: {
+    'app.title': '色彩大師 (Color Mastery)',
+
+    'nav.learn': '圖鑑',
+    'nav.quiz': '測驗',
+    'nav.stats': '統計',
+    'nav.mix': '調色',
+    'nav.ai': 'AI',
+    'nav.seasonal': '季節',
+    'nav.identify': '辨識',
+    'nav.image': '圖片',
+    'nav.sampler': '取色',
+    'nav.harmony': '配色',
+    'nav.contrast': '對比',
+    'nav.print': '列印',
+
+    'header.cvd': '色覺模擬',
+    'header.cvdNone': '一般色覺',
+    'header.language': '語言 (Language)',
+    'header.theme': '主題',
+    'theme.light': '淺色',
+    'theme.dark': '深色',
+    'theme.gray': '中性灰 (N5)',
+
+    'cvd.protanopia': '第一型色盲 (Protanopia)',
+    'cvd.deuteranopia': '第二型色盲 (Deuteranopia)',
+    'cvd.tritanopia': '第三型色盲 (Tritanopia)',
+    'cvd.achromatopsia': '全色盲 (Achromatopsia)',
+
+    'settings.title': 'API 設定',
+    'settings.envNote': '系統優先讀取環境變數 (Environment Variables)。若您已在 .env 設定，此處可留空或作為覆蓋使用。',
+    'settings.reset': '重置',
+    'settings.saved': '已儲存',
+    'settings.save': '儲存設定',
+
+    'common.hueCount': '{count} 色相',
+    'common.copy': '複製',
+    'common.close': '關閉',
+    'common.outOfGamut': '超出 sRGB',
+    'common.tone': '色調',
+    'common.hue': '色相',
+    'common.comma': '，',
+
+    'ref.introTitle': 'PCCS 色調系統',
+    'ref.intro': 'PCCS (Practical Color Coordinate System) 將飽和度與明度結合成「色調 (Tone)」。在參加測驗前，請利用此圖表記憶每個類別的感覺。',
+    'ref.outOfGamutNote': '超出 sRGB 色域的色票，以降低彩度的近似色顯示。',
+    'ref.approxNote': '色票顏色為近似值。收錄於應用程式色票表的色票 (目前為鮮豔色調 v 一列) 採用公布的 PCCS 孟塞爾數值，其他色調由鮮豔色票推算，再透過孟塞爾重新標定 (renotation) 資料轉換為螢幕顏色。',
+    'ref.view.strips': '色調條',
+    'ref.view.map': '色調圖',
+    'ref.view.wheel': '色相環',
+    'ref.exportTitle': 'PCCS {count} 色相色調表',
+    'ref.exportAll': '匯出全表',
+
+    'ai.noApiKey': '錯誤：未偵測到 API Key。請設定環境變數 (VITE_API_KEY) 或在設定選單中手動輸入。',
+    'ai.emptyResponse': '無法產生回應。',
+    'ai.error': '錯誤: {message}',
+    'ai.tipError': '無法聯繫 AI。請檢查 API Key 設定！',
+    'ai.tipTitle': 'AI 設計建議',
+    'ai.asking': '正在詢問 AI...',
+    'ai.askTip': '詢問 AI 設計建議',
+    'ai.moodError': '抱歉，無法為該描述找到合適的色調。請檢查您的 API 設定或嘗試更簡單的描述！',
+    'ai.moodTitle': 'AI 氛圍配色 (Mood Matcher)',
+    'ai.moodIntro': '描述一種感覺、專案或季節，AI 將為您找到完美的 PCCS 色調。',
+    'ai.needKey': '請確保已設定 API Key',
+    'ai.moodPlaceholder': '例如：「台北的雨後午後」或「復古咖啡廳」',
+    'ai.recommendation': 'AI 推薦',
+    'ai.samplePalette': '範例配色 ({tone} Tone)',
+
+    'quiz.approxColor': '近似色 (超出 sRGB)',
+    'quiz.correctAnswer': '正確答案 (Correct Answer)',
+    'quiz.nextColor': '下一個顏色',
+    'quiz.identifyTitle': '辨識色調 (Identify the Tone)',
+    'quiz.identifyHint': '選擇最符合此顏色的類別。',
+    'quiz.nextTone': '下一個色調',
+    'quiz.describeHint': '選擇最符合此色調的描述。',
+    'quiz.loading': '正在載入 PCCS 引擎...',
+    'quiz.mode.colorToTone': '顏色 → 色調',
+    'quiz.mode.toneToDesc': '色調 → 描述',
+    'quiz.mode.colorToHue': '顏色 → 色相',
+    'quiz.mode.colorToNotation': '顏色 → 記號',
+    'quiz.level.any': '任何色調',
+    'quiz.level.grayish': '僅灰濁色調',
+    'quiz.hueTitle': '辨識色相 (Identify the Hue)',
+    'quiz.hueHint': '選出此顏色的 PCCS 色相編號與記號。差一格可得一半分數。',
+    'quiz.hueOneStep': '你選了 {hue}：只差一格，得一半分數。',
+    'quiz.huePicked': '你選了 {hue}。',
+    'quiz.notation.title': '寫出記號 (Write the Notation)',
+    'quiz.notation.hint': '輸入此顏色完整的 PCCS 記號，先色調再色相編號 (dp18、ltg4)。接近的答案可得部分分數。',
+    'quiz.notation.placeholder': '例如 dp18',
+    'quiz.notation.check': '評分',
+    'quiz.notation.invalid': '請輸入有彩色色調與色相編號，例如 v2 或 ltg14。',
+    'quiz.notation.typed': '你輸入了 {notation}',
+    'quiz.notation.tone.correct': '色調 {tone} 正確',
+    'quiz.notation.tone.adjacent': '色調 {chosen} 在色調圖上與 {tone} 相鄰',
+    'quiz.notation.tone.wrong': '色調 {chosen} 錯誤，應為 {tone}',
+    'quiz.notation.hueCorrect': '色相正確',
+    'quiz.notation.hueSteps': '色相 {hue} 差了 {steps} 格',
+    'quiz.notation.total': '總分',
+    'quiz.score': '分數 (Score)',
+    'quiz.streak': '連勝 (Streak)',
+    'quiz.best': '/ 最佳: {best}',
+    'quiz.dueToday': '今日待複習：{due} 張 · 新卡：{fresh} 張',
+
+    'tray.compare': '比較 {count}',
+    'compare.clearAll': '清除所有釘選',
+
+    'compareView.title': '色票比較 (Compare)',
+    'compareView.intro': '在中性灰背景上並排比較釘選的色票，並查看彼此的數值差異。',
+    'compareView.empty': '尚未釘選任何色票。可從色調表的色票詳情、測驗答案或季節色彩調色板釘選。',
+    'compareView.deltaL': '明度差 ΔL*',
+    'compareView.deltaC': '彩度差 ΔC*',
+    'compareView.deltaSTitle': 'PCCS 飽和度 s',
+    'compareView.hueSteps': '色相步數',
+    'compareView.contrastTitle': '同時對比 (Simultaneous Contrast)',
+    'compareView.contrastIntro': '每一列是同一個色票，放在其他色票的背景上；注意它看起來如何改變。',
+    'compareView.hide': '隱藏',
+    'compareView.show': '顯示',
+
+    'share.copyLink': '複製分享連結',
+    'share.copied': '已複製連結',
+
+    'detail.neighborSteps': '相鄰明度',
+    'detail.neighborTones': '同色相・相鄰色調',
+    'detail.neighborHues': '同色調・相鄰色相',
+    'detail.outOfGamut': '超出 sRGB 色域：CIELAB 為色票原值，HEX/RGB 為降低彩度的近似色。',
+
+    'pin.unpin': '取消釘選',
+    'pin.pin': '釘選到比較',
+
+    'export.label': '匯出',
+    'export.tooltip': '匯出「{title}」色票',
+    'export.format.ase': 'Adobe ASE',
+    'export.format.gpl': 'GIMP / Inkscape GPL',
+    'export.format.css': 'CSS 自訂屬性',
+    'export.format.tailwind': 'Tailwind colors',
+    'export.format.json': 'JSON',
+    'export.format.svg': 'SVG 色票表',
+
+    'achromatic.name': '無彩色 (Achromatic)',
+    'achromatic.scale': '{steps}：依明度由白 (9.5) 至黑 (1.5) 排列。',
+
+    'filter.placeholder': 'lt8、dp、優雅、Blue…',
+    'filter.allHues': '所有色相',
+    'filter.lightness': '明度',
+    'filter.saturation': '彩度 (s)',
+    'filter.matchesBefore': '符合 ',
+    'filter.matchesAfter': ' / {total} 個色票',
+    'filter.clear': '清除篩選',
+
+    'temperature.all': '全部',
+    'temperature.warm': '暖色',
+    'temperature.cool': '寒色',
+    'temperature.neutral': '中性色',
+
+    'family.R': '紅 (Red)',
+    'family.O': '橙 (Orange)',
+    'family.Y': '黃 (Yellow)',
+    'family.YG': '黃綠 (Yellow Green)',
+    'family.G': '綠 (Green)',
+    'family.BG': '藍綠 (Blue Green)',
+    'family.B': '藍 (Blue)',
+    'family.P': '紫 (Violet/Purple)',
+    'family.RP': '紅紫 (Red Purple)',
+
+    'relation.adjacent': '鄰接色相 (Adjacent)',
+    'relation.analogous': '類似色相 (Analogous)',
+    'relation.intermediate': '中差色相 (Intermediate)',
+    'relation.opposite': '對照色相 (Opposite)',
+    'relation.complementary': '補色色相 (Complementary)',
+    'relation.triad': '三角配色 (Triad)',
+    'relation.tetrad': '四角配色 (Tetrad)',
+
+    'hueCircle.title': '色相環 (Hue Circle)',
+    'hueCircle.intro': '以目前色相環的步數顯示色相關係。點擊色相即設為基準，並顯示該色票的詳細資訊。',
+    'hueCircle.pickRelation': '選擇色相關係',
+    'hueCircle.steps': '{offset} 步',
+    'hueCircle.hint': '點擊上方的關係按鈕，在色相環上標示相關色相。',
+
+    'toneMap.title': '色調圖 (Tone Map)',
+    'toneMap.intro': '縱軸為明度、橫軸為彩度，左側為無彩色軸。選擇色相以重新繪製每個色調。',
+    'toneMap.achromaticAxis': '無彩色',
+    'toneMap.saturationAxis': '低彩度 → 高彩度',
+    'toneMap.pinned': '已釘選 · 點擊其他色票以切換',
+    'toneMap.hint': '將滑鼠移到色票上查看詳細資訊，點擊以釘選。',
+
+    'harmony.title': 'PCCS 配色產生器 (Harmony)',
+    'harmony.intro': '選擇起始色票與配色法則，鎖定喜歡的顏色後重新產生其餘顏色。',
+    'harmony.seed': '起始色票',
+    'harmony.unlock': '解除鎖定',
+    'harmony.lock': '鎖定',
+    'harmony.reroll': '重新產生未鎖定的顏色',
+    'harmony.scheme.tone-on-tone': '同色調重疊 (Tone on Tone)',
+    'harmony.scheme.tone-on-tone.desc': '相同或類似色相，明度差明顯的色調組合。',
+    'harmony.scheme.tone-in-tone': '同色調內 (Tone in Tone)',
+    'harmony.scheme.tone-in-tone.desc': '相同或相鄰色調，色相在類似範圍內變化。',
+    'harmony.scheme.dominant-tone': '主色調 (Dominant Tone)',
+    'harmony.scheme.dominant-tone.desc': '統一為同一色調，色相自由搭配。',
+    'harmony.scheme.dominant-color': '主色相 (Dominant Colour)',
+    'harmony.scheme.dominant-color.desc': '統一為同一色相 (含鄰接色相)，色調自由搭配。',
+    'harmony.scheme.camaieu': '卡馬伊厄 (Camaïeu)',
+    'harmony.scheme.camaieu.desc': '色相與色調幾乎相同，近似單色的細微差異。',
+    'harmony.scheme.faux-camaieu': '偽卡馬伊厄 (Faux Camaïeu)',
+    'harmony.scheme.faux-camaieu.desc': '比卡馬伊厄稍大的色相差，色調仍然相近。',
+    'harmony.scheme.tonal': '濁色調 (Tonal)',
+    'harmony.scheme.tonal.desc': '以中低彩度的 sf、d、ltg、g 色調為主，沉穩協調。',
+    'harmony.scheme.complementary': '補色 (Complementary)',
+    'harmony.scheme.complementary.desc': '色相環上相對 (12 步) 的兩個色相。',
+    'harmony.scheme.split-complementary': '分裂補色 (Split Complementary)',
+    'harmony.scheme.split-complementary.desc': '補色兩側各偏移 2 步的兩個色相。',
+    'harmony.scheme.triad': '三角配色 (Triad)',
+    'harmony.scheme.triad.desc': '色相環三等分 (各相隔 8 步)。',
+    'harmony.scheme.tetrad': '四角配色 (Tetrad)',
+    'harmony.scheme.tetrad.desc': '色相環四等分 (各相隔 6 步)。',
+
+    'identify.delta.indistinguishable': '幾乎無法分辨',
+    'identify.delta.veryClose': '非常接近',
+    'identify.delta.close': '相近',
+    'identify.delta.rough': '僅大致相近',
+    'identify.parseError': '無法辨識此顏色格式。請輸入 HEX、rgb(...) 或 hsl(...)。',
+    'identify.clipboardError': '無法讀取剪貼簿。請直接在輸入框中貼上 (Ctrl/⌘ + V)。',
+    'identify.title': '色票辨識 (Nearest PCCS)',
+    'identify.intro': '輸入或貼上任何顏色，找出最接近的 PCCS 色調與色相。',
+    'identify.picker': '色彩選擇器',
+    'identify.placeholder': '#A1B2C3、rgb(161, 178, 195) 或 hsl(210, 22%, 70%)',
+    'identify.paste': '從剪貼簿貼上',
+    'identify.input': '輸入',
+    'identify.nearest': '最接近的色票',
+    'identify.between': '此顏色介於 {a} 與 {b} 之間。',
+    'identify.others': '其他候選',
+
+    'contrast.apca.body': '適合細小或長篇內文',
+    'contrast.apca.text': '適合一般內文',
+    'contrast.apca.content': '適合非內文的內容文字',
+    'contrast.apca.headline': '僅適合大標題',
+    'contrast.apca.nonText': '僅適合非文字元素',
+    'contrast.apca.none': '不可用於文字',
+    'contrast.placeholder': 'v2、Gy-5.5 或 #RRGGBB',
+    'contrast.title': '對比檢查 (Contrast)',
+    'contrast.intro': '輸入兩個 PCCS 色票或 HEX 色碼，檢查 WCAG 2.x 與 APCA 的文字可讀性。',
+    'contrast.foreground': '文字色 (Foreground)',
+    'contrast.swap': '交換',
+    'contrast.background': '背景色 (Background)',
+    'contrast.sampleHeading': '色彩大師 Color Mastery',
+    'contrast.sample': '這段文字以 {fg} 顯示在 {bg} 上。The quick brown fox jumps over the lazy dog.',
+    'contrast.level.aa-normal': 'AA 一般文字',
+    'contrast.level.aa-large': 'AA 大字',
+    'contrast.level.aaa-normal': 'AAA 一般文字',
+    'contrast.level.aaa-large': 'AAA 大字',
+    'contrast.pass': '通過',
+    'contrast.fail': '未通過',
+    'contrast.darkOnLight': '深色文字 / 淺色背景',
+    'contrast.lightOnDark': '淺色文字 / 深色背景',
+    'contrast.underCvd': '{name} 模擬下：',
+
+    'image.title': '圖片色彩分析 (Image Palette)',
+    'image.intro': '上傳參考照片或情緒板，找出主要顏色與對應的 PCCS 色調。圖片只在瀏覽器中處理。',
+    'image.drop': '點擊或拖放圖片',
+    'image.formats': 'JPG、PNG、WebP',
+    'image.colorCount': '顏色數量',
+    'image.paletteTitle': '圖片調色板',
+    'image.color': '色彩 {n}',
+    'image.colorShare': '色彩 {n} ({share})',
+    'image.analyzing': '分析中...',
+    'image.noPixels': '圖片沒有可分析的不透明像素。',
+    'image.error': '分析圖片時發生錯誤。',
+    'image.notImage': '請選擇圖片檔案。',
+    'image.distribution': '色調分布 (Tone Distribution)',
+    'image.summaryBefore': '約 ',
+    'image.summaryGroup': ' 為{group}',
+    'image.summaryTop': '，其中以 {tone} 最多 ({share})。',
+    'image.group.high': '高彩度色調',
+    'image.group.mid': '中彩度色調',
+    'image.group.low': '低彩度 (濁色) 色調',
+    'image.group.achromatic': '無彩色',
+
+    'camera.open': '開啟相機',
+    'camera.starting': '正在啟動相機...',
+    'camera.switch': '切換前後鏡頭',
+    'camera.unsupported': '您的瀏覽器不支援相機功能。請使用現代瀏覽器（Chrome、Safari、Firefox）。',
+    'camera.accessError': '無法存取相機。',
+    'camera.permissionDenied': '相機權限被拒絕。請在瀏覽器設定中允許相機存取權限。',
+    'camera.notFound': '找不到相機裝置。請確認您的裝置有相機功能。',
+    'camera.inUse': '相機無法使用。可能正被其他應用程式使用中。',
+    'camera.overconstrained': '相機不支援要求的設定。',
+    'camera.videoError': '相機畫面載入錯誤。',
+
+    'sampler.title': '即時取色 (Live Sampler)',
+    'sampler.intro': '將相機中央的準星對準布料或印刷品，即時顯示最接近的 PCCS 色票。',
+    'sampler.frozen': '已凍結',
+    'sampler.resume': '繼續',
+    'sampler.freeze': '凍結',
+    'sampler.record': '記錄',
+    'sampler.looseMatch': '與最接近的色票差異較大，僅供參考。',
+    'sampler.lightingNote': '相機的白平衡與環境光源會影響讀值；請在均勻的日光或標準光源下取樣，結果僅供近似參考。',
+    'sampler.history': '取樣紀錄',
+    'sampler.clear': '清除',
+    'sampler.sampleName': '取樣 {notation}',
+
+    'seasonal.fileTooLarge': '檔案太大。請使用 4MB 以下的圖片。',
+    'seasonal.noApiKey': '請先在設定中配置您的 API Key。',
+    'seasonal.noImage': '請先上傳一張圖片。',
+    'seasonal.analysisFailed': '分析失敗：{message}。請檢查您的設定和 API Key。',
+    'seasonal.captureUnavailable': '無法擷取照片。請重試。',
+    'seasonal.noVideoSize': '無法取得有效的影像尺寸。請稍候片刻再試。',
+    'seasonal.convertFailed': '無法轉換影像。',
+    'seasonal.captureError': '擷取照片時發生錯誤：{message}',
+    'seasonal.heroBefore': '發現您的 ',
+    'seasonal.heroHighlight': '真實色彩',
+    'seasonal.intro': '上傳一張自拍照，讓我們的 AI 造型師分析您的膚色、頭髮和眼睛，找出您完美的季節色彩調色板。',
+    'seasonal.uploadPhoto': '上傳照片',
+    'seasonal.takePhoto': '拍攝照片',
+    'seasonal.cancel': '取消',
+    'seasonal.capture': '拍攝',
+    'seasonal.preparing': '準備中...',
+    'seasonal.previewAlt': '上傳預覽',
+    'seasonal.uploadYourPhoto': '上傳您的照片',
+    'seasonal.uploadTip': '建議：自然光線，無化妝',
+    'seasonal.analyze': '分析我的色彩',
+    'seasonal.analyzing': '正在使用 AI 分析中...',
+    'seasonal.errorLabel': '錯誤：',
+    'seasonal.complete': '分析完成',
+    'seasonal.analyzedAlt': '已分析的使用者',
+    'seasonal.confidence': '信心度',
+    'seasonal.keyFeatures': '關鍵特徵',
+    'seasonal.undertone': '基調',
+    'seasonal.contrast': '對比度',
+    'seasonal.primaryFeature': '主導特質',
+    'seasonal.yourPalette': '您的專屬調色板',
+    'seasonal.paletteTitle': '{season} 調色板',
+    'seasonal.avoidSwatch': '避免：{name}',
+    'seasonal.paletteNote': '這些色彩與您的自然特徵和諧，讓您的肌膚看起來更清透，眼睛更明亮。',
+    'seasonal.styleGuide': '風格指南',
+    'seasonal.worstColors': '應避免的顏色',
+    'seasonal.analyzeAnother': '分析另一張照片',
+
+    'print.title': '列印教材 (Print)',
+    'print.intro': '以與測驗相同的色票產生海報、雙面字卡與練習單，直接用瀏覽器列印。',
+    'print.layout.poster': '色調表海報',
+    'print.layout.cards': '剪裁字卡',
+    'print.layout.practice': '練習單',
+    'print.posterTitle': 'PCCS 色調表 ({count} 色相)',
+    'print.practiceTitle': 'PCCS 色調練習',
+    'print.answers': '解答',
+    'print.nameDate': '姓名：＿＿＿＿＿＿　日期：＿＿＿＿＿',
+    'print.tones': '包含的色調',
+    'print.duplexFlip': '雙面列印翻頁',
+    'print.flip.long': '長邊翻頁',
+    'print.flip.short': '短邊翻頁',
+    'print.cardCount': '{count} 張字卡 · {pages} 頁',
+    'print.questionCount': '題數',
+    'print.withAnswers': '附解答頁',
+    'print.reshuffle': '重新出題',
+    'print.print': '列印',
+    'print.duplexNote': '請在列印對話框選擇雙面列印與相同的翻頁方式，並關閉「縮放以符合頁面」。',
+
+    'embed.credit': 'PCCS 色調表 · 色彩大師',
+
+    'stats.title': '測驗統計',
+    'stats.intro': '每次作答都會記錄在這個瀏覽器中。看看哪些色調容易混淆、哪些色相最難，以及你的進步曲線。',
+    'stats.allModes': '全部模式',
+    'stats.empty': '還沒有作答紀錄。完成測驗後，統計會顯示在這裡。',
+    'stats.answers': '作答數',
+    'stats.accuracy': '正確率',
+    'stats.avgTime': '平均用時',
+    'stats.seconds': '{seconds} 秒',
+    'stats.matrixTitle': '色調混淆矩陣',
+    'stats.matrixHint': '列為正確色調，欄為你選擇的色調；對角線即為答對。',
+    'stats.matrixCorner': '答案 \\ 選擇',
+    'stats.matrixCell': '{tone} → 選了 {chosen}：{count}',
+    'stats.pairsTitle': '最常混淆的色調',
+    'stats.pairsHint': '最常搞混的兩個色調，以最常出錯的色相並排顯示。',
+    'stats.pairCount': '×{count}',
+    'stats.toneTitle': '各色調正確率',
+    'stats.toneHint': '來自色調與記號測驗：是否答對色調。',
+    'stats.hueTitle': '各色相正確率',
+    'stats.hueHint': '來自色相與記號測驗：是否答對色相。',
+    'stats.timeTitle': '正確率變化',
+    'stats.timeHint': '最近 {days} 個練習日的每日正確率。',
+    'stats.clear': '清除作答紀錄',
+    'stats.clearConfirm': '確定要刪除所有作答紀錄嗎？此操作無法復原。',
+
+    'mix.title': '調出顏色 (Mix the Colour)',
+    'mix.intro': '用眼睛重現目標色票，可從色票選擇或用自由滑桿調色。分數是兩色的感知色差 (ΔE00)，越低越好。',
+    'mix.method.chart': '色調與色相',
+    'mix.method.free': '自由滑桿',
+    'mix.target': '目標',
+    'mix.yours': '你的顏色',
+    'mix.outOfGamut': '已裁切至螢幕色域',
+    'mix.tone': '色調',
+    'mix.hue': '色相',
+    'mix.lightness': '明度 (L*)',
+    'mix.chroma': '彩度 (C*)',
+    'mix.check': '比較',
+    'mix.next': '換一個顏色',
+    'mix.locked': '目標已公開，這個顏色已完成評分。請換一個顏色繼續練習。',
+    'mix.rating.match': '相符：幾乎無法分辨',
+    'mix.rating.veryClose': '非常接近',
+    'mix.rating.close': '接近',
+    'mix.rating.off': '明顯有差',
+    'mix.rating.far': '差很多',
+    'mix.answer': '目標是 {notation} ({tone}，{hue})。',
+    'mix.youPicked': '你選了 {notation}。',
+    'mix.historyTitle': '這個顏色的嘗試紀錄',
+    'mix.best': '最佳 ΔE {deltaE}',
+  },
+};
@@ -1,8 +1,13 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { loadLanguage, setLanguage } from './i18n'
+import { loadTheme, setTheme } from './theme'
 import './index.css'
 
+setLanguage(loadLanguage())
+setTheme(loadTheme())
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
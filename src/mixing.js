@@ -0,0 +1,57 @@
+import { lchToLab, labToRgb, isInGamut, clipChroma, rgbToHex, hexToRgb, rgbToLab, deltaE2000 } from './colorScience';
+
+// --- Colour Mixing Exercise ---
+// The student reproduces a target chip, either by picking a tone and hue from the chart or
+// with free CIE LCh sliders. Attempts are kept per target chip in localStorage:
+//   { [chipId]: [{ at, method, hex, deltaE }] }
+// oldest first, with only the newest MAX_ATTEMPTS per chip.
+
+export const MIX_METHODS = ['chart', 'free'];
+
+export const MAX_ATTEMPTS = 20;
+
+const STORAGE_KEY = 'pccs_mix_attempts';
+
+export const loadAttempts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveAttempts = (attempts) => localStorage.setItem(STORAGE_KEY, JSON.stringify(attempts));
+
+// Checking reveals the target, so a target is scored only once per browser session. The
+// checks ({ [chipId]: { hex, deltaE, notation } }) are kept in sessionStorage, which
+// survives switching tabs and following links back to the same chip.
+const REVEALED_KEY = 'pccs_mix_revealed';
+
+export const loadRevealed = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(REVEALED_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveRevealed = (revealed) => sessionStorage.setItem(REVEALED_KEY, JSON.stringify(revealed));
+
+export const recordAttempt = (attempts, chipId, attempt) => ({
+  ...attempts,
+  [chipId]: [...(attempts[chipId] || []), { at: Date.now(), ...attempt }].slice(-MAX_ATTEMPTS),
+});
+
+// Slider ranges: L* 0–100, chroma 0–SLIDER_MAX_CHROMA, hue angle 0–359°
+export const SLIDER_MAX_CHROMA = 100;
+
+// Colour of the free sliders; out-of-gamut settings are shown (and scored) with their
+// chroma reduced, as chips are
+export const mixFromSliders = ({ lightness, chroma, hue }) => {
+  const lab = lchToLab([lightness, chroma, hue]);
+  const inGamut = isInGamut(labToRgb(lab));
+  return { hex: rgbToHex(labToRgb(inGamut ? lab : clipChroma(lab))), outOfGamut: !inGamut };
+};
+
+// CIEDE2000 between the target chip and the mix as both appear on screen
+export const mixDeltaE = (target, hex) => deltaE2000(rgbToLab(hexToRgb(target.hex)), rgbToLab(hexToRgb(hex)));
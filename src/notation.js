@@ -0,0 +1,84 @@
+import { ALL_TONES, ACHROMATIC_TONES, ACHROMATIC_SCALE, HUES, generateColor, generateAchromatic } from './pccs';
+
+// --- PCCS Notation ---
+// Parses and formats PCCS tone notation: "v2", "lt+8", "dp18", "v2 R" (with hue symbol),
+// bare tones ("sf", "ltGy") and achromatic steps ("W", "Gy-5.5", "Bk").
+//
+// Parsed references are plain objects:
+//   { kind: 'chromatic',  tone, hue }   hue is null for a bare tone such as "sf"
+//   { kind: 'achromatic', tone, step }  step is null for a bare gray tone such as "mGy"
+// Chips from generateColor/generateAchromatic carry the same `tone`/`hue`/`step` fields,
+// so they can be passed to formatNotation directly.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest ids first so "dkg" wins over "dk" and "d"
+const CHROMATIC_TONE_IDS = ALL_TONES
+  .filter(t => !t.achromatic)
+  .map(t => t.id)
+  .sort((a, b) => b.length - a.length);
+
+const CHROMATIC_PATTERN = new RegExp(
+  `^(${CHROMATIC_TONE_IDS.map(escapeRegExp).join('|')})(?:(\\d{1,2})(?:\\s*:?\\s*([a-zA-Z]{1,2}))?)?$`
+);
+
+// "Gy-5.5", "N5.5", or W/Bk with their lightness ("W-9.5")
+const GRAY_PATTERN = /^(Gy|N|W|Bk)-?(\d(?:\.\d)?)$/;
+
+const findAchromaticTone = (id) => ACHROMATIC_TONES.find(t => t.id === id);
+
+const parseAchromatic = (text) => {
+  const tone = findAchromaticTone(text);
+  if (tone) {
+    // W and Bk are single steps; the gray tones span several
+    const steps = ACHROMATIC_SCALE.filter(s => s.toneId === tone.id);
+    return { kind: 'achromatic', tone, step: steps.length === 1 ? steps[0] : null };
+  }
+  const gray = GRAY_PATTERN.exec(text);
+  if (!gray) return null;
+  const [, prefix, lightness] = gray;
+  const step = ACHROMATIC_SCALE.find(s => s.lightness === Number(lightness));
+  if (!step || (findAchromaticTone(prefix) && step.toneId !== prefix)) return null;
+  return { kind: 'achromatic', tone: findAchromaticTone(step.toneId), step };
+};
+
+// Returns a parsed reference, or null when the text is not PCCS tone notation.
+// A hue symbol, when given, must match the hue number ("v2 R" parses, "v2 Y" does not).
+export const parseNotation = (input) => {
+  if (typeof input !== 'string') return null;
+  const text = input.trim();
+  if (!text) return null;
+
+  const achromatic = parseAchromatic(text);
+  if (achromatic) return achromatic;
+
+  const match = CHROMATIC_PATTERN.exec(text);
+  if (!match) return null;
+  const [, toneId, hueNumber, symbol] = match;
+  const tone = ALL_TONES.find(t => t.id === toneId);
+  if (!hueNumber) return { kind: 'chromatic', tone, hue: null };
+
+  const hue = HUES.find(h => h.id === Number(hueNumber));
+  if (!hue || (symbol && symbol !== hue.symbol)) return null;
+  return { kind: 'chromatic', tone, hue };
+};
+
+// "2:R" — the PCCS hue number and symbol.
+export const formatHue = (hue) => `${hue.id}:${hue.symbol}`;
+
+// Formats a parsed reference or chip. `symbol: true` appends the hue symbol ("v2 R").
+export const formatNotation = (ref, { symbol = false } = {}) => {
+  if (!ref || !ref.tone) return '';
+  if (ref.tone.achromatic) return ref.step ? ref.step.id : ref.tone.id;
+  if (!ref.hue) return ref.tone.id;
+  return `${ref.tone.id}${ref.hue.id}${symbol ? ` ${ref.hue.symbol}` : ''}`;
+};
+
+// Resolves notation to a chip (as produced by generateColor/generateAchromatic), or null
+// when the notation is invalid or does not name a single chip (e.g. a bare tone).
+export const notationToColor = (input) => {
+  const ref = parseNotation(input);
+  if (!ref) return null;
+  if (ref.kind === 'achromatic') return ref.step ? generateAchromatic(ref.step) : null;
+  return ref.hue ? generateColor(ref.tone, ref.hue) : null;
+};
@@ -0,0 +1,190 @@
+import { hexToRgb, rgbToHex, rgbToLab } from './colorScience';
+import { findNearestChips } from './pccs';
+import { formatNotation } from './notation';
+import { hueName } from './i18n';
+
+// --- Palette Export ---
+// Swatches are `{ notation, name, hex }`. Every format labels a swatch with its PCCS
+// notation followed by its name.
+
+export const chipToSwatch = (chip) => ({
+  notation: formatNotation(chip),
+  name: chip.achromatic ? chip.toneName : `${chip.toneName} ${hueName(chip.hue)}`,
+  hex: chip.hex,
+});
+
+// Swatch for an arbitrary colour (e.g. an AI palette entry), labelled with the nearest
+// PCCS chip; "≈" marks the notation as approximate. Entries without a valid hex give null,
+// and the hex is normalised to "#RRGGBB" ("abc" → "#AABBCC").
+export const colorToSwatch = (name, hex) => {
+  const rgb = typeof hex === 'string' ? hexToRgb(hex) : null;
+  if (!rgb) return null;
+  const [{ chip }] = findNearestChips(rgbToLab(rgb), 1);
+  return { notation: `≈${formatNotation(chip)}`, name: name ? String(name) : '', hex: rgbToHex(rgb) };
+};
+
+const swatchLabel = (swatch) => `${swatch.notation} ${swatch.name}`;
+
+const toRgb255 = (hex) => hexToRgb(hex).map(c => Math.round(c * 255));
+
+// "lt+8" → "lt-plus-8", "≈Gy-5.5" → "gy-5-5"
+const slug = (notation) => notation
+  .replace('≈', '')
+  .replace(/\+/g, '-plus')
+  .replace(/[^a-zA-Z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .toLowerCase();
+
+// CSS / Tailwind keys; swatches sharing a notation (e.g. two AI colours nearest the same
+// chip) get a numeric suffix
+const uniqueKeys = (swatches) => {
+  const seen = {};
+  return swatches.map(s => {
+    const key = slug(s.notation);
+    seen[key] = (seen[key] || 0) + 1;
+    return seen[key] > 1 ? `${key}-${seen[key]}` : key;
+  });
+};
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+const toGpl = (swatches, title) => [
+  'GIMP Palette',
+  `Name: ${title}`,
+  'Columns: 12',
+  '#',
+  ...swatches.map(s => `${toRgb255(s.hex).map(c => String(c).padStart(3)).join(' ')}\t${swatchLabel(s)}`),
+  '',
+].join('\n');
+
+const toCss = (swatches, title) => {
+  const keys = uniqueKeys(swatches);
+  return [
+    `/* ${title} */`,
+    ':root {',
+    ...swatches.map((s, i) => `  --pccs-${keys[i]}: ${s.hex}; /* ${swatchLabel(s)} */`),
+    '}',
+    '',
+  ].join('\n');
+};
+
+const toTailwind = (swatches, title) => {
+  const keys = uniqueKeys(swatches);
+  return [
+    `// ${title}`,
+    'module.exports = {',
+    '  theme: {',
+    '    extend: {',
+    '      colors: {',
+    '        pccs: {',
+    ...swatches.map((s, i) => `          '${keys[i]}': '${s.hex}', // ${swatchLabel(s)}`),
+    '        },',
+    '      },',
+    '    },',
+    '  },',
+    '};',
+    '',
+  ].join('\n');
+};
+
+const toJson = (swatches, title) => JSON.stringify({
+  name: title,
+  colors: swatches.map(s => ({ notation: s.notation, name: s.name, hex: s.hex, rgb: toRgb255(s.hex) })),
+}, null, 2);
+
+const SVG_COLUMNS = 6;
+const SVG_CELL_WIDTH = 160;
+const SVG_CELL_HEIGHT = 150;
+
+const toSvg = (swatches, title) => {
+  const rows = Math.ceil(swatches.length / SVG_COLUMNS);
+  const width = SVG_COLUMNS * SVG_CELL_WIDTH;
+  const height = rows * SVG_CELL_HEIGHT + 50;
+  const cells = swatches.map((s, i) => {
+    const x = (i % SVG_COLUMNS) * SVG_CELL_WIDTH + 10;
+    const y = Math.floor(i / SVG_COLUMNS) * SVG_CELL_HEIGHT + 50;
+    return [
+      `  <rect x="${x}" y="${y}" width="${SVG_CELL_WIDTH - 20}" height="80" rx="8" fill="${s.hex}" stroke="#e2e8f0"/>`,
+      `  <text x="${x}" y="${y + 100}" font-size="14" font-weight="bold">${escapeXml(s.notation)}</text>`,
+      `  <text x="${x}" y="${y + 116}" font-size="10" fill="#475569">${escapeXml(s.name)}</text>`,
+      `  <text x="${x}" y="${y + 130}" font-size="10" fill="#94a3b8">${s.hex}</text>`,
+    ].join('\n');
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+    '  <rect width="100%" height="100%" fill="#ffffff"/>',
+    `  <text x="10" y="30" font-size="18" font-weight="bold">${escapeXml(title)}</text>`,
+    ...cells,
+    '</svg>',
+    '',
+  ].join('\n');
+};
+
+// Adobe Swatch Exchange (ASE 1.0): a named group holding one RGB process colour per swatch.
+const toAse = (swatches, title) => {
+  const blocks = [];
+  const nameBytes = (name) => {
+    const units = [...name].flatMap(ch => {
+      const code = ch.codePointAt(0);
+      if (code <= 0xffff) return [code];
+      const offset = code - 0x10000;
+      return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)];
+    });
+    const bytes = new DataView(new ArrayBuffer(2 + (units.length + 1) * 2));
+    bytes.setUint16(0, units.length + 1);
+    units.forEach((unit, i) => bytes.setUint16(2 + i * 2, unit));
+    return new Uint8Array(bytes.buffer);
+  };
+  const block = (type, body) => {
+    const header = new DataView(new ArrayBuffer(6));
+    header.setUint16(0, type);
+    header.setUint32(2, body.length);
+    blocks.push(new Uint8Array(header.buffer), body);
+  };
+
+  block(0xc001, nameBytes(title));
+  swatches.forEach(s => {
+    const name = nameBytes(swatchLabel(s));
+    const body = new DataView(new ArrayBuffer(name.length + 4 + 12 + 2));
+    new Uint8Array(body.buffer).set(name);
+    [...'RGB '].forEach((ch, i) => body.setUint8(name.length + i, ch.charCodeAt(0)));
+    hexToRgb(s.hex).forEach((c, i) => body.setFloat32(name.length + 4 + i * 4, c));
+    body.setUint16(name.length + 16, 2); // normal (non-global, non-spot) colour
+    block(0x0001, new Uint8Array(body.buffer));
+  });
+  block(0xc002, new Uint8Array(0));
+
+  const header = new DataView(new ArrayBuffer(12));
+  [...'ASEF'].forEach((ch, i) => header.setUint8(i, ch.charCodeAt(0)));
+  header.setUint16(4, 1);
+  header.setUint16(6, 0);
+  header.setUint32(8, swatches.length + 2);
+  return new Blob([header.buffer, ...blocks], { type: 'application/octet-stream' });
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'ase',      extension: 'ase',  mime: 'application/octet-stream', build: toAse },
+  { id: 'gpl',      extension: 'gpl',  mime: 'text/plain',               build: toGpl },
+  { id: 'css',      extension: 'css',  mime: 'text/css',                 build: toCss },
+  { id: 'tailwind', extension: 'js',   mime: 'text/javascript',          build: toTailwind },
+  { id: 'json',     extension: 'json', mime: 'application/json',         build: toJson },
+  { id: 'svg',      extension: 'svg',  mime: 'image/svg+xml',            build: toSvg },
+];
+
+// Builds the file for `formatId` and hands it to the browser as a download.
+export const downloadPalette = (swatches, formatId, title) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  const content = format.build(swatches, title);
+  const blob = content instanceof Blob ? content : new Blob([content], { type: format.mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slug(title) || 'pccs-palette'}.${format.extension}`;
+  document.body.appendChild(link);
+  link.click();
+  // Revoking right after click() can cancel the download in Firefox and Safari
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, 1000);
+};
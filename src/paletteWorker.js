@@ -0,0 +1,21 @@
+import { rgbToLab } from './colorScience';
+import { kmeans } from './kmeans';
+
+// Web worker for the image palette analyzer. Receives RGBA pixels and replies with the
+// dominant CIELAB clusters (`clusters`, `k` of them) plus a finer clustering (`fine`)
+// used for the tone distribution. Mostly transparent pixels are ignored.
+
+const FINE_CLUSTERS = 24;
+
+self.onmessage = ({ data: { pixels, k } }) => {
+  const points = [];
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+    points.push(rgbToLab([pixels[i] / 255, pixels[i + 1] / 255, pixels[i + 2] / 255]));
+  }
+  self.postMessage({
+    total: points.length,
+    clusters: kmeans(points, k),
+    fine: kmeans(points, FINE_CLUSTERS),
+  });
+};
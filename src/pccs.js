@@ -0,0 +1,251 @@
+import { parseMunsell, labToRgb, isInGamut, clipChroma, rgbToHex, deltaE2000 } from './colorScience';
+import { munsellToLab } from './renotation';
+import { CHIP_MUNSELL } from './pccsChipTable';
+
+// --- PCCS Data & Logic ---
+
+// `sat` is the PCCS saturation level (1s–9s). Chip lightness is given as a Munsell value:
+// `value` is the tone's value for a hue whose vivid chip sits at V5, and `valueShift` is
+// how much of the vivid chip's hue-dependent lightness carries over into the tone (high for
+// the clear tones, close to zero for the grayish ones).
+export const TONES = [
+  { id: 'v',   name: 'Vivid',         label: '01 Vivid',         sat: 9, value: 5,   valueShift: 1,    desc: '純粹、飽和、鮮豔、活力、大膽、自信、熱情、耀眼' },
+  { id: 'b',   name: 'Bright',        label: '02 Bright',        sat: 8, value: 6.5, valueShift: 0.6,  desc: '愉悅、清晰、開朗、活潑、樂觀、明亮、歡快、充滿希望' },
+  { id: 's',   name: 'Strong',        label: '03 Strong',        sat: 8, value: 5,   valueShift: 0.8,  desc: '動感、強烈、有力、堅定、充滿能量、果斷、勇敢、積極' },
+  { id: 'dp',  name: 'Deep',          label: '04 Deep',          sat: 8, value: 3.5, valueShift: 0.4,  desc: '傳統、深奧、優雅、經典、沉穩、內斂、高貴、有深度' },
+  { id: 'lt',  name: 'Light',         label: '05 Light',         sat: 5, value: 7.5, valueShift: 0.4,  desc: '舒適、清新、輕鬆、溫和、柔和、明亮、愉悅、令人放鬆' },
+  { id: 'sf',  name: 'Soft',          label: '06 Soft',          sat: 5, value: 6.5, valueShift: 0.3,  desc: '溫柔、自然、柔和、親切、溫暖、舒適、和諧、平易近人' },
+  { id: 'd',   name: 'Dull',          label: '07 Dull',          sat: 5, value: 5,   valueShift: 0.3,  desc: '穩重、樸實、內斂、低調、沉穩、可靠、踏實、值得信賴' },
+  { id: 'dk',  name: 'Dark',          label: '08 Dark',          sat: 5, value: 3,   valueShift: 0.2,  desc: '成熟、穩健、優雅、神秘、深邃、莊重、有質感、經典' },
+  { id: 'p',   name: 'Pale',          label: '09 Pale',          sat: 2, value: 8.5, valueShift: 0.15, desc: '精緻、輕盈、優雅、純淨、清新、柔和、夢幻、細膩' },
+  { id: 'ltg', name: 'Light Grayish', label: '10 Light Grayish', sat: 2, value: 7,   valueShift: 0.1,  desc: '平靜、柔和、舒緩、溫和、寧靜、優雅、和諧、令人安心' },
+  { id: 'g',   name: 'Grayish',       label: '11 Grayish',       sat: 2, value: 4.5, valueShift: 0.1,  desc: '寧靜、別緻、優雅、沉穩、內斂、時尚、平衡、有品味' },
+  { id: 'dkg', name: 'Dark Grayish',  label: '12 Dark Grayish',  sat: 2, value: 2.5, valueShift: 0.05, desc: '厚重、堅實、穩重、可靠、沉穩、專業、有力量、值得信賴' },
+];
+
+// Neighbouring tones on the PCCS tone diagram (lightness × saturation)
+export const TONE_NEIGHBORS = {
+  v:   ['b', 's', 'dp'],
+  b:   ['v', 's', 'lt'],
+  s:   ['v', 'b', 'dp', 'd'],
+  dp:  ['v', 's', 'dk'],
+  lt:  ['b', 'sf', 'p'],
+  sf:  ['lt', 'd', 'ltg'],
+  d:   ['s', 'sf', 'dk', 'g'],
+  dk:  ['dp', 'd', 'dkg'],
+  p:   ['lt', 'ltg'],
+  ltg: ['p', 'sf', 'g'],
+  g:   ['ltg', 'd', 'dkg'],
+  dkg: ['g', 'dk'],
+};
+
+export const areTonesAdjacent = (a, b) => (TONE_NEIGHBORS[a.id] || []).includes(b.id);
+
+// "+" tones of the PCCS 201-colour chart: slightly clearer variants of lt and p that sit
+// between them and the bright tone. Not part of the 12-tone chart or quiz decks.
+export const TONE_VARIANTS = [
+  { id: 'lt+', baseId: 'lt', name: 'Light Plus', label: '05+ Light Plus', sat: 6, value: 7.5, valueShift: 0.5 },
+  { id: 'p+',  baseId: 'p',  name: 'Pale Plus',  label: '09+ Pale Plus',  sat: 3, value: 8.5, valueShift: 0.2 },
+].map(variant => ({ ...variant, desc: TONES.find(t => t.id === variant.baseId).desc }));
+
+// Achromatic tones. PCCS lists them alongside the chromatic tones; each covers one or
+// more steps of the numeric lightness scale below.
+export const ACHROMATIC_TONES = [
+  { id: 'W',    name: 'White',        label: 'W White',        achromatic: true, desc: '純淨、潔白、清爽、簡約、明亮、無瑕、清潔、神聖' },
+  { id: 'ltGy', name: 'Light Gray',   label: 'ltGy Light Gray',  achromatic: true, desc: '柔和、安靜、輕盈、細緻、優雅、內斂、洗鍊、都會' },
+  { id: 'mGy',  name: 'Medium Gray',  label: 'mGy Medium Gray',  achromatic: true, desc: '中性、平衡、穩定、低調、理性、含蓄、沉著、樸素' },
+  { id: 'dkGy', name: 'Dark Gray',    label: 'dkGy Dark Gray',   achromatic: true, desc: '沉穩、厚重、成熟、嚴謹、專業、堅實、冷靜、有分量' },
+  { id: 'Bk',   name: 'Black',        label: 'Bk Black',       achromatic: true, desc: '莊重、神秘、權威、強烈、高級、正式、深沉、俐落' },
+];
+
+// PCCS achromatic lightness scale, from W (9.5) down to Bk (1.5) in 1.0 steps.
+// PCCS lightness is defined on the Munsell value scale.
+export const ACHROMATIC_SCALE = [
+  { id: 'W',      toneId: 'W',    lightness: 9.5 },
+  { id: 'Gy-8.5', toneId: 'ltGy', lightness: 8.5 },
+  { id: 'Gy-7.5', toneId: 'ltGy', lightness: 7.5 },
+  { id: 'Gy-6.5', toneId: 'mGy',  lightness: 6.5 },
+  { id: 'Gy-5.5', toneId: 'mGy',  lightness: 5.5 },
+  { id: 'Gy-4.5', toneId: 'mGy',  lightness: 4.5 },
+  { id: 'Gy-3.5', toneId: 'dkGy', lightness: 3.5 },
+  { id: 'Gy-2.5', toneId: 'dkGy', lightness: 2.5 },
+  { id: 'Bk',     toneId: 'Bk',   lightness: 1.5 },
+];
+
+export const ALL_TONES = [...TONES, ...TONE_VARIANTS, ...ACHROMATIC_TONES];
+
+// Full PCCS 24-hue circle. The even-numbered hues form the 12-hue circle used in
+// the simplified charts; `symbol` is the official PCCS hue symbol.
+export const HUES = [
+  { id: 1,  symbol: 'pR', name: '帶紫的紅 (Purplish Red)' },
+  { id: 2,  symbol: 'R',  name: '紅 (Red)' },
+  { id: 3,  symbol: 'yR', name: '帶黃的紅 (Yellowish Red)' },
+  { id: 4,  symbol: 'rO', name: '帶紅的橙 (Reddish Orange)' },
+  { id: 5,  symbol: 'O',  name: '橙 (Orange)' },
+  { id: 6,  symbol: 'yO', name: '帶黃的橙 (Yellowish Orange)' },
+  { id: 7,  symbol: 'rY', name: '帶紅的黃 (Reddish Yellow)' },
+  { id: 8,  symbol: 'Y',  name: '黃 (Yellow)' },
+  { id: 9,  symbol: 'gY', name: '帶綠的黃 (Greenish Yellow)' },
+  { id: 10, symbol: 'YG', name: '黃綠 (Yellow Green)' },
+  { id: 11, symbol: 'yG', name: '帶黃的綠 (Yellowish Green)' },
+  { id: 12, symbol: 'G',  name: '綠 (Green)' },
+  { id: 13, symbol: 'bG', name: '帶藍的綠 (Bluish Green)' },
+  { id: 14, symbol: 'BG', name: '藍綠 (Blue Green)' },
+  { id: 15, symbol: 'BG', name: '藍綠 (Blue Green)' },
+  { id: 16, symbol: 'gB', name: '帶綠的藍 (Greenish Blue)' },
+  { id: 17, symbol: 'B',  name: '藍 (Blue)' },
+  { id: 18, symbol: 'B',  name: '藍 (Blue)' },
+  { id: 19, symbol: 'pB', name: '帶紫的藍 (Purplish Blue)' },
+  { id: 20, symbol: 'V',  name: '藍紫 (Violet)' },
+  { id: 21, symbol: 'bV', name: '帶藍的紫 (Bluish Violet)' },
+  { id: 22, symbol: 'P',  name: '紫 (Purple)' },
+  { id: 23, symbol: 'rP', name: '帶紅的紫 (Reddish Purple)' },
+  { id: 24, symbol: 'RP', name: '紅紫 (Red Purple)' },
+];
+
+export const HUE_COUNTS = [12, 24];
+
+// 12-hue view keeps only the even-numbered hues, as on the standard PCCS chart.
+export const getHues = (count = 24) => (count === 12 ? HUES.filter(hue => hue.id % 2 === 0) : HUES);
+
+// Shortest distance between two hues in steps of the 24-hue circle (0–12).
+export const hueDistance = (a, b) => {
+  const diff = Math.abs(a.id - b.id) % 24;
+  return Math.min(diff, 24 - diff);
+};
+
+// Hue `steps` away from `hue` on the 24-hue circle (negative steps go anticlockwise).
+export const shiftHue = (hue, steps) => HUES[(((hue.id - 1 + steps) % 24) + 24) % 24];
+
+// PCCS hue relationships, as offsets in 24-hue steps from a base hue. Triad and tetrad
+// are equal divisions of the circle and drawn as polygons.
+export const HUE_RELATIONS = [
+  { id: 'adjacent',      offsets: [-1, 1] },
+  { id: 'analogous',     offsets: [-3, -2, 2, 3] },
+  { id: 'intermediate',  offsets: [-7, -6, -5, -4, 4, 5, 6, 7] },
+  { id: 'opposite',      offsets: [-10, -9, -8, 8, 9, 10] },
+  { id: 'complementary', offsets: [-11, 11, 12] },
+  { id: 'triad',         offsets: [8, 16],     polygon: true },
+  { id: 'tetrad',        offsets: [6, 12, 18], polygon: true },
+];
+
+// Hues related to `hue` by `relation` on the 12- or 24-hue circle, with `offset` in steps
+// of that circle. One 12-hue step is two 24-hue steps, so only even offsets exist there.
+export const getRelatedHues = (hue, relation, hueCount = 24) => {
+  const step = 24 / hueCount;
+  return relation.offsets
+    .filter(offset => offset % step === 0)
+    .map(offset => ({ hue: shiftHue(hue, offset), offset: offset / step }));
+};
+
+// Relationships with at least one hue on the 12- or 24-hue circle (adjacent hues exist
+// only on the 24-hue circle)
+export const getHueRelations = (hueCount = 24) =>
+  HUE_RELATIONS.filter(relation => relation.offsets.some(offset => offset % (24 / hueCount) === 0));
+
+// Hue families of the 24-hue circle, grouped by the colour name in each hue's label.
+export const HUE_FAMILIES = [
+  { id: 'R',  hueIds: [1, 2, 3] },
+  { id: 'O',  hueIds: [4, 5, 6] },
+  { id: 'Y',  hueIds: [7, 8, 9] },
+  { id: 'YG', hueIds: [10, 11] },
+  { id: 'G',  hueIds: [12, 13] },
+  { id: 'BG', hueIds: [14, 15] },
+  { id: 'B',  hueIds: [16, 17, 18, 19] },
+  { id: 'P',  hueIds: [20, 21, 22] },
+  { id: 'RP', hueIds: [23, 24] },
+];
+
+// PCCS colour temperature: 1:pR–8:Y are warm, 13:bG–19:pB cool, the greens and purples
+// in between neutral.
+export const HUE_TEMPERATURES = [
+  { id: 'warm',    hueIds: [1, 2, 3, 4, 5, 6, 7, 8] },
+  { id: 'cool',    hueIds: [13, 14, 15, 16, 17, 18, 19] },
+  { id: 'neutral', hueIds: [9, 10, 11, 12, 20, 21, 22, 23, 24] },
+];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Munsell notation of a tone × hue chip: the published value from pccsChipTable.js when
+// the chip is listed there. Other chips fall back to an estimate derived from the hue's
+// vivid chip (`valueShift` and the sat/9 chroma ratio are fitted, not official), which is
+// why the UI labels chip colours as approximate.
+export const getChipMunsell = (tone, hue) => {
+  const published = CHIP_MUNSELL[`${tone.id}${hue.id}`];
+  if (published) return parseMunsell(published);
+  const vivid = parseMunsell(CHIP_MUNSELL[`v${hue.id}`]);
+  return {
+    hue: vivid.hue,
+    value: round1(tone.value + tone.valueShift * (vivid.value - 5)),
+    chroma: round1((vivid.chroma * tone.sat) / 9),
+  };
+};
+
+// Converts a Munsell chip to display values. `lab` is the chip's own colour; chips outside
+// sRGB are shown with their chroma reduced and flagged so the UI can mark them.
+const toDisplayColor = ({ hue, value, chroma }) => {
+  const lab = munsellToLab(hue, value, chroma);
+  const inGamut = isInGamut(labToRgb(lab));
+  const hex = rgbToHex(labToRgb(inGamut ? lab : clipChroma(lab)));
+  return {
+    munsell: hue ? `${hue} ${value}/${chroma}` : `N ${value}`,
+    lab,
+    hex,
+    css: hex,
+    outOfGamut: !inGamut,
+  };
+};
+
+// Chip ids are the chip's PCCS notation ("v2", "Gy-5.5"); see notation.js for parsing.
+export const generateColor = (tone, hue) => ({
+  id: `${tone.id}${hue.id}`,
+  tone,
+  hue,
+  toneId: tone.id,
+  toneName: tone.name,
+  toneLabel: tone.label,
+  hueId: hue.id,
+  hueSymbol: hue.symbol,
+  hueName: hue.name,
+  ...toDisplayColor(getChipMunsell(tone, hue)),
+  desc: tone.desc
+});
+
+export const generateAchromatic = (step) => {
+  const tone = ACHROMATIC_TONES.find(t => t.id === step.toneId);
+  return {
+    id: step.id,
+    tone,
+    step,
+    toneId: tone.id,
+    toneName: tone.name,
+    toneLabel: tone.label,
+    hueId: null,
+    hueSymbol: null,
+    hueName: `無彩色 (Achromatic) ${step.id}`,
+    lightness: step.lightness,
+    achromatic: true,
+    ...toDisplayColor({ hue: null, value: step.lightness, chroma: 0 }),
+    desc: tone.desc
+  };
+};
+
+export const generateFullDeck = (hueCount = 24) => {
+  let deck = [];
+  const hues = getHues(hueCount);
+  TONES.forEach(tone => hues.forEach(hue => deck.push(generateColor(tone, hue))));
+  ACHROMATIC_SCALE.forEach(step => deck.push(generateAchromatic(step)));
+  return deck;
+};
+
+let chipIndex = null;
+
+// Ranks every chip of the 24-hue chart (plus the achromatic scale) by CIEDE2000 distance
+// from a CIELAB colour. Returns `{ chip, deltaE }` pairs, nearest first.
+export const findNearestChips = (lab, count = 5) => {
+  if (!chipIndex) chipIndex = generateFullDeck(24);
+  return chipIndex
+    .map(chip => ({ chip, deltaE: deltaE2000(lab, chip.lab) }))
+    .sort((a, b) => a.deltaE - b.deltaE)
+    .slice(0, count);
+};
@@ -0,0 +1,33 @@
+// --- Published PCCS Chip Values ---
+// Munsell notation of PCCS chips by chip id ("v2"), after the JCRI PCCS/Munsell
+// correspondence. getChipMunsell (pccs.js) uses a listed chip as published and estimates
+// the rest from the vivid row, so every hue needs its vivid chip here.
+//
+// Only the vivid row is transcribed so far. Further tones go in as rows keyed the same
+// way ("lt2", "dk18"); each one replaces the estimate for that chip.
+export const CHIP_MUNSELL = {
+  v1:  '10RP 4/12',
+  v2:  '4R 4.5/14',
+  v3:  '7R 5/14',
+  v4:  '10R 5.5/14',
+  v5:  '4YR 6.5/14',
+  v6:  '8YR 7/13',
+  v7:  '2Y 7.5/13',
+  v8:  '5Y 8/13',
+  v9:  '8Y 8/12',
+  v10: '3GY 7/12',
+  v11: '8GY 6/11',
+  v12: '3G 5.5/11',
+  v13: '9G 5/10',
+  v14: '5BG 4.5/9',
+  v15: '10BG 4.5/9',
+  v16: '5B 4/9',
+  v17: '10B 4/10',
+  v18: '3PB 4/11',
+  v19: '6PB 3.5/12',
+  v20: '9PB 3.5/12',
+  v21: '3P 3.5/12',
+  v22: '7P 3.5/12',
+  v23: '1RP 4/12',
+  v24: '6RP 4.5/12',
+};
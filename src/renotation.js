@@ -0,0 +1,13 @@
+import { mhvcToXyz } from 'munsell';
+import { parseMunsellHue, xyzToLab } from './colorScience';
+
+// --- Munsell Renotation ---
+// Kept apart from colorScience.js so the renotation data (~400 kB) is only bundled where
+// chips are generated, not into the palette worker.
+
+// Munsell notation (e.g. "4R", 4.5, 14) → CIELAB, through the Munsell renotation data
+// (interpolated by the munsell package) and a Bradford adaptation from Illuminant C to D65.
+export const munsellToLab = (hue, value, chroma) => {
+  const hueNumber = !hue ? 0 : typeof hue === 'number' ? hue : parseMunsellHue(hue);
+  return xyzToLab(mhvcToXyz(hueNumber, value, hue ? chroma : 0).map(c => c * 100));
+};
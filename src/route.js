@@ -0,0 +1,37 @@
+// --- Hash Routes ---
+// The app state worth linking to lives in the URL hash, so links work on GitHub Pages'
+// sub-path without server rewrites:
+//   #/learn/dp18?view=map&hues=24   chart, with a chip open (strips) or focused (tone map)
+//   #/quiz/tone-to-desc?hues=24     quiz mode and hue circle
+//   #/mix/dp18?method=free          colour-mixing target and input method
+//   #/harmony/triad/sf14?palette=sf14,sf22,sf6,lt14,d22
+//   #/compare?pins=dp18,v2,A1B2C3   shared pins, merged into the tray on open
+// Parsed routes are plain objects: { tab, path: [segments], query: { key: value } }.
+
+export const TABS = ['learn', 'quiz', 'stats', 'mix', 'ai', 'seasonal', 'identify', 'image', 'sampler', 'harmony', 'contrast', 'print', 'compare'];
+
+export const DEFAULT_TAB = 'learn';
+
+export const parseRoute = (hash) => {
+  const [path, search = ''] = hash.replace(/^#\/?/, '').split('?');
+  const [tab, ...rest] = path.split('/').filter(Boolean).map(decodeURIComponent);
+  const known = TABS.includes(tab);
+  return {
+    tab: known ? tab : DEFAULT_TAB,
+    path: known ? rest : [],
+    query: Object.fromEntries(new URLSearchParams(search)),
+  };
+};
+
+// Empty query values are dropped; commas are left readable ("palette=sf14,lt14")
+export const formatRoute = ({ tab, path = [], query = {} }) => {
+  const segments = [tab, ...path].map(encodeURIComponent).join('/');
+  const search = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+    .join('&');
+  return `#/${segments}${search ? `?${search}` : ''}`;
+};
+
+// Absolute link to a route, for sharing
+export const routeUrl = (route) => `${window.location.origin}${window.location.pathname}${formatRoute(route)}`;
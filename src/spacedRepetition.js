@@ -0,0 +1,70 @@
+// --- Spaced Repetition ---
+// Leitner boxes per quiz card. The schedule is kept in localStorage as
+//   { [mode]: { [cardId]: { box, due } } }
+// where `box` is 0 … LAST_BOX and `due` a local day number (see today()). A correct answer
+// moves the card up a box and waits that box's interval; a miss sends it back to box 0,
+// due again the same day. Cards without an entry have never been answered ("new").
+
+export const BOX_INTERVALS = [0, 1, 2, 4, 8, 16]; // days until a card in each box is due
+
+const LAST_BOX = BOX_INTERVALS.length - 1;
+const STORAGE_KEY = 'pccs_quiz_schedule';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const loadSchedule = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveSchedule = (schedule) => localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+
+// Days since the epoch in local time, so cards fall due at local midnight
+export const dayOf = (time) => {
+  const date = new Date(time);
+  return Math.floor((date.getTime() - date.getTimezoneOffset() * 60 * 1000) / DAY_MS);
+};
+
+export const today = () => dayOf(Date.now());
+
+export const reviewCard = (schedule, mode, cardId, correct, day = today()) => {
+  const entry = schedule[mode]?.[cardId];
+  const box = correct ? Math.min((entry ? entry.box : 0) + 1, LAST_BOX) : 0;
+  return {
+    ...schedule,
+    [mode]: { ...schedule[mode], [cardId]: { box, due: day + BOX_INTERVALS[box] } },
+  };
+};
+
+// Due and new counts among `cards` (anything with an `id`)
+export const countDue = (schedule, mode, cards, day = today()) => {
+  const entries = schedule[mode] || {};
+  return cards.reduce((counts, card) => {
+    const entry = entries[card.id];
+    if (!entry) counts.fresh += 1;
+    else if (entry.due <= day) counts.due += 1;
+    return counts;
+  }, { due: 0, fresh: 0 });
+};
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Next card to ask: the most overdue card (lowest box first on ties), then a new card, then
+// (when everything is learned and nothing is due) the card due soonest. `skipId` avoids asking
+// the same card twice in a row.
+export const pickNextCard = (schedule, mode, cards, skipId = null, day = today()) => {
+  const entries = schedule[mode] || {};
+  const pool = cards.length > 1 ? cards.filter(card => card.id !== skipId) : cards;
+  const due = pool.filter(card => entries[card.id] && entries[card.id].due <= day);
+  if (due.length > 0) {
+    const rank = (card) => [entries[card.id].due, entries[card.id].box];
+    const [firstDue, firstBox] = due.map(rank).sort((a, b) => a[0] - b[0] || a[1] - b[1])[0];
+    return pickRandom(due.filter(card => entries[card.id].due === firstDue && entries[card.id].box === firstBox));
+  }
+  const fresh = pool.filter(card => !entries[card.id]);
+  if (fresh.length > 0) return pickRandom(fresh);
+  const soonest = Math.min(...pool.map(card => entries[card.id].due));
+  return pickRandom(pool.filter(card => entries[card.id].due === soonest));
+};
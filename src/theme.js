@@ -0,0 +1,25 @@
+// --- Themes ---
+// The theme is the data-theme attribute on <html>; index.css maps it to the neutral palette.
+// 'gray' is the viewing mode for judging colour: hue-free UI chrome, with chips shown on a
+// Munsell N5 surround (elements marked .chip-surround).
+
+export const THEMES = ['light', 'dark', 'gray'];
+
+export const DEFAULT_THEME = 'light';
+
+const STORAGE_KEY = 'pccs_theme';
+
+// Saved choice, else the system's light/dark preference
+export const loadTheme = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (THEMES.includes(saved)) return saved;
+  return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : DEFAULT_THEME;
+};
+
+export const saveTheme = (theme) => localStorage.setItem(STORAGE_KEY, theme);
+
+export const getTheme = () => document.documentElement.dataset.theme || DEFAULT_THEME;
+
+export const setTheme = (theme) => {
+  document.documentElement.dataset.theme = THEMES.includes(theme) ? theme : DEFAULT_THEME;
+};
@@ -0,0 +1,150 @@
+import { useState, useRef, useEffect } from 'react';
+import { t } from './i18n';
+
+// --- Camera ---
+// getUserMedia handling shared by the seasonal analysis and the live colour sampler.
+// `setError` receives user-facing error messages (null clears them). Attach `videoRef` to
+// a <video autoPlay playsInline muted> element; `isVideoReady` turns true once it plays.
+export default function useCamera(setError) {
+  const [isCameraActive, setIsCameraActive] = useState(false);
+  const [cameraStream, setCameraStream] = useState(null);
+  const [isVideoReady, setIsVideoReady] = useState(false);
+  const videoRef = useRef(null);
+
+  const startCamera = async (facingMode = 'user') => {
+    try {
+      // Check if getUserMedia is available
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setError(t('camera.unsupported'));
+        return;
+      }
+
+      // Stop any existing stream first
+      if (cameraStream) {
+        cameraStream.getTracks().forEach(track => track.stop());
+      }
+
+      setError(null);
+      setIsCameraActive(true);
+      setIsVideoReady(false);
+
+      const stream = await navigator.mediaDevices.getUserMedia({ 
+        video: { 
+          facingMode,
+          width: { ideal: 1280 },
+          height: { ideal: 720 }
+        } 
+      });
+      
+      setCameraStream(stream);
+      
+      // Set stream to video element
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream;
+      }
+    } catch (err) {
+      console.error('Error accessing camera:', err);
+      let errorMessage = t('camera.accessError');
+      if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+        errorMessage = t('camera.permissionDenied');
+      } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
+        errorMessage = t('camera.notFound');
+      } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
+        errorMessage = t('camera.inUse');
+      } else if (err.name === 'OverconstrainedError') {
+        errorMessage = t('camera.overconstrained');
+      }
+      setError(errorMessage);
+      setIsCameraActive(false);
+      setIsVideoReady(false);
+    }
+  };
+
+  const stopCamera = () => {
+    if (cameraStream) {
+      cameraStream.getTracks().forEach(track => track.stop());
+      setCameraStream(null);
+    }
+    setIsCameraActive(false);
+    setIsVideoReady(false);
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+    }
+  };
+
+  // Handle video element setup and cleanup
+  useEffect(() => {
+    const video = videoRef.current;
+    
+    if (!video || !cameraStream) {
+      setIsVideoReady(false);
+      return;
+    }
+
+    // Ensure video has the stream
+    if (video.srcObject !== cameraStream) {
+      video.srcObject = cameraStream;
+    }
+
+    const handleLoadedMetadata = () => {
+      video.play()
+        .then(() => {
+          setIsVideoReady(true);
+        })
+        .catch((err) => {
+          console.error('Error playing video:', err);
+          setIsVideoReady(false);
+        });
+    };
+
+    const handlePlaying = () => {
+      setIsVideoReady(true);
+    };
+
+    const handleCanPlay = () => {
+      if (video.paused) {
+        video.play().catch(err => {
+          console.error('Play error:', err);
+        });
+      }
+    };
+
+    const handleError = (err) => {
+      console.error('Video error:', err);
+      setError(t('camera.videoError'));
+      setIsVideoReady(false);
+    };
+
+    // Add event listeners
+    video.addEventListener('loadedmetadata', handleLoadedMetadata);
+    video.addEventListener('playing', handlePlaying);
+    video.addEventListener('canplay', handleCanPlay);
+    video.addEventListener('error', handleError);
+
+    // Try to play immediately if stream is already set
+    if (video.srcObject && video.readyState >= 2) {
+      video.play().catch(() => {
+        // Will play when user interacts
+      });
+    }
+
+    // Cleanup
+    return () => {
+      video.removeEventListener('loadedmetadata', handleLoadedMetadata);
+      video.removeEventListener('playing', handlePlaying);
+      video.removeEventListener('canplay', handleCanPlay);
+      video.removeEventListener('error', handleError);
+    };
+  }, [isCameraActive, cameraStream]);
+
+  // Cleanup camera stream on unmount
+  useEffect(() => {
+    return () => {
+      if (cameraStream) {
+        cameraStream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [cameraStream]);
+
+  return { videoRef, isCameraActive, isVideoReady, startCamera, stopCamera };
+}
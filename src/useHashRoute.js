@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { parseRoute, formatRoute } from './route';
+
+// --- Hash Router ---
+// Returns [route, navigate]. navigate(route) adds a history entry, so back/forward step
+// through tabs, chips and results; navigate(route, { replace: true }) rewrites the current
+// entry instead (for state the app fills in by itself, such as a freshly generated palette).
+export default function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = (next, { replace = false } = {}) => {
+    const hash = formatRoute(next);
+    if (hash === window.location.hash) return;
+    if (replace) {
+      // replaceState does not fire hashchange
+      window.history.replaceState(window.history.state, '', hash);
+      setRoute(parseRoute(hash));
+    } else {
+      window.location.hash = hash;
+    }
+  };
+
+  return [route, navigate];
+}
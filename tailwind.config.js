@@ -1,12 +1,39 @@
+// The neutral shades the UI is built from read CSS variables, so a theme (index.css) can swap
+// them at runtime. Backgrounds, text and lines get separate ramps: a dark theme needs
+// text-slate-900 to turn light while bg-slate-900 buttons stay dark.
+const ramp = (name, shades) =>
+  Object.fromEntries(shades.map(shade => [shade, `rgb(var(--${name}-${shade}) / <alpha-value>)`]));
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
+    "./embed.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      backgroundColor: {
+        white: 'rgb(var(--surface) / <alpha-value>)',
+        slate: ramp('fill', [50, 100, 200, 800, 900]),
+        stone: ramp('fill-stone', [50]),
+      },
+      gradientColorStops: {
+        white: 'rgb(var(--surface) / <alpha-value>)',
+      },
+      textColor: {
+        slate: ramp('ink', [300, 400, 500, 600, 700, 800, 900]),
+        stone: ramp('ink-stone', [600]),
+      },
+      borderColor: {
+        DEFAULT: 'rgb(var(--line-200) / <alpha-value>)',
+        slate: ramp('line', [100, 200, 300, 400, 600, 700]),
+        stone: ramp('line-stone', [100, 200, 300]),
+      },
+      ringColor: {
+        slate: ramp('line', [900]),
+      },
+    },
   },
   plugins: [],
 }
-
@@ -1,5 +1,6 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -8,5 +9,17 @@ export default defineConfig({
   // For root domain, use base: '/'
   // For subpath like /color_pccs/, use base: '/color_pccs/'
   base: process.env.GITHUB_PAGES === 'true' ? '/color_pccs/' : '/',
+  build: {
+    rollupOptions: {
+      // embed.html is the standalone chart page used by iframes and <pccs-chart>
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        embed: fileURLToPath(new URL('./embed.html', import.meta.url)),
+      },
+      // The Munsell renotation data is large and rarely changes: keep it in its own chunk
+      output: {
+        manualChunks: { munsell: ['munsell'] },
+      },
+    },
+  },
 })
-